@@ -0,0 +1,375 @@
+/**
+ * Bare Worker Supervisor
+ *
+ * Runs blendWorkerBare.js as a long-lived child process so the model is loaded
+ * once instead of per request. Talks to it over line-delimited JSON on stdio,
+ * tracks a readiness state and restarts the worker with backoff if it crashes.
+ *
+ * Requests are sent to the worker one at a time. Aborting the request the
+ * worker is running kills the process (inference cannot be interrupted
+ * otherwise) and starts a fresh one; queued requests wait for it.
+ *
+ * States:
+ * - stopped:  not running (initial state, or after stop())
+ * - starting: process spawned, model loading
+ * - ready:    model loaded, requests are sent straight to the worker
+ * - crashed:  process exited unexpectedly, restart scheduled
+ * - failed:   crashed repeatedly without becoming ready; restarted on next request
+ */
+
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+const DEFAULT_REQUEST_TIMEOUT = 600000; // 10 minutes, model load included
+const RESTART_DELAY = 1000;             // First restart delay, doubles per crash
+const MAX_RESTART_DELAY = 60000;
+const MAX_CONSECUTIVE_CRASHES = 5;      // Give up auto-restarting after this many
+
+class BareWorker extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.script='blendWorkerBare.js'] - Worker script run with `bare`
+   * @param {number} [options.requestTimeout] - Per-request timeout in ms
+   */
+  constructor({ script = 'blendWorkerBare.js', requestTimeout = DEFAULT_REQUEST_TIMEOUT } = {}) {
+    super();
+    this.script = script;
+    this.requestTimeout = requestTimeout;
+    this.process = null;
+    this.state = 'stopped';
+    this.loadProgress = 0;
+    this.model = null;         // { backend, name } the worker reported when ready
+    this.restarts = 0;
+    this.consecutiveCrashes = 0;
+    this.lastError = null;
+    this.nextId = 1;
+    this.pending = new Map();  // id -> { resolve, reject, timer, listeners, sent, message, cleanup }
+    this.activeId = null;      // Request currently running in the worker
+    this.restartTimer = null;
+    this.restartDelay = RESTART_DELAY;
+  }
+
+  /**
+   * Spawns the worker process if it is not already running
+   */
+  start() {
+    if (this.process) return;
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.setState('starting');
+    this.loadProgress = 0;
+    this.activeId = null;
+
+    const child = spawn('bare', [this.script], {
+      cwd: __dirname,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.process = child;
+
+    let buffered = '';
+    child.stdout.on('data', (data) => {
+      buffered += data.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(line => this.handleLine(line));
+    });
+
+    child.stderr.on('data', (data) => {
+      process.stderr.write(`[bare-worker] ${data}`);
+    });
+
+    // Writes to a dead worker surface here; the exit handler does the cleanup
+    child.stdin.on('error', () => {});
+
+    child.on('error', (error) => {
+      this.lastError = error.message;
+      console.error('Failed to start bare worker:', error.message);
+    });
+
+    child.on('close', (code, signal) => this.handleExit(child, code, signal));
+  }
+
+  /**
+   * Stops the worker and fails any outstanding requests
+   */
+  stop() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    const child = this.process;
+    this.process = null;
+    this.setState('stopped');
+    this.failPending(new Error('LLM worker stopped'));
+
+    if (child) {
+      child.stdin.end();
+      child.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Requests a blend from the worker
+   *
+   * @param {Object} params
+   * @param {string[]} params.oils - Oil names the blend may use
+   * @param {string} params.description - Target scent description
+   * @param {Object} [params.structure] - Resolved blend structure (see blendStructures.js)
+   * @param {Object} [params.catalog] - Current catalog records of the oils, keyed by name
+   * @param {Object[]} [params.conversation] - Earlier blends and refinement requests when refining a blend
+   * @param {Object} [params.template] - "blend" prompt template (default: the worker's default version)
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - Called with each streamed token
+   * @param {Function} [options.onAttempt] - Called with (attempt, previousErrors) when the model is (re)prompted
+   * @param {AbortSignal} [options.signal] - Aborts the request, killing the worker if it is running it
+   * @returns {Promise<Object>} - ScentBlender result ({ success, blend, attempts, stats } or { success: false, error })
+   */
+  blend({ oils, description, structure, catalog, conversation, template }, options = {}) {
+    return this.request({ type: 'blend', oils, description, structure, catalog, conversation, template }, options);
+  }
+
+  /**
+   * Asks the worker for prose commentary on a user's own formula
+   *
+   * @param {Object} params
+   * @param {Object} params.blend - Formula: { oils: [{ oil, percentage, note }] }
+   * @param {string[]} params.findings - Issues found by the evaluator (see blendEvaluation.js)
+   * @param {string} [params.description] - What the formula is meant to smell like
+   * @param {Object} [params.catalog] - Current catalog records of the oils, keyed by name
+   * @param {Object} [params.template] - "critique" prompt template
+   * @param {Object} [options] - onToken callback and abort signal, as for blend()
+   * @returns {Promise<Object>} - ScentBlender result ({ success, commentary, stats } or { success: false, error })
+   */
+  critique({ blend, findings, description, catalog, template }, options = {}) {
+    return this.request({ type: 'critique', blend, findings, description, catalog, template }, options);
+  }
+
+  /**
+   * Sends a request to the worker, queueing it until the worker is free
+   *
+   * @param {Object} message - Protocol request without an id
+   * @param {Object} [options] - Per-request event callbacks (onToken, onAttempt) and abort signal
+   * @returns {Promise<Object>} - The worker's result payload
+   */
+  request(message, { signal, ...listeners } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    // Fail fast while a restart is pending so callers can fall back immediately
+    if (this.state === 'crashed') {
+      return Promise.reject(new Error('LLM worker is restarting'));
+    }
+
+    if (!this.process) {
+      this.start();
+    }
+
+    const id = String(this.nextId++);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.abort(id, new Error('Request timed out. The LLM model may be loading or processing. Please try again.'));
+      }, this.requestTimeout);
+
+      const onAbort = () => this.abort(id, createAbortError());
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, {
+        resolve,
+        reject,
+        timer,
+        listeners,
+        sent: false,
+        message: { ...message, id },
+        cleanup: () => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+        }
+      });
+      this.flush();
+    });
+  }
+
+  /**
+   * Fails a request. If the worker is already running it, the worker is
+   * killed and restarted so the abandoned inference stops using the CPU.
+   *
+   * @param {string} id - Request id
+   * @param {Error} error - Rejection reason
+   */
+  abort(id, error) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    const child = id === this.activeId ? this.process : null;
+    if (child) {
+      // Detach first so handleExit ignores it and nothing new is sent to it
+      this.process = null;
+      console.log(`Killing bare worker to abort request ${id}: ${error.message}`);
+      child.kill('SIGTERM');
+    }
+
+    this.settle(id, pending => pending.reject(error));
+
+    if (child) {
+      this.start();
+    }
+  }
+
+  /**
+   * Writes the next queued request to the worker once it is ready and idle
+   */
+  flush() {
+    if (this.state !== 'ready' || !this.process || this.activeId) return;
+
+    for (const [id, entry] of this.pending) {
+      if (!entry.sent) {
+        entry.sent = true;
+        this.activeId = id;
+        this.process.stdin.write(JSON.stringify(entry.message) + '\n');
+        return;
+      }
+    }
+  }
+
+  handleLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      // Not a protocol message; pass worker chatter through to our logs
+      console.log(`[bare-worker] ${line}`);
+      return;
+    }
+
+    switch (message.type) {
+      case 'loading':
+        this.setState('starting');
+        break;
+
+      case 'progress':
+        this.loadProgress = message.progress;
+        this.emit('progress', message.progress);
+        break;
+
+      case 'ready':
+        this.loadProgress = 100;
+        this.model = message.model || null;
+        this.restartDelay = RESTART_DELAY;
+        this.consecutiveCrashes = 0;
+        this.setState('ready');
+        this.flush();
+        break;
+
+      case 'token': {
+        const entry = this.pending.get(message.id);
+        if (entry && entry.listeners.onToken) entry.listeners.onToken(message.token);
+        break;
+      }
+
+      case 'attempt': {
+        const entry = this.pending.get(message.id);
+        if (entry && entry.listeners.onAttempt) entry.listeners.onAttempt(message.attempt, message.errors);
+        break;
+      }
+
+      case 'result':
+        this.settle(message.id, entry => entry.resolve(message.result));
+        break;
+
+      case 'error':
+        this.settle(message.id, entry => entry.reject(new Error(message.error)));
+        break;
+
+      default:
+        console.warn('Unknown message from bare worker:', message.type);
+    }
+  }
+
+  settle(id, callback) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+
+    entry.cleanup();
+    this.pending.delete(id);
+    if (id === this.activeId) this.activeId = null;
+    callback(entry);
+    this.flush();
+  }
+
+  failPending(error) {
+    for (const id of [...this.pending.keys()]) {
+      this.settle(id, entry => entry.reject(error));
+    }
+  }
+
+  handleExit(child, code, signal) {
+    // Ignore exits from a process we already replaced or stopped on purpose
+    if (this.process !== child) return;
+
+    this.process = null;
+    this.lastError = this.lastError || `Worker exited with code ${code}${signal ? ` (${signal})` : ''}`;
+    this.failPending(new Error('LLM worker crashed'));
+
+    this.consecutiveCrashes++;
+    if (this.consecutiveCrashes >= MAX_CONSECUTIVE_CRASHES) {
+      console.error(`Bare worker crashed ${this.consecutiveCrashes} times in a row; not restarting until the next request`);
+      this.consecutiveCrashes = 0;
+      this.restartDelay = RESTART_DELAY;
+      this.setState('failed');
+      return;
+    }
+
+    console.error(`Bare worker exited (code ${code}, signal ${signal}); restarting in ${this.restartDelay}ms`);
+    this.setState('crashed');
+
+    this.restarts++;
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start();
+    }, this.restartDelay);
+    this.restartDelay = Math.min(this.restartDelay * 2, MAX_RESTART_DELAY);
+  }
+
+  setState(state) {
+    if (state === 'ready') this.lastError = null;
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  /**
+   * Snapshot of the worker for health checks
+   *
+   * @returns {Object} - State, load progress, model, restart count and queue size
+   */
+  status() {
+    return {
+      state: this.state,
+      ready: this.state === 'ready',
+      pid: this.process ? this.process.pid : null,
+      loadProgress: this.loadProgress,
+      model: this.model,
+      restarts: this.restarts,
+      pendingRequests: this.pending.size,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Creates the error used to reject aborted requests
+ *
+ * @returns {Error} - Error with name "AbortError"
+ */
+function createAbortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+module.exports = BareWorker;
+module.exports.createAbortError = createAbortError;
@@ -0,0 +1,103 @@
+/**
+ * Blend Allergen Calculator
+ *
+ * Works out how much of each regulated fragrance allergen a finished product
+ * contains, from the typical constituents of each oil (essentialOils.js), the
+ * blend percentages and the product concentration. Allergens above the
+ * labelling threshold must be declared by their INCI name in the ingredient list.
+ *
+ * Thresholds (EU Cosmetics Regulation 1223/2009, Annex III):
+ * - leave-on products (rollers, perfume, massage oil): above 0.001% (10 ppm)
+ * - rinse-off products (soap, shampoo, bath products): above 0.01% (100 ppm)
+ */
+
+const essentialOils = require('./essentialOils');
+const { normalizeOilName } = require('./blendSchema');
+
+const ALLERGENS = {
+  'linalool': { inci: 'Linalool', cas: '78-70-6' },
+  'limonene': { inci: 'Limonene', cas: '5989-27-5' },
+  'geraniol': { inci: 'Geraniol', cas: '106-24-1' },
+  'citral': { inci: 'Citral', cas: '5392-40-5' },
+  'citronellol': { inci: 'Citronellol', cas: '106-22-9' },
+  'eugenol': { inci: 'Eugenol', cas: '97-53-0' },
+  'isoeugenol': { inci: 'Isoeugenol', cas: '97-54-1' },
+  'farnesol': { inci: 'Farnesol', cas: '4602-84-0' },
+  'coumarin': { inci: 'Coumarin', cas: '91-64-5' },
+  'benzyl-alcohol': { inci: 'Benzyl Alcohol', cas: '100-51-6' },
+  'benzyl-benzoate': { inci: 'Benzyl Benzoate', cas: '120-51-4' },
+  'benzyl-salicylate': { inci: 'Benzyl Salicylate', cas: '118-58-1' }
+};
+
+// Declaration thresholds as % of the finished product
+const THRESHOLDS = {
+  leaveOn: 0.001,
+  rinseOff: 0.01
+};
+
+/**
+ * Calculates the allergen content of a finished product
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage }] (percentages sum to 100)
+ * @param {Object} [options]
+ * @param {number} [options.concentration=100] - Essential oil % in the finished product (100 = neat blend)
+ * @returns {Object} - { concentration, thresholds, allergens: [{ id, inci, cas, percentage, ppm, leaveOn, rinseOff, sources }], declarable: { leaveOn, rinseOff } }
+ */
+function calculateAllergens(blend, { concentration = 100 } = {}) {
+  const totals = {};
+
+  blend.oils.forEach(({ oil: name, percentage }) => {
+    const oil = normalizeOilName(name);
+    const data = essentialOils[oil];
+    if (!data || !data.constituents) return;
+
+    const oilInProduct = concentration * percentage / 100;
+    Object.entries(data.constituents).forEach(([id, content]) => {
+      if (!ALLERGENS[id]) return;
+      const amount = oilInProduct * content / 100;
+      totals[id] = totals[id] || { amount: 0, sources: [] };
+      totals[id].amount += amount;
+      totals[id].sources.push({ oil, percentage: round(amount) });
+    });
+  });
+
+  const allergens = Object.entries(totals)
+    .map(([id, { amount, sources }]) => ({
+      id,
+      inci: ALLERGENS[id].inci,
+      cas: ALLERGENS[id].cas,
+      percentage: round(amount),
+      ppm: Math.round(amount * 10000 * 10) / 10,
+      leaveOn: amount > THRESHOLDS.leaveOn,
+      rinseOff: amount > THRESHOLDS.rinseOff,
+      sources: sources.sort((a, b) => b.percentage - a.percentage)
+    }))
+    .sort((a, b) => b.percentage - a.percentage);
+
+  return {
+    concentration,
+    thresholds: THRESHOLDS,
+    allergens,
+    // INCI names to add to the label, highest content first
+    declarable: {
+      leaveOn: allergens.filter(allergen => allergen.leaveOn).map(allergen => allergen.inci),
+      rinseOff: allergens.filter(allergen => allergen.rinseOff).map(allergen => allergen.inci)
+    }
+  };
+}
+
+/**
+ * Rounds a product percentage to 5 decimals (0.1 ppm)
+ *
+ * @param {number} value - Percentage
+ * @returns {number} - Rounded percentage
+ */
+function round(value) {
+  return Math.round(value * 100000) / 100000;
+}
+
+module.exports = {
+  ALLERGENS,
+  THRESHOLDS,
+  calculateAllergens
+};
@@ -0,0 +1,405 @@
+/**
+ * Blend Alternatives
+ *
+ * Enumerates the rule-based blends a set of oils allows for a structure,
+ * scores candidate blends (from the LLM or the rules) and picks a ranked,
+ * diverse shortlist so users can choose between options.
+ *
+ * Scores run from 0 to 1:
+ * - description: how many words of the target description the oils' notes,
+ *   category and description echo, and how much of the blend does
+ * - balance: how close each note's share is to the structure's targets, and
+ *   whether each oil suits the note it was given
+ * - compatibility: how well each pair of oils sits together, from the
+ *   distance of their families on the fragrance wheel and shared descriptors
+ * - total: weighted mean of the three (description is left out when none of
+ *   its words are scent words)
+ */
+
+const { NOTE_POSITIONS, validateBlend, normalizeOilName } = require('./blendSchema');
+const { notePositionsOf } = require('./blendStructures');
+const { sameBlend } = require('./recipeVersions');
+
+// Enumerated rule-based candidates considered per request
+const MAX_CANDIDATES = 1000;
+
+// Alternatives sharing more of their oils than this (Jaccard index) are too alike:
+// at most one of three oils, or two of five
+const MAX_OVERLAP = 0.4;
+
+const SCORE_WEIGHTS = { description: 0.4, balance: 0.3, compatibility: 0.3 };
+
+// Families in fragrance wheel order; neighbours blend most easily
+const FRAGRANCE_WHEEL = ['citrus', 'herbal', 'floral', 'spice', 'resinous', 'woody', 'earthy'];
+
+// Affinity by distance on the wheel (0 = same family)
+const WHEEL_AFFINITY = [0.8, 1, 0.75, 0.5];
+
+// Pairs scoring below this clash (opposite wheel families without a shared descriptor)
+const MIN_PAIR_COMPATIBILITY = 0.4;
+
+const NOTE_RATIONALES = {
+  'TOP': 'Light opening note that provides initial impression',
+  'MIDDLE': 'Heart of the blend providing main character',
+  'BASE': 'Foundation note that grounds and anchors the blend'
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'for', 'with', 'of', 'to', 'in', 'on', 'my', 'me', 'it', 'is', 'something',
+  'blend', 'scent', 'smell', 'smelling', 'oil', 'oils', 'make', 'made', 'like', 'very', 'bit', 'some', 'that'
+]);
+
+/**
+ * Rounds a score to three decimals
+ *
+ * @param {number} value - Score
+ * @returns {number} - Rounded score
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Scales whole-number percentages so they total 100
+ *
+ * @param {number[]} values - Percentages
+ * @returns {number[]} - Percentages totalling 100
+ */
+function toHundred(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total === 100) return values;
+
+  let remainder = 100;
+  return values.map((value, index) => {
+    const scaled = index === values.length - 1 ? remainder : Math.round(value * 100 / total);
+    remainder -= scaled;
+    return scaled;
+  });
+}
+
+/**
+ * Every way of choosing `size` items from a list, in list order
+ *
+ * @param {Array} items - Items to choose from
+ * @param {number} size - Items per combination
+ * @returns {Array[]} - Combinations
+ */
+function combinations(items, size) {
+  if (size === 0) return [[]];
+  if (items.length < size) return [];
+  const [first, ...rest] = items;
+  return [
+    ...combinations(rest, size - 1).map(combination => [first, ...combination]),
+    ...combinations(rest, size)
+  ];
+}
+
+/**
+ * Enumerates rule-based blends: every way of giving each slot of the
+ * structure a different oil that can play its note. With fewer oils than
+ * slots, the sets of slots the oils can all play are filled, those with the
+ * largest targets first (any set of the largest slots if none fits).
+ *
+ * @param {string[]} oils - Oil names the blends may use
+ * @param {Object} structure - Resolved blend structure
+ * @param {Object} catalog - Oil records keyed by name
+ * @param {Object} [options]
+ * @param {string} [options.description] - Target description, used in the scent profile
+ * @param {number} [options.limit=MAX_CANDIDATES] - Most blends to return
+ * @returns {Object[]} - Structured blends
+ */
+function enumerateBlends(oils, structure, catalog, { description = '', limit = MAX_CANDIDATES } = {}) {
+  const names = oils.map(normalizeOilName).filter(oil => catalog[oil]);
+  const suitedFor = slot => names.filter(oil => notePositionsOf(catalog[oil]).includes(slot.note));
+  const targetOf = set => set.reduce((sum, slot) => sum + slot.target, 0);
+
+  let slotSets = combinations(structure.slots, Math.min(names.length, structure.slots.length))
+    .sort((a, b) => targetOf(b) - targetOf(a));
+  const playable = slotSets.filter(set => set.every(slot => suitedFor(slot).length > 0));
+  slotSets = playable.length > 0 ? playable : slotSets.slice(0, 1);
+
+  const blends = [];
+  slotSets.forEach(set => {
+    if (blends.length >= limit) return;
+
+    const slots = [...set].sort((a, b) => NOTE_POSITIONS.indexOf(a.note) - NOTE_POSITIONS.indexOf(b.note) || b.target - a.target);
+    const percentages = toHundred(slots.map(slot => slot.target));
+
+    // Oils for each slot: those suited to its note, or any oil when none is
+    const options = slots.map(slot => (suitedFor(slot).length > 0 ? suitedFor(slot) : names));
+
+    const assigned = [];
+    let budget = limit;
+    const fill = index => {
+      if (blends.length >= budget) return;
+      if (index === slots.length) {
+        const entries = slots.map((slot, i) => ({
+          oil: assigned[i],
+          percentage: percentages[i],
+          note: slot.note,
+          rationale: NOTE_RATIONALES[slot.note]
+        }));
+        blends.push({
+          oils: entries,
+          scentProfile: `A ${entries.length}-oil ${structure.name} blend of ${entries.map(entry => entry.oil).join(', ')} for "${description}".`
+        });
+        return;
+      }
+
+      // Slots of the same note take their oils in list order, so swapping two
+      // middle notes does not count as another blend
+      const floor = index > 0 && slots[index - 1].note === slots[index].note
+        ? options[index].indexOf(assigned[index - 1])
+        : -1;
+
+      options[index].forEach((oil, position) => {
+        if (position <= floor || assigned.includes(oil)) return;
+        // Share the limit between the first slot's oils so one of them cannot use it all up
+        if (index === 0) budget = blends.length + Math.ceil((limit - blends.length) / (options[0].length - position));
+        assigned.push(oil);
+        fill(index + 1);
+        assigned.pop();
+      });
+    };
+    fill(0);
+  });
+
+  return blends;
+}
+
+/**
+ * Words of a description that say something about scent
+ *
+ * @param {string} description - Target scent description
+ * @returns {string[]} - Lowercase terms
+ */
+function descriptionTerms(description) {
+  return [...new Set(String(description || '').toLowerCase().split(/[^a-z-]+/))]
+    .filter(term => term.length > 2 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Stem a description term is matched on, so "relaxing" finds "relax" and
+ * "woods" finds "woody"
+ *
+ * @param {string} term - Description term
+ * @returns {string} - Prefix a matching word starts with
+ */
+function termStem(term) {
+  return term.length > 5 ? term.slice(0, term.length - 3) : term.slice(0, 4);
+}
+
+/**
+ * Whether an oil's record echoes a description term
+ *
+ * @param {Object} record - Oil record
+ * @param {string} name - Oil name
+ * @param {string} term - Description term
+ * @returns {boolean} - True if the oil matches
+ */
+function oilMatchesTerm(record, name, term) {
+  const stem = termStem(term);
+  const words = [name, record.category, record.description || '', ...record.notes]
+    .join(' ')
+    .toLowerCase()
+    .split(/[^a-z]+/);
+  return words.some(word => word.startsWith(stem));
+}
+
+/**
+ * How well a blend answers its description
+ *
+ * @param {Object} blend - Structured blend
+ * @param {string} description - Target scent description
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {number|null} - Score, or null when the description has no scent words
+ */
+function scoreDescription(blend, description, catalog) {
+  const terms = descriptionTerms(description);
+  if (terms.length === 0) return null;
+
+  const matchesOf = entry => (catalog[entry.oil]
+    ? terms.filter(term => oilMatchesTerm(catalog[entry.oil], entry.oil, term))
+    : []);
+  const matched = new Set(blend.oils.flatMap(matchesOf));
+  const matchedShare = blend.oils
+    .filter(entry => matchesOf(entry).length > 0)
+    .reduce((sum, entry) => sum + entry.percentage, 0) / 100;
+
+  return 0.5 * (matched.size / terms.length) + 0.5 * matchedShare;
+}
+
+/**
+ * How closely a blend follows the note pyramid of its structure
+ *
+ * @param {Object} blend - Structured blend
+ * @param {Object} structure - Resolved blend structure
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {number} - Score
+ */
+function scoreBalance(blend, structure, catalog) {
+  const share = (items, note, key) => items
+    .filter(item => item.note === note)
+    .reduce((sum, item) => sum + item[key], 0);
+  const targetTotal = structure.slots.reduce((sum, slot) => sum + slot.target, 0);
+
+  // Half the summed distance is the share of the blend in the wrong note
+  const distance = NOTE_POSITIONS.reduce((sum, note) =>
+    sum + Math.abs(share(blend.oils, note, 'percentage') - share(structure.slots, note, 'target') * 100 / targetTotal), 0);
+  const pyramid = 1 - distance / 200;
+
+  const suited = blend.oils
+    .filter(entry => catalog[entry.oil] && notePositionsOf(catalog[entry.oil]).includes(entry.note))
+    .reduce((sum, entry) => sum + entry.percentage, 0) / 100;
+
+  return 0.5 * pyramid + 0.5 * suited;
+}
+
+/**
+ * How well two oils sit together
+ *
+ * @param {Object} a - Oil record
+ * @param {Object} b - Oil record
+ * @returns {number} - Score
+ */
+function pairCompatibility(a, b) {
+  const from = FRAGRANCE_WHEEL.indexOf(a.category);
+  const to = FRAGRANCE_WHEEL.indexOf(b.category);
+  let affinity = 0.6;
+  if (from !== -1 && to !== -1) {
+    const steps = Math.abs(from - to);
+    affinity = WHEEL_AFFINITY[Math.min(steps, FRAGRANCE_WHEEL.length - steps)];
+  }
+
+  // A shared descriptor bridges two oils
+  const bridged = a.notes.some(note => b.notes.includes(note));
+  return 0.7 * affinity + 0.3 * (bridged ? 1 : 0);
+}
+
+/**
+ * How compatible a blend's oils are, pairs weighted by their shares
+ *
+ * @param {Object} blend - Structured blend
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {number} - Score (1 for a single oil)
+ */
+function scoreCompatibility(blend, catalog) {
+  const entries = blend.oils.filter(entry => catalog[entry.oil]);
+  let total = 0;
+  let weights = 0;
+
+  entries.forEach((a, i) => {
+    entries.slice(i + 1).forEach(b => {
+      const weight = a.percentage * b.percentage;
+      total += weight * pairCompatibility(catalog[a.oil], catalog[b.oil]);
+      weights += weight;
+    });
+  });
+
+  return weights > 0 ? total / weights : 1;
+}
+
+/**
+ * Scores a blend
+ *
+ * @param {Object} blend - Structured blend
+ * @param {Object} context
+ * @param {string} context.description - Target scent description
+ * @param {Object} context.structure - Resolved blend structure
+ * @param {Object} context.catalog - Oil records keyed by name
+ * @returns {Object} - { description, balance, compatibility, total }
+ */
+function scoreBlend(blend, { description, structure, catalog }) {
+  const scores = {
+    description: scoreDescription(blend, description, catalog),
+    balance: scoreBalance(blend, structure, catalog),
+    compatibility: scoreCompatibility(blend, catalog)
+  };
+
+  const weighed = Object.keys(SCORE_WEIGHTS).filter(key => scores[key] !== null);
+  const weightTotal = weighed.reduce((sum, key) => sum + SCORE_WEIGHTS[key], 0);
+  const total = weighed.reduce((sum, key) => sum + scores[key] * SCORE_WEIGHTS[key], 0) / weightTotal;
+
+  return {
+    description: scores.description === null ? null : round(scores.description),
+    balance: round(scores.balance),
+    compatibility: round(scores.compatibility),
+    total: round(total)
+  };
+}
+
+/**
+ * Share of oils two blends have in common (Jaccard index)
+ *
+ * @param {Object} a - Structured blend
+ * @param {Object} b - Structured blend
+ * @returns {number} - 0 (no oil in common) to 1 (same oils)
+ */
+function oilOverlap(a, b) {
+  const oilsA = new Set(a.oils.map(entry => entry.oil));
+  const oilsB = new Set(b.oils.map(entry => entry.oil));
+  const shared = [...oilsA].filter(oil => oilsB.has(oil)).length;
+  return shared / (oilsA.size + oilsB.size - shared);
+}
+
+/**
+ * Counts the different blends among candidates
+ *
+ * @param {Object[]} candidates - [{ blend, ...details }]
+ * @returns {number} - Candidates left once identical blends are counted once
+ */
+function countDistinctBlends(candidates) {
+  return candidates
+    .filter((candidate, index) => candidates.findIndex(other => sameBlend(other.blend, candidate.blend)) === index)
+    .length;
+}
+
+/**
+ * Scores candidates and picks the best distinct ones. Candidates that share
+ * too many oils with a better one are skipped; when that leaves fewer than
+ * `count`, the rule is relaxed to different oils, then to different blends.
+ *
+ * @param {Object[]} candidates - [{ blend, ...details }]; invalid blends are dropped
+ * @param {Object} context
+ * @param {number} context.count - Alternatives wanted
+ * @param {string} context.description - Target scent description
+ * @param {Object} context.structure - Resolved blend structure
+ * @param {string[]} context.oils - Oils the blends may use
+ * @param {Object} context.catalog - Oil records keyed by name
+ * @returns {Object[]} - Up to count candidates, best first, each with score and rank
+ */
+function rankBlends(candidates, { count, description, structure, oils, catalog }) {
+  const scored = candidates
+    .filter(candidate => validateBlend(candidate.blend, oils, structure).valid)
+    .map(candidate => ({ ...candidate, score: scoreBlend(candidate.blend, { description, structure, catalog }) }))
+    .sort((a, b) => b.score.total - a.score.total);
+
+  const picked = [];
+  [MAX_OVERLAP, 1 - Number.EPSILON, 1].forEach(limit => {
+    scored.forEach(candidate => {
+      if (picked.length >= count || picked.includes(candidate)) return;
+      const distinct = picked.every(other => limit === 1
+        ? !sameBlend(other.blend, candidate.blend)
+        : oilOverlap(other.blend, candidate.blend) <= limit);
+      if (distinct) picked.push(candidate);
+    });
+  });
+
+  return picked
+    .sort((a, b) => b.score.total - a.score.total)
+    .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+}
+
+module.exports = {
+  NOTE_RATIONALES,
+  MIN_PAIR_COMPATIBILITY,
+  toHundred,
+  enumerateBlends,
+  descriptionTerms,
+  termStem,
+  pairCompatibility,
+  scoreCompatibility,
+  scoreBlend,
+  countDistinctBlends,
+  rankBlends
+};
@@ -0,0 +1,73 @@
+/**
+ * Blend Costing
+ *
+ * Material cost of a finished product: the volume of each essential oil and
+ * of the carrier (from blendDilution.js) times the user's price per ml
+ * (from priceList.js). Costs are in the currency the prices were recorded in.
+ *
+ * Items without a price are listed in `missingPrices` and left out of the
+ * total, so a partial price list still gives a (lower bound) cost.
+ */
+
+/**
+ * Rounds a cost to a tenth of a cent
+ *
+ * @param {number} value - Cost
+ * @returns {number} - Rounded cost
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Prices one line of the recipe
+ *
+ * @param {number} ml - Volume used
+ * @param {Object} [price] - Price list entry with pricePerMl
+ * @returns {Object} - { pricePerMl, cost } (both null without a price)
+ */
+function priceLine(ml, price) {
+  return price
+    ? { pricePerMl: price.pricePerMl, cost: round(ml * price.pricePerMl) }
+    : { pricePerMl: null, cost: null };
+}
+
+/**
+ * Calculates the material cost of a scaled blend
+ *
+ * @param {Object} formulation - Result of scaleBlend
+ * @param {Object} prices - Price list from PriceList#get: { oils, carriers }
+ * @returns {Object} - { volumeMl, oils: [{ oil, ml, pricePerMl, cost }], carrier, total, costPerMl, missingPrices, complete }
+ */
+function calculateBlendCost(formulation, prices) {
+  const { product } = formulation;
+
+  const oils = formulation.oils.map(({ oil, ml }) => ({ oil, ml, ...priceLine(ml, prices.oils[oil]) }));
+  const carrier = {
+    id: product.carrier.id,
+    name: product.carrier.name,
+    ml: formulation.carrier.ml,
+    ...priceLine(formulation.carrier.ml, prices.carriers[product.carrier.id])
+  };
+
+  const lines = [...oils, carrier].filter(line => line.ml > 0);
+  const total = round(lines.reduce((sum, line) => sum + (line.cost || 0), 0));
+  const missingPrices = [
+    ...oils.filter(line => line.cost === null).map(line => line.oil),
+    ...(carrier.cost === null && carrier.ml > 0 ? [carrier.id] : [])
+  ];
+
+  return {
+    volumeMl: product.volumeMl,
+    oils,
+    carrier,
+    total,
+    costPerMl: round(total / product.volumeMl),
+    missingPrices,
+    complete: missingPrices.length === 0
+  };
+}
+
+module.exports = {
+  calculateBlendCost
+};
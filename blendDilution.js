@@ -0,0 +1,227 @@
+/**
+ * Blend Dilution Calculator
+ *
+ * Turns a blend's percentages into a recipe for a finished product: how many
+ * drops, ml and grams of each essential oil and of the carrier to measure out.
+ *
+ * Percentages in a blend are shares of the essential oil mix (they add up to
+ * 100); the product concentration is how much of the finished product is
+ * essential oil (v/v). For a 10 ml roller at 2% that is 0.2 ml of oil mix.
+ */
+
+const essentialOils = require('./essentialOils');
+const { normalizeOilName } = require('./blendSchema');
+
+// Used for oils without measured drop size or density
+const DEFAULT_DROPS_PER_ML = 20;
+const DEFAULT_DENSITY = 0.9;
+
+// Allowed rounding drift when checking that percentages add up to 100
+const PERCENTAGE_TOLERANCE = 0.5;
+
+const CARRIERS = {
+  'fractionated-coconut': { name: 'Fractionated coconut oil', density: 0.93 },
+  'sweet-almond': { name: 'Sweet almond oil', density: 0.92 },
+  'perfumers-alcohol': { name: "Perfumer's alcohol", density: 0.79 },
+  'water': { name: 'Water', density: 1.0 }
+};
+
+const PRODUCT_PRESETS = {
+  'roller-2': {
+    name: '10 ml roller, 2%',
+    description: 'Everyday roll-on for adults',
+    volumeMl: 10,
+    concentration: 2,
+    carrier: 'fractionated-coconut',
+    useCase: 'topical'
+  },
+  'roller-3': {
+    name: '10 ml roller, 3%',
+    description: 'Stronger roll-on for short-term or spot use',
+    volumeMl: 10,
+    concentration: 3,
+    carrier: 'fractionated-coconut',
+    useCase: 'topical'
+  },
+  'diffuser': {
+    name: 'Diffuser dose',
+    description: 'One dose for a 100 ml ultrasonic diffuser tank (about 6 drops)',
+    volumeMl: 100,
+    concentration: 0.3,
+    carrier: 'water',
+    useCase: 'diffuser'
+  },
+  'edp': {
+    name: '30 ml eau de parfum',
+    description: 'Alcohol-based perfume at 15-20% concentration',
+    volumeMl: 30,
+    concentration: 18,
+    minConcentration: 15,
+    maxConcentration: 20,
+    carrier: 'perfumers-alcohol',
+    useCase: 'topical'
+  },
+  'massage-oil': {
+    name: 'Massage oil, 1%',
+    description: '50 ml full-body massage oil',
+    volumeMl: 50,
+    concentration: 1,
+    carrier: 'sweet-almond',
+    useCase: 'topical'
+  }
+};
+
+/**
+ * Rounds to a fixed number of decimals
+ *
+ * @param {number} value - Value to round
+ * @param {number} [decimals=3] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 3) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Resolves the `product` request parameter into a concrete product
+ *
+ * Accepts a preset id ("roller-2") or an object with a preset id and
+ * overrides: { "id": "edp", "volumeMl": 50, "concentration": 20 }.
+ * Concentration overrides must stay within the preset's allowed range.
+ *
+ * @param {string|Object} input - Preset id or { id, volumeMl, concentration }
+ * @returns {{error: string}|{product: Object}} - Error or { id, name, description, volumeMl, concentration, carrier, useCase }
+ */
+function resolveProduct(input) {
+  const id = typeof input === 'string' ? input : input && input.id;
+  // Own keys only, so ids like "constructor" are unknown rather than Object members
+  if (!Object.hasOwn(PRODUCT_PRESETS, id)) {
+    return { error: `Unknown product "${id}". Available products: ${Object.keys(PRODUCT_PRESETS).join(', ')}` };
+  }
+  const preset = PRODUCT_PRESETS[id];
+
+  const overrides = typeof input === 'object' ? input : {};
+  const volumeMl = overrides.volumeMl === undefined ? preset.volumeMl : Number(overrides.volumeMl);
+  const concentration = overrides.concentration === undefined ? preset.concentration : Number(overrides.concentration);
+  const minConcentration = preset.minConcentration === undefined ? preset.concentration : preset.minConcentration;
+  const maxConcentration = preset.maxConcentration === undefined ? preset.concentration : preset.maxConcentration;
+
+  if (!isFinite(volumeMl) || volumeMl <= 0 || volumeMl > 1000) {
+    return { error: 'Product volumeMl must be a number between 0 and 1000' };
+  }
+  if (!isFinite(concentration) || concentration < minConcentration || concentration > maxConcentration) {
+    return {
+      error: minConcentration === maxConcentration
+        ? `Product "${id}" is fixed at ${preset.concentration}% concentration`
+        : `Product "${id}" concentration must be between ${minConcentration}% and ${maxConcentration}%`
+    };
+  }
+
+  return {
+    product: {
+      id,
+      name: preset.name,
+      description: preset.description,
+      volumeMl,
+      concentration,
+      carrier: { id: preset.carrier, ...CARRIERS[preset.carrier] },
+      useCase: preset.useCase
+    }
+  };
+}
+
+/**
+ * Checks the oils and percentages of a blend supplied by a client.
+ * Looser than validateBlend: note positions and structure are not required.
+ *
+ * @param {Object} blend - { oils: [{ oil, percentage }] }
+ * @returns {string[]} - Validation errors (empty when the blend can be scaled)
+ */
+function validateBlendOils(blend) {
+  if (!blend || !Array.isArray(blend.oils) || blend.oils.length === 0) {
+    return ['Blend must be an object with a non-empty "oils" array'];
+  }
+
+  const errors = [];
+  let total = 0;
+
+  blend.oils.forEach((entry, index) => {
+    const item = entry || {};
+    const oil = typeof item.oil === 'string' ? normalizeOilName(item.oil) : '';
+    if (!essentialOils[oil]) {
+      errors.push(`oils[${index}].oil "${item.oil}" is not in the oil database`);
+    }
+    if (typeof item.percentage !== 'number' || !isFinite(item.percentage) || item.percentage <= 0) {
+      errors.push(`oils[${index}].percentage must be a positive number`);
+    } else {
+      total += item.percentage;
+    }
+  });
+
+  if (errors.length === 0 && Math.abs(total - 100) > PERCENTAGE_TOLERANCE) {
+    errors.push(`Percentages must sum to 100, got ${total}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Scales a blend to a finished product
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage }] (percentages sum to 100)
+ * @param {Object} product - Resolved product from resolveProduct
+ * @returns {Object} - { product, oils: [{ oil, percentage, productPercentage, drops, exactDrops, ml, grams }], essentialOils, carrier, total }
+ */
+function scaleBlend(blend, product) {
+  const essentialOilMl = product.volumeMl * product.concentration / 100;
+
+  const oils = blend.oils.map(({ oil: name, percentage }) => {
+    const oil = normalizeOilName(name);
+    const data = essentialOils[oil] || {};
+    const ml = essentialOilMl * percentage / 100;
+    const drops = ml * (data.dropsPerMl || DEFAULT_DROPS_PER_ML);
+
+    return {
+      oil,
+      percentage,
+      productPercentage: round(product.concentration * percentage / 100),
+      // Whole drops are what people can measure; never round an oil away entirely
+      drops: Math.max(1, Math.round(drops)),
+      exactDrops: round(drops, 1),
+      ml: round(ml),
+      grams: round(ml * (data.density || DEFAULT_DENSITY))
+    };
+  });
+
+  const carrierMl = product.volumeMl - essentialOilMl;
+  const essentialOilGrams = oils.reduce((sum, item) => sum + item.grams, 0);
+  const carrierGrams = carrierMl * product.carrier.density;
+
+  return {
+    product,
+    oils,
+    essentialOils: {
+      drops: oils.reduce((sum, item) => sum + item.drops, 0),
+      ml: round(essentialOilMl),
+      grams: round(essentialOilGrams)
+    },
+    carrier: {
+      name: product.carrier.name,
+      ml: round(carrierMl),
+      grams: round(carrierGrams)
+    },
+    total: {
+      ml: round(product.volumeMl),
+      grams: round(essentialOilGrams + carrierGrams)
+    }
+  };
+}
+
+module.exports = {
+  PRODUCT_PRESETS,
+  CARRIERS,
+  resolveProduct,
+  validateBlendOils,
+  scaleBlend
+};
@@ -0,0 +1,212 @@
+/**
+ * Blend Evaluation
+ *
+ * Critiques a formula written by hand: which note each oil plays, how the
+ * pyramid compares with the target structure, which oils overpower the rest
+ * for their share, and how each pair of oils sits together. Findings are
+ * listed as issues with a severity, like the safety warnings:
+ * - warning: likely to spoil the blend (a clashing pair, an overpowering oil)
+ * - info:    worth a second look (a note off its usual position, look-alike oils)
+ *
+ * Pair similarity comes from the similarity engines: descriptor TF-IDF
+ * vectors (scentEmbeddings.js) and, when they have been generated, the
+ * LLM's cached similarity scores (llmScentEmbeddings.js).
+ */
+
+const ScentEmbeddings = require('./scentEmbeddings');
+const LLMScentEmbeddings = require('./llmScentEmbeddings');
+const { NOTE_POSITIONS, validateBlend } = require('./blendSchema');
+const { notePositionsOf } = require('./blendStructures');
+const { MIN_PAIR_COMPATIBILITY, pairCompatibility, scoreBlend } = require('./blendAlternatives');
+const { checkBlendSafety } = require('./blendSafety');
+
+// Relative diffusive strength by intensity; heavy oils last rather than shout
+const INTENSITY_WEIGHTS = { light: 1, medium: 1.5, heavy: 1.5, strong: 3 };
+
+// Note for oils whose category gives none, by intensity
+const INTENSITY_NOTES = { light: 'TOP', medium: 'MIDDLE', heavy: 'BASE', strong: 'MIDDLE' };
+
+// An oil overpowers the blend when its perceived share reaches this (%) ...
+const DOMINANCE_SHARE = 35;
+// ... and is this many times its actual share
+const DOMINANCE_RATIO = 1.25;
+
+// Note shares further than this (percentage points) from the structure are called out
+const PYRAMID_TOLERANCE = 10;
+
+// Oils more alike than this (descriptor similarity) in the same family duplicate each other
+const REDUNDANT_SIMILARITY = 0.8;
+
+/**
+ * Rounds to one decimal
+ *
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Rounds to three decimals
+ *
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Loads the similarity engines for the current catalog
+ *
+ * @returns {Function} - (oilA, oilB) => { descriptors, llm } (llm null when not cached)
+ */
+function createSimilarity() {
+  const descriptors = new ScentEmbeddings();
+  descriptors.buildVocabulary();
+  descriptors.createEmbeddings();
+
+  const llm = new LLMScentEmbeddings();
+  llm.loadCache();
+
+  return (a, b) => {
+    const vectorA = descriptors.embeddings[a];
+    const vectorB = descriptors.embeddings[b];
+    const length = Math.sqrt(descriptors.dotProduct(vectorA, vectorA) * descriptors.dotProduct(vectorB, vectorB));
+    const cached = llm.similarityMatrix[llm.getSimilarityKey(a, b)];
+
+    return {
+      descriptors: length > 0 ? round3(descriptors.dotProduct(vectorA, vectorB) / length) : 0,
+      llm: cached ? round3(cached.similarity / 100) : null
+    };
+  };
+}
+
+/**
+ * Evaluates a formula
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage, note? }] (catalog names, percentages summing to 100)
+ * @param {Object} context
+ * @param {Object} context.structure - Resolved structure to compare the pyramid with
+ * @param {Object} context.catalog - Oil records keyed by name
+ * @param {string} [context.description] - What the formula is meant to smell like
+ * @param {string[]} [context.useCases=[]] - Resolved safety use cases
+ * @param {number} [context.concentration] - Essential oil % in the finished product, if known
+ * @param {Function} [context.similarity] - Pair similarity (defaults to createSimilarity())
+ * @returns {Object} - { oils, pyramid, dominance, pairs, score, safety, issues }
+ */
+function evaluateBlend(blend, {
+  structure, catalog, description = '', useCases = [], concentration = null, similarity = createSimilarity()
+}) {
+  const issues = [];
+
+  // Notes: as written, or the oil's usual position
+  const oils = blend.oils.map(({ oil, percentage, note }) => {
+    const record = catalog[oil];
+    const positions = notePositionsOf(record);
+    const usual = positions[0] || INTENSITY_NOTES[record.intensity] || 'MIDDLE';
+    const entry = {
+      oil,
+      percentage,
+      note: note || usual,
+      inferred: !note,
+      usualNotes: positions,
+      intensity: record.intensity
+    };
+
+    if (note && positions.length > 0 && !positions.includes(note)) {
+      issues.push({
+        severity: 'info',
+        code: 'note-position',
+        oil,
+        message: `${oil} is usually a ${positions.join(' or ')} note, not ${note}`
+      });
+    }
+    return entry;
+  });
+
+  // Pyramid against the structure's target shares
+  const targetTotal = structure.slots.reduce((sum, slot) => sum + slot.target, 0);
+  const notes = NOTE_POSITIONS.map(note => {
+    const actual = oils.filter(entry => entry.note === note).reduce((sum, entry) => sum + entry.percentage, 0);
+    const target = structure.slots.filter(slot => slot.note === note).reduce((sum, slot) => sum + slot.target, 0) * 100 / targetTotal;
+    return { note, actual: round1(actual), target: round1(target), delta: round1(actual - target) };
+  });
+  notes.filter(item => Math.abs(item.delta) > PYRAMID_TOLERANCE).forEach(item => {
+    issues.push({
+      severity: 'warning',
+      code: 'pyramid',
+      note: item.note,
+      message: `${item.note} notes are ${item.actual}% of the blend; the ${structure.name} structure aims for about ${item.target}%`
+    });
+  });
+  const structureErrors = validateBlend({ oils }, oils.map(entry => entry.oil), structure).errors || [];
+
+  // Intensity dominance: share of the blend's perceived strength
+  const strength = entry => entry.percentage * (INTENSITY_WEIGHTS[entry.intensity] || 1);
+  const totalStrength = oils.reduce((sum, entry) => sum + strength(entry), 0);
+  const dominance = oils.map(entry => ({
+    oil: entry.oil,
+    percentage: entry.percentage,
+    intensity: entry.intensity,
+    perceivedShare: round1(strength(entry) * 100 / totalStrength)
+  }));
+  dominance
+    .filter(item => oils.length > 1 && item.perceivedShare >= DOMINANCE_SHARE && item.perceivedShare >= item.percentage * DOMINANCE_RATIO)
+    .forEach(item => {
+      issues.push({
+        severity: 'warning',
+        code: 'dominance',
+        oil: item.oil,
+        message: `${item.oil} (${item.intensity}) is ${item.percentage}% of the blend but about ${item.perceivedShare}% of its strength and will overpower the rest`
+      });
+    });
+
+  // Pairs: compatibility and similarity
+  const pairs = [];
+  oils.forEach((a, i) => {
+    oils.slice(i + 1).forEach(b => {
+      const recordA = catalog[a.oil];
+      const recordB = catalog[b.oil];
+      const pair = {
+        oils: [a.oil, b.oil],
+        compatibility: round3(pairCompatibility(recordA, recordB)),
+        similarity: similarity(a.oil, b.oil)
+      };
+      pairs.push(pair);
+
+      if (pair.compatibility < MIN_PAIR_COMPATIBILITY) {
+        issues.push({
+          severity: 'warning',
+          code: 'clash',
+          oils: pair.oils,
+          message: `${a.oil} (${recordA.category}) and ${b.oil} (${recordB.category}) share no descriptors and sit far apart on the fragrance wheel; a bridging oil may help`
+        });
+      } else if (recordA.category === recordB.category && pair.similarity.descriptors >= REDUNDANT_SIMILARITY) {
+        issues.push({
+          severity: 'info',
+          code: 'redundant',
+          oils: pair.oils,
+          message: `${a.oil} and ${b.oil} smell much alike; one of them may be enough`
+        });
+      }
+    });
+  });
+
+  return {
+    oils,
+    pyramid: { structure: structure.id, notes, errors: structureErrors },
+    dominance,
+    pairs,
+    score: scoreBlend({ oils }, { description, structure, catalog }),
+    safety: checkBlendSafety(blend, { useCases, concentration }),
+    issues
+  };
+}
+
+module.exports = {
+  INTENSITY_WEIGHTS,
+  createSimilarity,
+  evaluateBlend
+};
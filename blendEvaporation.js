@@ -0,0 +1,134 @@
+/**
+ * Blend Evaporation
+ *
+ * Simulates how a blend smells as it dries down. Each oil fades
+ * exponentially with its half-life (halfLifeMinutes in the catalog): after
+ * one half-life half of its scent is left, after two a quarter. What is left
+ * of each oil, weighted by how strongly it carries (its intensity), gives the
+ * blend's perceived composition at each point in time: bright citrus at first,
+ * the heart after an hour or two, the base notes by evening.
+ */
+
+const { notePositionsOf } = require('./blendStructures');
+const { NOTE_POSITIONS } = require('./blendSchema');
+const { INTENSITY_WEIGHTS } = require('./blendEvaluation');
+
+// Points in time the timeline reports
+const TIMELINE_MINUTES = [0, 30, 120, 240, 480];
+
+// Half-lives (minutes) for catalog records that don't give one
+const DEFAULT_HALF_LIVES = { light: 30, medium: 120, strong: 45, heavy: 600 };
+
+/**
+ * Rounds to one decimal
+ *
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Half-life of an oil's scent
+ *
+ * @param {Object} record - Oil record
+ * @returns {number} - Minutes
+ */
+function halfLifeOf(record) {
+  return record.halfLifeMinutes || DEFAULT_HALF_LIVES[record.intensity] || DEFAULT_HALF_LIVES.medium;
+}
+
+/**
+ * Labels a point in time: "30 min", "2 h", "1.5 h"
+ *
+ * @param {number} minutes - Minutes since application
+ * @returns {string} - Label
+ */
+function timeLabel(minutes) {
+  return minutes < 60 ? `${minutes} min` : `${round(minutes / 60)} h`;
+}
+
+/**
+ * Perceived composition of a blend over time
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage, note? }] (catalog names)
+ * @param {Object} options
+ * @param {Object} options.catalog - Oil records keyed by name
+ * @param {number[]} [options.minutes] - Points in time (default 0 min, 30 min, 2 h, 4 h, 8 h)
+ * @returns {Object} - { oils: [{ oil, note, halfLifeMinutes }], points: [{ minutes, label, strength,
+ *                     dominant, notes: { TOP, MIDDLE, BASE }, oils: [{ oil, remaining, share }] }] }
+ *                     with strength and remaining in % of the start, shares in % of the scent at that time
+ */
+function simulateEvaporation(blend, { catalog, minutes = TIMELINE_MINUTES }) {
+  const oils = blend.oils.map(({ oil, percentage, note }) => {
+    const record = catalog[oil];
+    return {
+      oil,
+      percentage,
+      note: note || notePositionsOf(record)[0] || 'MIDDLE',
+      halfLifeMinutes: halfLifeOf(record),
+      weight: INTENSITY_WEIGHTS[record.intensity] || 1
+    };
+  });
+  const initial = oils.reduce((sum, entry) => sum + entry.percentage * entry.weight, 0);
+
+  const points = minutes.map(time => {
+    const remaining = oils.map(entry => Math.pow(0.5, time / entry.halfLifeMinutes));
+    const perceived = oils.map((entry, i) => entry.percentage * entry.weight * remaining[i]);
+    const total = perceived.reduce((sum, value) => sum + value, 0);
+
+    const shares = oils.map((entry, i) => ({
+      oil: entry.oil,
+      remaining: round(remaining[i] * 100),
+      share: total > 0 ? round(perceived[i] * 100 / total) : 0
+    }));
+    const notes = {};
+    NOTE_POSITIONS.forEach(note => {
+      notes[note] = round(shares.filter((share, i) => oils[i].note === note).reduce((sum, share) => sum + share.share, 0));
+    });
+
+    return {
+      minutes: time,
+      label: timeLabel(time),
+      strength: initial > 0 ? round(total * 100 / initial) : 0,
+      dominant: shares.reduce((best, share) => (share.share > best.share ? share : best)).oil,
+      notes,
+      oils: shares
+    };
+  });
+
+  return {
+    oils: oils.map(({ oil, note, halfLifeMinutes }) => ({ oil, note, halfLifeMinutes })),
+    points
+  };
+}
+
+/**
+ * Chart data for a timeline: one series of shares per oil, for stacked area
+ * or line charts, plus the blend's fading strength
+ *
+ * @param {Object} timeline - From simulateEvaporation
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { labels, minutes, strength: [...], series: [{ oil, note, category, values: [...] }] }
+ */
+function timelineChart(timeline, catalog) {
+  return {
+    labels: timeline.points.map(point => point.label),
+    minutes: timeline.points.map(point => point.minutes),
+    strength: timeline.points.map(point => point.strength),
+    series: timeline.oils.map(({ oil, note }, i) => ({
+      oil,
+      note,
+      category: catalog[oil].category,
+      values: timeline.points.map(point => point.oils[i].share)
+    }))
+  };
+}
+
+module.exports = {
+  TIMELINE_MINUTES,
+  halfLifeOf,
+  simulateEvaporation,
+  timelineChart
+};
@@ -0,0 +1,187 @@
+/**
+ * Blend Job Queue
+ *
+ * Runs blend generation as background jobs so clients can submit a request,
+ * poll for status and cancel it instead of holding an HTTP connection open
+ * for the whole inference. Jobs run in FIFO order with bounded concurrency.
+ *
+ * Job lifecycle: queued -> running -> completed | failed | cancelled
+ *
+ * Jobs belong to the user who submitted them; other users can neither see
+ * nor cancel them.
+ */
+
+const crypto = require('crypto');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class BlendJobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runner - async (params, { signal, onProgress }) => result
+   * @param {number} [options.concurrency=1] - Jobs allowed to run at the same time
+   * @param {number} [options.maxQueued=50] - Queued jobs accepted before submit() refuses more
+   * @param {number} [options.retention=3600000] - How long finished jobs stay pollable (ms)
+   */
+  constructor({ runner, concurrency = 1, maxQueued = 50, retention = 3600000 }) {
+    this.runner = runner;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.retention = retention;
+    this.jobs = new Map();
+    this.queue = [];     // ids of queued jobs, oldest first
+    this.running = 0;
+  }
+
+  /**
+   * Queues a new job
+   *
+   * @param {string} userId - Owner of the job
+   * @param {Object} params - Passed to the runner unchanged
+   * @returns {Object|null} - Job snapshot, or null if the queue is full
+   */
+  submit(userId, params) {
+    if (this.queue.length >= this.maxQueued) {
+      return null;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      status: 'queued',
+      params,
+      progress: { stage: 'queued' },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    this.drain();
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Looks up a job
+   *
+   * @param {string} id - Job id
+   * @param {string} userId - Requesting user; other users' jobs are not found
+   * @returns {Object|null} - Job snapshot, or null if unknown, expired or someone else's
+   */
+  get(id, userId) {
+    const job = this.find(id, userId);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * Cancels a queued or running job. Running jobs are aborted through their
+   * AbortSignal, which stops the underlying inference.
+   *
+   * @param {string} id - Job id
+   * @param {string} userId - Requesting user
+   * @returns {Object|null} - Job snapshot, or null if unknown, expired or someone else's
+   */
+  cancel(id, userId) {
+    const job = this.find(id, userId);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) return this.snapshot(job);
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+    }
+
+    this.finish(job, 'cancelled', { error: 'Cancelled by client' });
+    job.controller.abort();
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Starts queued jobs while there is free capacity
+   */
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job) this.run(job);
+    }
+  }
+
+  find(id, userId) {
+    const job = this.jobs.get(id);
+    return job && job.userId === userId ? job : null;
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.progress = { stage: 'running' };
+
+    try {
+      const result = await this.runner(job.params, {
+        signal: job.controller.signal,
+        onProgress: update => {
+          job.progress = { ...job.progress, ...update };
+        }
+      });
+      if (job.status === 'running') {
+        this.finish(job, 'completed', { result });
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.running--;
+      this.drain();
+    }
+  }
+
+  finish(job, status, { result = null, error = null }) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.progress = { ...job.progress, stage: status };
+
+    // Finished jobs stay pollable for a while, then are forgotten
+    setTimeout(() => this.jobs.delete(job.id), this.retention).unref();
+  }
+
+  snapshot(job) {
+    const position = this.queue.indexOf(job.id);
+
+    return {
+      id: job.id,
+      status: job.status,
+      queuePosition: position === -1 ? null : position + 1,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Job counts for health checks
+   *
+   * @returns {Object} - Queued and running counts plus limits
+   */
+  stats() {
+    return {
+      queued: this.queue.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued
+    };
+  }
+}
+
+module.exports = BlendJobQueue;
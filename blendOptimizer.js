@@ -0,0 +1,287 @@
+/**
+ * Blend Optimizer
+ *
+ * Deterministic, model-free blend engine. The target description becomes a
+ * target vector over the catalog's descriptor vocabulary (oil notes and
+ * categories): "warm woody evening" weighs "warm" and "woody". Each oil is a
+ * vector of its own descriptors, and a blend is the percentage-weighted sum.
+ *
+ * The search:
+ * 1. enumerates every assignment of oils to the structure's note slots
+ *    (see blendAlternatives.js), dropping contraindicated oils and, where
+ *    anything else is possible, pairs that clash
+ * 2. bounds each oil by its slot range and, for skin products, by its dermal
+ *    and phototoxic limits at the product concentration
+ * 3. refines the percentages of the most promising assignments by hill
+ *    climbing on fit (cosine similarity to the target), pair compatibility
+ *    and closeness to the structure's targets
+ *
+ * Results are validated against the blend schema and the safety checks.
+ */
+
+const { validateBlend, normalizeOilName } = require('./blendSchema');
+const { matchSlots } = require('./blendStructures');
+const { USE_CASES, findContraindicatedOils, checkBlendSafety } = require('./blendSafety');
+const {
+  NOTE_RATIONALES, MIN_PAIR_COMPATIBILITY, enumerateBlends, descriptionTerms, termStem, pairCompatibility, scoreCompatibility
+} = require('./blendAlternatives');
+
+// Most promising oil assignments whose percentages are refined
+const SEARCH_WIDTH = 25;
+
+// Percentage points moved per hill climbing step, coarse to fine
+const STEPS = [5, 1];
+
+const OBJECTIVE_WEIGHTS = { fit: 0.6, compatibility: 0.25, balance: 0.15 };
+
+/**
+ * Rounds to three decimals
+ *
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Descriptors of an oil: its notes and its category
+ *
+ * @param {Object} record - Oil record
+ * @returns {string[]} - Lowercase descriptors
+ */
+function descriptorsOf(record) {
+  return [...new Set([...record.notes.map(note => note.toLowerCase()), record.category])];
+}
+
+/**
+ * Turns a description into weights over the catalog's descriptors. Each
+ * description word that matches spreads one unit of weight over the
+ * descriptors it matches; an oil named in the description stands for its own
+ * descriptors.
+ *
+ * @param {string} description - Target scent description
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { descriptor: weight }, weights totalling 1 (empty if nothing matched)
+ */
+function targetVector(description, catalog) {
+  const vocabulary = new Set();
+  Object.values(catalog).forEach(record => descriptorsOf(record).forEach(descriptor => vocabulary.add(descriptor)));
+
+  const target = {};
+  descriptionTerms(description).forEach(term => {
+    const named = catalog[normalizeOilName(term)];
+    const stem = termStem(term);
+    const matched = named
+      ? descriptorsOf(named)
+      : [...vocabulary].filter(descriptor => descriptor.split(/[^a-z]+/).some(word => word.startsWith(stem)));
+    matched.forEach(descriptor => {
+      target[descriptor] = (target[descriptor] || 0) + 1 / matched.length;
+    });
+  });
+
+  const total = Object.values(target).reduce((sum, weight) => sum + weight, 0);
+  Object.keys(target).forEach(descriptor => { target[descriptor] = round(target[descriptor] / total); });
+  return target;
+}
+
+/**
+ * Cosine similarity between a blend's descriptor vector and the target
+ *
+ * @param {Object[]} entries - Blend entries
+ * @param {Object} target - Target vector
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {number} - 0 to 1
+ */
+function fitOf(entries, target, catalog) {
+  const vector = {};
+  entries.forEach(({ oil, percentage }) => {
+    const descriptors = descriptorsOf(catalog[oil]);
+    descriptors.forEach(descriptor => {
+      vector[descriptor] = (vector[descriptor] || 0) + percentage / Math.sqrt(descriptors.length);
+    });
+  });
+
+  const norm = values => Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  const dot = Object.keys(target).reduce((sum, descriptor) => sum + (vector[descriptor] || 0) * target[descriptor], 0);
+  const length = norm(Object.values(vector)) * norm(Object.values(target));
+  return length > 0 ? dot / length : 0;
+}
+
+/**
+ * Highest percentage of the blend an oil may take in a skin product
+ *
+ * @param {Object} record - Oil record
+ * @param {boolean} dermal - Whether dermal limits apply
+ * @param {number|null} concentration - Essential oil % in the product
+ * @returns {number} - Percentage cap (100 when unlimited)
+ */
+function safetyCap(record, dermal, concentration) {
+  if (!dermal || !concentration) return 100;
+  const limits = [record.safety.maxDermal, record.safety.phototoxicMax].filter(limit => limit !== null);
+  return limits.length > 0 ? Math.min(100, Math.floor(Math.min(...limits) * 100 / concentration)) : 100;
+}
+
+/**
+ * Bounds an assignment's percentages and moves its starting percentages
+ * inside them, still totalling 100
+ *
+ * @param {Object[]} entries - Blend entries at the slot targets
+ * @param {Object} structure - Resolved blend structure
+ * @param {boolean} fullStructure - Whether slot ranges apply (every slot filled)
+ * @param {Function} capOf - Oil name -> safety cap
+ * @returns {Object|null} - { entries, bounds, targets }, or null if no percentages fit the bounds
+ */
+function prepare(entries, structure, fullStructure, capOf) {
+  const slotOf = new Map(fullStructure ? matchSlots(entries, structure.slots).map(({ entry, slot }) => [entry, slot]) : []);
+  const bounds = entries.map(entry => {
+    const slot = slotOf.get(entry);
+    return {
+      min: slot ? Math.ceil(slot.min) : 1,
+      max: Math.min(slot ? Math.floor(slot.max) : 100, capOf(entry.oil))
+    };
+  });
+  if (bounds.some(bound => bound.min > bound.max)) return null;
+
+  const targets = entries.map(entry => entry.percentage);
+  const start = entries.map((entry, i) => ({
+    ...entry,
+    percentage: Math.min(bounds[i].max, Math.max(bounds[i].min, entry.percentage))
+  }));
+
+  // Restore the total of 100 one point at a time, spreading the change
+  let difference = 100 - start.reduce((sum, entry) => sum + entry.percentage, 0);
+  while (difference !== 0) {
+    const direction = Math.sign(difference);
+    const movable = start.filter((entry, i) => (direction > 0 ? entry.percentage < bounds[i].max : entry.percentage > bounds[i].min));
+    if (movable.length === 0) return null;
+    movable.slice(0, Math.abs(difference)).forEach(entry => { entry.percentage += direction; });
+    difference -= direction * Math.min(movable.length, Math.abs(difference));
+  }
+
+  return { entries: start, bounds, targets };
+}
+
+/**
+ * Raises the objective by moving percentage points between oils until no
+ * single move within the bounds improves it
+ *
+ * @param {Object} candidate - From prepare(); entries are modified in place
+ * @param {Function} objective - Entries -> value
+ * @returns {number} - Final objective value
+ */
+function climb({ entries, bounds }, objective) {
+  let best = objective(entries);
+
+  STEPS.forEach(step => {
+    let improved = true;
+    while (improved) {
+      improved = false;
+      entries.forEach((to, i) => {
+        entries.forEach((from, j) => {
+          if (i === j || to.percentage + step > bounds[i].max || from.percentage - step < bounds[j].min) return;
+          to.percentage += step;
+          from.percentage -= step;
+          const value = objective(entries);
+          if (value > best + 1e-9) {
+            best = value;
+            improved = true;
+          } else {
+            to.percentage -= step;
+            from.percentage += step;
+          }
+        });
+      });
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Finds the blends that best fit a description within the constraints
+ *
+ * @param {string[]} oils - Oil names the blend may use
+ * @param {string} description - Target scent description
+ * @param {Object} structure - Resolved blend structure
+ * @param {Object} options
+ * @param {Object} options.catalog - Oil records keyed by name
+ * @param {string[]} [options.useCases=[]] - Resolved safety use cases
+ * @param {number} [options.concentration] - Essential oil % in the finished product, if known
+ * @param {number} [options.limit=1] - Most blends to return
+ * @returns {Object} - { target: { descriptor: weight }, blends: [{ blend, fit, score }] }, best first
+ *                     (blends is empty when no blend satisfies the constraints)
+ */
+function optimizeBlends(oils, description, structure, { catalog, useCases = [], concentration = null, limit = 1 }) {
+  const target = targetVector(description, catalog);
+  const hasTarget = Object.keys(target).length > 0;
+
+  const names = oils.map(normalizeOilName).filter(oil => catalog[oil]);
+  const excluded = findContraindicatedOils(names, useCases).map(item => item.oil);
+  const usable = names.filter(oil => !excluded.includes(oil));
+  if (usable.length === 0) return { target, blends: [] };
+
+  const dermal = useCases.some(id => USE_CASES[id].dermal);
+  const capOf = oil => safetyCap(catalog[oil], dermal, concentration);
+  const fullStructure = usable.length >= structure.slots.length;
+
+  const candidates = enumerateBlends(usable, structure, catalog, { description })
+    .map(blend => prepare(blend.oils, structure, fullStructure, capOf))
+    .filter(Boolean);
+
+  // Avoid clashing pairs unless every assignment has one
+  const clashes = ({ entries }) => entries.some((a, i) => entries.slice(i + 1)
+    .some(b => pairCompatibility(catalog[a.oil], catalog[b.oil]) < MIN_PAIR_COMPATIBILITY));
+  const harmonious = candidates.filter(candidate => !clashes(candidate));
+  const pool = harmonious.length > 0 ? harmonious : candidates;
+
+  const objectiveFor = targets => entries => {
+    const parts = {
+      fit: hasTarget ? fitOf(entries, target, catalog) : null,
+      compatibility: scoreCompatibility({ oils: entries }, catalog),
+      balance: 1 - entries.reduce((sum, entry, i) => sum + Math.abs(entry.percentage - targets[i]), 0) / 200
+    };
+    const keys = Object.keys(OBJECTIVE_WEIGHTS).filter(key => parts[key] !== null);
+    const weights = keys.reduce((sum, key) => sum + OBJECTIVE_WEIGHTS[key], 0);
+    return keys.reduce((sum, key) => sum + parts[key] * OBJECTIVE_WEIGHTS[key], 0) / weights;
+  };
+
+  const refined = pool
+    .map(candidate => ({ candidate, value: objectiveFor(candidate.targets)(candidate.entries) }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, SEARCH_WIDTH)
+    .map(({ candidate }) => ({ candidate, value: climb(candidate, objectiveFor(candidate.targets)) }))
+    .sort((a, b) => b.value - a.value);
+
+  const leading = Object.keys(target).sort((a, b) => target[b] - target[a]);
+  const blends = [];
+  refined.forEach(({ candidate, value }) => {
+    const entries = candidate.entries.map(entry => {
+      const shared = leading.filter(descriptor => descriptorsOf(catalog[entry.oil]).includes(descriptor)).slice(0, 2);
+      return {
+        ...entry,
+        rationale: shared.length > 0
+          ? `Brings ${shared.join(' and ')} character to "${description}"`
+          : NOTE_RATIONALES[entry.note]
+      };
+    });
+    const blend = {
+      oils: entries,
+      scentProfile: hasTarget
+        ? `A ${structure.name} blend optimized toward ${leading.slice(0, 3).join(', ')} for "${description}".`
+        : `A ${structure.name} blend optimized for balance and oil compatibility for "${description}".`
+    };
+
+    if (!validateBlend(blend, usable, structure).valid) return;
+    if (!checkBlendSafety(blend, { useCases, concentration }).safe) return;
+    blends.push({ blend, fit: hasTarget ? round(fitOf(entries, target, catalog)) : null, score: round(value) });
+  });
+
+  return { target, blends: blends.slice(0, limit) };
+}
+
+module.exports = {
+  descriptorsOf,
+  targetVector,
+  optimizeBlends
+};
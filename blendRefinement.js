@@ -0,0 +1,312 @@
+/**
+ * Rule-Based Blend Refinement
+ *
+ * Applies conversational nudges ("make it woodier", "less sweet", "swap the
+ * citrus") to an existing blend using the oils' note descriptors and
+ * categories from the catalog. Used when the LLM is unavailable during a
+ * refinement session.
+ *
+ * - more X: raises the share of oils matching X, taking it from the others;
+ *   without any X oil in the blend, swaps one in for an oil of the same note
+ * - less X: lowers the share of oils matching X, giving it to the others
+ * - swap X: replaces the oils matching X (a descriptor, category or oil name)
+ *   with another available oil of the same note, preferring the same category
+ *
+ * Shares move within the slot ranges of the blend structure, so a refined
+ * blend still validates against it.
+ */
+
+const { validateBlend, normalizeOilName } = require('./blendSchema');
+const { matchSlots, notePositionsOf } = require('./blendStructures');
+
+// Percentage points moved by one "more"/"less" nudge
+const NUDGE_STEP = 10;
+
+const ACTION_WORDS = {
+  less: /\b(less|fewer|reduce|lower|tone down|not so|too)\b/,
+  swap: /\b(swap|replace|change|switch|different|instead of|remove|drop|without)\b/,
+  more: /\b(more|add|boost|increase|extra|stronger|bring out|make it)\b/
+};
+
+// Words people use for a descriptor or category that the catalog spells differently
+const SYNONYMS = {
+  spicy: 'spice',
+  citrusy: 'citrus',
+  woodsy: 'woody',
+  flowery: 'floral',
+  herby: 'herbal'
+};
+
+/**
+ * Comparative forms of a descriptor: woody -> woodier, fresh -> fresher
+ *
+ * @param {string} term - Descriptor
+ * @returns {string[]} - Comparative forms
+ */
+function comparativesOf(term) {
+  if (term.includes(' ')) return [];
+  if (term.endsWith('y')) return [`${term.slice(0, -1)}ier`];
+  if (term.endsWith('e')) return [`${term}r`];
+  return [`${term}er`];
+}
+
+/**
+ * Tests for a whole word or phrase in lowercase text
+ *
+ * @param {string} text - Lowercase text
+ * @param {string} phrase - Lowercase word or phrase
+ * @returns {boolean} - True if the phrase appears as whole words
+ */
+function containsPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+}
+
+/**
+ * Builds the vocabulary nudges are matched against
+ *
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { oils: [{ phrase, oil }], descriptors: [{ phrase, descriptor, comparative }] }
+ */
+function buildVocabulary(catalog) {
+  const oils = [];
+  const terms = new Set();
+
+  Object.entries(catalog).forEach(([name, oil]) => {
+    oils.push({ phrase: name.replace(/-/g, ' '), oil: name });
+    (oil.aliases || []).forEach(alias => oils.push({ phrase: alias.toLowerCase(), oil: name }));
+    oil.notes.forEach(note => terms.add(note.toLowerCase()));
+    terms.add(oil.category);
+  });
+  Object.keys(SYNONYMS).forEach(term => terms.add(term));
+
+  const descriptors = [];
+  terms.forEach(term => {
+    const descriptor = SYNONYMS[term] && terms.has(SYNONYMS[term]) ? SYNONYMS[term] : term;
+    descriptors.push({ phrase: term, descriptor, comparative: false });
+    comparativesOf(term).forEach(phrase => descriptors.push({ phrase, descriptor, comparative: true }));
+  });
+
+  // Longest phrases first so "ylang ylang" wins over "ylang" and "earl grey" over "grey"
+  oils.sort((a, b) => b.phrase.length - a.phrase.length);
+  descriptors.sort((a, b) => b.phrase.length - a.phrase.length);
+  return { oils, descriptors };
+}
+
+/**
+ * Splits a refinement message into nudges
+ *
+ * @param {string} message - e.g. "make it woodier and less sweet"
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { nudges: [{ action, target, type: 'oil'|'descriptor', text }], ignored: [{ text, reason }] }
+ */
+function parseNudges(message, catalog) {
+  const vocabulary = buildVocabulary(catalog);
+  const nudges = [];
+  const ignored = [];
+  let lastAction = null;
+
+  String(message)
+    .toLowerCase()
+    .split(/[,;.!?]|\band\b|\bbut\b|\bthen\b/)
+    .map(clause => clause.trim())
+    .filter(Boolean)
+    .forEach(clause => {
+      let text = ` ${clause} `;
+      const targets = [];
+
+      vocabulary.oils.forEach(({ phrase, oil }) => {
+        if (containsPhrase(text, phrase)) {
+          targets.push({ type: 'oil', target: oil, comparative: false });
+          text = text.replace(phrase, ' ');
+        }
+      });
+      vocabulary.descriptors.forEach(({ phrase, descriptor, comparative }) => {
+        if (containsPhrase(text, phrase) && !targets.some(item => item.target === descriptor)) {
+          targets.push({ type: 'descriptor', target: descriptor, comparative });
+          text = text.replace(phrase, ' ');
+        }
+      });
+
+      // "less" and "swap" win over "more" ("make it less sweet"); comparatives alone mean more
+      let action = ['less', 'swap', 'more'].find(name => ACTION_WORDS[name].test(clause)) || null;
+      if (!action && targets.some(item => item.comparative)) action = 'more';
+      if (!action) action = lastAction;
+
+      if (targets.length === 0) {
+        ignored.push({ text: clause, reason: 'No oil, scent descriptor or category recognised' });
+      } else if (!action) {
+        ignored.push({ text: clause, reason: 'Say whether you want more, less or a swap' });
+      } else {
+        lastAction = action;
+        targets.forEach(({ type, target }) => nudges.push({ action, target, type, text: clause }));
+      }
+    });
+
+  return { nudges, ignored };
+}
+
+/**
+ * Whether an oil matches a nudge target
+ *
+ * @param {string} oil - Oil name
+ * @param {Object} nudge - Nudge from parseNudges
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {boolean} - True if the oil is the target oil or has the target descriptor/category
+ */
+function matchesTarget(oil, nudge, catalog) {
+  if (nudge.type === 'oil') return oil === nudge.target;
+  const record = catalog[oil];
+  return Boolean(record) && (record.category === nudge.target || record.notes.some(note => note.toLowerCase() === nudge.target));
+}
+
+/**
+ * Percentage limits for each oil of the blend
+ *
+ * @param {Object[]} oils - Blend entries
+ * @param {Object} structure - Resolved structure
+ * @param {boolean} fullStructure - Whether every slot is filled (slot ranges only apply then)
+ * @returns {Map<Object, Object>} - Entry -> { min, max }
+ */
+function boundsOf(oils, structure, fullStructure) {
+  const bounds = new Map();
+  if (fullStructure) {
+    matchSlots(oils, structure.slots).forEach(({ entry, slot }) => bounds.set(entry, { min: slot.min, max: slot.max }));
+  } else {
+    oils.forEach(entry => bounds.set(entry, { min: 1, max: 100 }));
+  }
+  return bounds;
+}
+
+/**
+ * Moves up to NUDGE_STEP percentage points towards (or away from) the matching oils
+ *
+ * @param {Object[]} oils - Blend entries (modified in place)
+ * @param {Function} matches - Entry -> boolean
+ * @param {number} direction - 1 for more, -1 for less
+ * @param {Map<Object, Object>} bounds - Percentage limits per entry
+ * @returns {number} - Percentage points moved
+ */
+function shiftShares(oils, matches, direction, bounds) {
+  const gaining = oils.filter(entry => (direction > 0 ? matches(entry) : !matches(entry)));
+  const losing = oils.filter(entry => (direction > 0 ? !matches(entry) : matches(entry)));
+  const roomUp = entry => Math.max(0, bounds.get(entry).max - entry.percentage);
+  const roomDown = entry => Math.max(0, entry.percentage - bounds.get(entry).min);
+
+  const totalUp = gaining.reduce((sum, entry) => sum + roomUp(entry), 0);
+  const totalDown = losing.reduce((sum, entry) => sum + roomDown(entry), 0);
+  const moved = Math.floor(Math.min(NUDGE_STEP, totalUp, totalDown));
+  if (moved <= 0) return 0;
+
+  // Whole percentage points, spread in proportion to each oil's room to move
+  const spread = (entries, room, total, sign) => {
+    let left = moved;
+    entries
+      .map(entry => ({ entry, share: room(entry) * moved / total }))
+      .sort((a, b) => b.share - a.share)
+      .forEach(({ entry, share }, index, list) => {
+        const amount = index === list.length - 1 ? left : Math.min(left, Math.round(share), room(entry));
+        entry.percentage += sign * amount;
+        left -= amount;
+      });
+  };
+  spread(gaining, roomUp, totalUp, 1);
+  spread(losing, roomDown, totalDown, -1);
+  return moved;
+}
+
+/**
+ * Refines a blend according to a message
+ *
+ * @param {Object} blend - Current blend ({ oils: [{ oil, percentage, note, rationale }], scentProfile })
+ * @param {string} message - Refinement request
+ * @param {Object} context
+ * @param {string[]} context.oils - Oils the blend may use
+ * @param {Object} context.structure - Resolved structure the blend follows
+ * @param {Object} context.catalog - Oil records keyed by name
+ * @returns {Object} - { blend, applied: [{ action, target, message }], ignored: [{ text, reason }] }
+ */
+function refineBlend(blend, message, { oils: availableOils, structure, catalog }) {
+  const { nudges, ignored } = parseNudges(message, catalog);
+  const available = availableOils.map(normalizeOilName);
+  const fullStructure = available.length >= structure.slots.length;
+  const applied = [];
+
+  let current = blend.oils.map(entry => ({ ...entry }));
+
+  nudges.forEach(nudge => {
+    const next = current.map(entry => ({ ...entry }));
+    const label = `${nudge.action} ${nudge.target.replace(/-/g, ' ')}`;
+    const matches = entry => matchesTarget(entry.oil, nudge, catalog);
+    const fail = reason => ignored.push({ text: nudge.text, reason });
+
+    // Another available oil that can take this entry's note, preferring its category
+    const replacementFor = (entry, accept) => {
+      const inUse = next.map(item => item.oil);
+      const candidates = available.filter(oil =>
+        !inUse.includes(oil) && catalog[oil] && notePositionsOf(catalog[oil]).includes(entry.note) && accept(oil)
+      );
+      const category = catalog[entry.oil] ? catalog[entry.oil].category : null;
+      return candidates.find(oil => catalog[oil].category === category) || candidates[0] || null;
+    };
+
+    let summary;
+    if (nudge.action === 'swap') {
+      const targets = next.filter(matches);
+      if (targets.length === 0) return fail(`No ${nudge.target} oil in the blend to swap`);
+
+      const swaps = [];
+      targets.forEach(entry => {
+        const replacement = replacementFor(entry, oil => oil !== entry.oil);
+        if (replacement) {
+          swaps.push(`${entry.oil} -> ${replacement}`);
+          entry.rationale = `Swapped in for ${entry.oil}`;
+          entry.oil = replacement;
+        }
+      });
+      if (swaps.length === 0) return fail(`No other available oil can take the place of ${targets.map(entry => entry.oil).join(', ')}`);
+      summary = `Swapped ${swaps.join(', ')}`;
+    } else if (nudge.action === 'more' && !next.some(matches)) {
+      // Bring in a matching oil in place of the smallest oil of a note it can play
+      const candidates = [...next].sort((a, b) => a.percentage - b.percentage);
+      const entry = candidates.find(item => replacementFor(item, oil => matchesTarget(oil, nudge, catalog)));
+      if (!entry) return fail(`None of the available oils is ${nudge.target}`);
+
+      const replacement = replacementFor(entry, oil => matchesTarget(oil, nudge, catalog));
+      summary = `Swapped ${entry.oil} -> ${replacement} (${nudge.target})`;
+      entry.rationale = `Brings ${nudge.target} character in place of ${entry.oil}`;
+      entry.oil = replacement;
+    } else {
+      if (!next.some(matches)) return fail(`No ${nudge.target} oil in the blend`);
+      if (next.every(matches)) return fail(`Every oil in the blend is ${nudge.target}; try swapping one instead`);
+
+      const before = new Map(next.map(entry => [entry, entry.percentage]));
+      const moved = shiftShares(next, matches, nudge.action === 'more' ? 1 : -1, boundsOf(next, structure, fullStructure));
+      if (moved === 0) return fail(`The ${structure.name} structure leaves no room to go further`);
+
+      summary = next
+        .filter(entry => entry.percentage !== before.get(entry))
+        .map(entry => `${entry.oil} ${before.get(entry)}% -> ${entry.percentage}%`)
+        .join(', ');
+    }
+
+    // Keep only changes that still fit the structure
+    const validation = validateBlend({ oils: next, scentProfile: blend.scentProfile }, available, structure);
+    if (!validation.valid) return fail(`Would break the blend structure: ${validation.errors.join('; ')}`);
+
+    current = next;
+    applied.push({ action: nudge.action, target: nudge.target, message: `${label}: ${summary}` });
+  });
+
+  return {
+    blend: { oils: current, scentProfile: blend.scentProfile },
+    applied,
+    ignored
+  };
+}
+
+module.exports = {
+  NUDGE_STEP,
+  parseNudges,
+  refineBlend
+};
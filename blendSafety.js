@@ -0,0 +1,193 @@
+/**
+ * Blend Safety Validator
+ *
+ * Checks a blend against the safety data in essentialOils.js and returns
+ * structured warnings. Each warning has a severity:
+ * - block:   unsafe for one of the requested use cases; the blend must not be used
+ * - warning: needs care (e.g. phototoxic oil when the concentration is unknown)
+ * - info:    worth knowing, but not a problem for the requested use cases
+ *
+ * Use cases decide what blocks. "topical" enforces dermal and phototoxic
+ * limits at the product concentration; the audience use cases (pregnancy,
+ * children, epilepsy, pets) block oils contraindicated for that group.
+ */
+
+const essentialOils = require('./essentialOils');
+const { normalizeOilName } = require('./blendSchema');
+
+const USE_CASES = {
+  'topical': { name: 'Leave-on skin product', dermal: true },
+  'diffuser': { name: 'Diffusion / inhalation', dermal: false },
+  'pregnancy': { name: 'Pregnancy and breastfeeding', contraindication: 'pregnancy' },
+  'children': { name: 'Children under 10', contraindication: 'children' },
+  'epilepsy': { name: 'People with epilepsy', contraindication: 'epilepsy' },
+  'pets': { name: 'Homes with pets', contraindication: 'pets' }
+};
+
+const CONTRAINDICATION_LABELS = {
+  pregnancy: 'pregnancy and breastfeeding',
+  children: 'children under 10',
+  epilepsy: 'people with epilepsy',
+  pets: 'homes with pets (especially cats)'
+};
+
+/**
+ * Resolves requested use cases, adding the one implied by the product
+ *
+ * @param {string[]} [input] - Use case ids from the request
+ * @param {Object} [product] - Resolved product (see blendDilution.js)
+ * @returns {{error: string}|{useCases: string[]}} - Error or de-duplicated use case ids
+ */
+function resolveUseCases(input, product) {
+  if (input !== undefined && input !== null && !Array.isArray(input)) {
+    return { error: 'useCases must be an array of use case ids' };
+  }
+
+  const useCases = [...(input || [])];
+  // Own keys only, so ids like "constructor" are unknown rather than Object members
+  const unknown = useCases.filter(id => !Object.hasOwn(USE_CASES, id));
+  if (unknown.length > 0) {
+    return { error: `Unknown use case "${unknown[0]}". Available use cases: ${Object.keys(USE_CASES).join(', ')}` };
+  }
+
+  if (product && product.useCase) {
+    useCases.push(product.useCase);
+  }
+
+  return { useCases: [...new Set(useCases)] };
+}
+
+/**
+ * Lists the oils contraindicated for any of the use cases
+ *
+ * @param {string[]} oils - Oil names
+ * @param {string[]} useCases - Resolved use case ids
+ * @returns {Array<{oil: string, reasons: string[]}>} - Oils to leave out, with the groups they are unsafe for
+ */
+function findContraindicatedOils(oils, useCases) {
+  const groups = useCases.map(id => USE_CASES[id].contraindication).filter(Boolean);
+
+  return oils
+    .map(oil => {
+      const data = essentialOils[normalizeOilName(oil)];
+      const reasons = data ? data.safety.contraindications.filter(group => groups.includes(group)) : [];
+      return { oil, reasons };
+    })
+    .filter(item => item.reasons.length > 0);
+}
+
+/**
+ * Highest product concentration at which every oil in the blend stays
+ * within its dermal and phototoxic limits
+ *
+ * @param {Object[]} oils - Blend entries with oil and percentage
+ * @returns {number|null} - Concentration in %, or null if no oil has a limit
+ */
+function maxSafeConcentration(oils) {
+  let max = null;
+
+  oils.forEach(({ oil, percentage }) => {
+    const data = essentialOils[normalizeOilName(oil)];
+    if (!data || !percentage) return;
+
+    [data.safety.maxDermal, data.safety.phototoxicMax].forEach(limit => {
+      if (limit === null) return;
+      const concentration = limit / (percentage / 100);
+      if (max === null || concentration < max) max = concentration;
+    });
+  });
+
+  return max === null ? null : Math.floor(max * 100) / 100;
+}
+
+/**
+ * Checks a blend for the given use cases
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage }]
+ * @param {Object} [options]
+ * @param {string[]} [options.useCases=[]] - Resolved use case ids
+ * @param {number} [options.concentration] - Essential oil % in the finished product, if known
+ * @returns {Object} - { safe, useCases, concentration, maxSafeConcentration, warnings: [{ oil, code, severity, message }] }
+ */
+function checkBlendSafety(blend, { useCases = [], concentration = null } = {}) {
+  const warnings = [];
+  const dermal = useCases.some(id => USE_CASES[id].dermal);
+  const groups = useCases.map(id => USE_CASES[id].contraindication).filter(Boolean);
+
+  blend.oils.forEach(({ oil: name, percentage }) => {
+    const oil = normalizeOilName(name);
+    const data = essentialOils[oil];
+    if (!data) return;
+
+    const { maxDermal, phototoxicMax, contraindications, sensitisation } = data.safety;
+    const inProduct = concentration === null ? null : Math.round(concentration * percentage) / 100;
+
+    if (dermal && maxDermal !== null && inProduct !== null && inProduct > maxDermal) {
+      warnings.push({
+        oil,
+        code: 'dermal-limit',
+        severity: 'block',
+        message: `${oil} is ${inProduct}% of the product, above its ${maxDermal}% maximum dermal level`,
+        limit: maxDermal,
+        actual: inProduct
+      });
+    }
+
+    if (phototoxicMax !== null) {
+      if (dermal && inProduct !== null && inProduct > phototoxicMax) {
+        warnings.push({
+          oil,
+          code: 'phototoxic',
+          severity: 'block',
+          message: `${oil} is phototoxic above ${phototoxicMax}% and is ${inProduct}% of the product; skin must not be exposed to sunlight or UV for 12 hours`,
+          limit: phototoxicMax,
+          actual: inProduct
+        });
+      } else if (dermal || useCases.length === 0) {
+        warnings.push({
+          oil,
+          code: 'phototoxic',
+          severity: inProduct === null ? 'warning' : 'info',
+          message: `${oil} is phototoxic; keep it at or below ${phototoxicMax}% of products worn on sun-exposed skin`,
+          limit: phototoxicMax
+        });
+      }
+    }
+
+    contraindications.forEach(group => {
+      const blocked = groups.includes(group);
+      warnings.push({
+        oil,
+        code: 'contraindicated',
+        severity: blocked ? 'block' : 'info',
+        message: `${oil} is not recommended for ${CONTRAINDICATION_LABELS[group]}`,
+        group
+      });
+    });
+
+    if (sensitisation !== 'low' && (dermal || useCases.length === 0)) {
+      warnings.push({
+        oil,
+        code: 'sensitiser',
+        severity: sensitisation === 'high' ? 'warning' : 'info',
+        message: `${oil} has a ${sensitisation} risk of skin sensitisation${sensitisation === 'high' ? '; patch test before use' : ''}`,
+        risk: sensitisation
+      });
+    }
+  });
+
+  return {
+    safe: !warnings.some(warning => warning.severity === 'block'),
+    useCases,
+    concentration,
+    maxSafeConcentration: maxSafeConcentration(blend.oils),
+    warnings
+  };
+}
+
+module.exports = {
+  USE_CASES,
+  resolveUseCases,
+  findContraindicatedOils,
+  checkBlendSafety
+};
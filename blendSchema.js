@@ -0,0 +1,196 @@
+/**
+ * Blend Schema
+ *
+ * Defines the structured JSON shape of a blend recommendation and validates
+ * LLM output against it. Shared by the Express server and the Bare runtime
+ * scripts, so it must stay free of Node-only modules.
+ *
+ * Blend shape:
+ * {
+ *   "oils": [
+ *     { "oil": "bergamot", "percentage": 20, "note": "TOP", "rationale": "..." }
+ *   ],
+ *   "scentProfile": "Brief description of the resulting blend"
+ * }
+ */
+
+const {
+  NOTE_POSITIONS,
+  resolveStructure,
+  countSlotsByNote,
+  matchSlots
+} = require('./blendStructures');
+
+// Allowed rounding drift when checking that percentages add up to 100
+const PERCENTAGE_TOLERANCE = 0.5;
+
+/**
+ * Normalizes an oil name for comparison ("Tea Tree" -> "tea-tree")
+ *
+ * @param {string} name - Oil name as written by the user or the LLM
+ * @returns {string} - Lowercase, hyphenated oil name
+ */
+function normalizeOilName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Extracts the first JSON object from raw LLM text.
+ * Tolerates markdown code fences and chatter around the object.
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object|null} - Parsed object, or null if none could be parsed
+ */
+function extractJson(text) {
+  if (!text) return null;
+
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validates a blend object against the schema, the available oils and the
+ * blend structure (see blendStructures.js). With fewer available oils than
+ * slots, each note position may be used at most as often as the structure
+ * allows and the slot ranges are not enforced.
+ *
+ * @param {Object} blend - Candidate blend object
+ * @param {string[]} availableOils - Oil names the blend may use
+ * @param {Object} [structure] - Resolved structure; defaults to the classic 3-oil pyramid
+ * @returns {{valid: boolean, errors: string[], blend: Object|null}} - Validation result with normalized blend
+ */
+function validateBlend(blend, availableOils, structure = resolveStructure().structure) {
+  const errors = [];
+
+  if (!blend || typeof blend !== 'object' || !Array.isArray(blend.oils)) {
+    return { valid: false, errors: ['Response must be a JSON object with an "oils" array'], blend: null };
+  }
+
+  const available = availableOils.map(normalizeOilName);
+  const fullStructure = available.length >= structure.slots.length;
+  const expectedCount = Math.min(structure.slots.length, available.length);
+
+  if (blend.oils.length !== expectedCount) {
+    errors.push(`Blend must contain exactly ${expectedCount} oils, got ${blend.oils.length}`);
+  }
+
+  const seenOils = new Set();
+  let total = 0;
+
+  const oils = blend.oils.map((entry, index) => {
+    const label = `oils[${index}]`;
+    const item = entry || {};
+
+    const oil = typeof item.oil === 'string' ? normalizeOilName(item.oil) : '';
+    if (!oil) {
+      errors.push(`${label}.oil must be a non-empty string`);
+    } else if (!available.includes(oil)) {
+      errors.push(`${label}.oil "${item.oil}" is not one of the available oils: ${available.join(', ')}`);
+    } else if (seenOils.has(oil)) {
+      errors.push(`${label}.oil "${oil}" is used more than once`);
+    }
+    seenOils.add(oil);
+
+    const percentage = typeof item.percentage === 'string' ? parseFloat(item.percentage) : item.percentage;
+    if (typeof percentage !== 'number' || !isFinite(percentage) || percentage <= 0 || percentage > 100) {
+      errors.push(`${label}.percentage must be a number between 0 and 100`);
+    } else {
+      total += percentage;
+    }
+
+    const note = typeof item.note === 'string' ? item.note.trim().toUpperCase() : '';
+    if (!NOTE_POSITIONS.includes(note)) {
+      errors.push(`${label}.note must be one of ${NOTE_POSITIONS.join(', ')}`);
+    }
+
+    return {
+      oil,
+      percentage,
+      note,
+      rationale: typeof item.rationale === 'string' ? item.rationale.trim() : ''
+    };
+  });
+
+  // Each note position must fill exactly the slots the structure defines for it
+  const slotCounts = countSlotsByNote(structure.slots);
+  NOTE_POSITIONS.forEach(note => {
+    const used = oils.filter(item => item.note === note).length;
+    if (used > slotCounts[note] || (fullStructure && used !== slotCounts[note])) {
+      errors.push(`Structure "${structure.name}" needs ${slotCounts[note]} ${note} note(s), got ${used}`);
+    }
+  });
+
+  if (Math.abs(total - 100) > PERCENTAGE_TOLERANCE) {
+    errors.push(`Percentages must sum to 100, got ${total}`);
+  }
+
+  if (fullStructure && errors.length === 0) {
+    matchSlots(oils, structure.slots).forEach(({ entry, slot }) => {
+      if (entry.percentage < slot.min - PERCENTAGE_TOLERANCE || entry.percentage > slot.max + PERCENTAGE_TOLERANCE) {
+        errors.push(`${entry.oil} (${entry.note}) is ${entry.percentage}%, but the ${slot.note} slot allows ${slot.min}-${slot.max}%`);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    blend: errors.length === 0
+      ? { oils, scentProfile: typeof blend.scentProfile === 'string' ? blend.scentProfile.trim() : '' }
+      : null
+  };
+}
+
+/**
+ * Parses and validates raw LLM output in one step
+ *
+ * @param {string} text - Raw model output
+ * @param {string[]} availableOils - Oil names the blend may use
+ * @param {Object} [structure] - Resolved structure; defaults to the classic 3-oil pyramid
+ * @returns {{valid: boolean, errors: string[], blend: Object|null}} - Validation result
+ */
+function parseBlendResponse(text, availableOils, structure) {
+  const parsed = extractJson(text);
+  if (!parsed) {
+    return { valid: false, errors: ['Response did not contain a valid JSON object'], blend: null };
+  }
+  return validateBlend(parsed, availableOils, structure);
+}
+
+/**
+ * Renders a structured blend as the human-readable recommendation text
+ *
+ * @param {Object} blend - Validated blend object
+ * @returns {string} - Formatted blend recommendation
+ */
+function formatBlendText(blend) {
+  const blendLines = blend.oils.map(({ oil, percentage, note, rationale }) =>
+    `- ${oil}: ${percentage}% - ${note} note${rationale ? ` - ${rationale}` : ''}`
+  ).join('\n');
+
+  const total = blend.oils.reduce((sum, item) => sum + item.percentage, 0);
+
+  return `BLEND RECOMMENDATION:
+${blendLines}
+
+TOTAL: ${Math.round(total)}%
+
+SCENT PROFILE: ${blend.scentProfile}`;
+}
+
+module.exports = {
+  NOTE_POSITIONS,
+  normalizeOilName,
+  extractJson,
+  validateBlend,
+  parseBlendResponse,
+  formatBlendText
+};
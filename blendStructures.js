@@ -0,0 +1,288 @@
+/**
+ * Blend Structures
+ *
+ * Describes the note pyramid a blend should follow as a list of slots, each
+ * holding one oil at a note position with an allowed percentage range.
+ * Shared by the Express server and the Bare runtime scripts, so it must stay
+ * free of Node-only modules.
+ *
+ * Slot shape:
+ * - note: TOP / MIDDLE / BASE
+ * - min, max: allowed percentage range for the oil in this slot
+ * - target: default percentage (targets of all slots add up to 100)
+ * - categories: optional preferred oil categories for the slot (a hint, not enforced)
+ */
+
+const NOTE_POSITIONS = ['TOP', 'MIDDLE', 'BASE'];
+
+const MAX_SLOTS = 10;
+
+const STRUCTURE_PRESETS = {
+  'classic': {
+    name: 'Classic pyramid',
+    description: 'One top, one middle and one base note in a 20/50/30 split',
+    slots: [
+      { note: 'TOP', min: 15, max: 25, target: 20 },
+      { note: 'MIDDLE', min: 40, max: 60, target: 50 },
+      { note: 'BASE', min: 25, max: 35, target: 30 }
+    ]
+  },
+  'citrus-cologne': {
+    name: 'Citrus-forward cologne',
+    description: 'Two bright citrus top notes carried by a light heart and base',
+    slots: [
+      { note: 'TOP', min: 25, max: 40, target: 35, categories: ['citrus'] },
+      { note: 'TOP', min: 15, max: 30, target: 25, categories: ['citrus'] },
+      { note: 'MIDDLE', min: 15, max: 30, target: 25, categories: ['floral', 'herbal'] },
+      { note: 'BASE', min: 10, max: 20, target: 15 }
+    ]
+  },
+  'oriental': {
+    name: 'Base-heavy oriental',
+    description: 'Rich resinous, woody and earthy base with a warm heart and a brief opening',
+    slots: [
+      { note: 'TOP', min: 5, max: 15, target: 10 },
+      { note: 'MIDDLE', min: 20, max: 35, target: 30, categories: ['floral', 'spice', 'resinous'] },
+      { note: 'BASE', min: 25, max: 40, target: 35, categories: ['resinous', 'woody'] },
+      { note: 'BASE', min: 15, max: 30, target: 25, categories: ['earthy', 'woody'] }
+    ]
+  },
+  'balanced-5': {
+    name: '5-oil balanced',
+    description: 'Five oils spread evenly across the pyramid for a rounded, complex blend',
+    slots: [
+      { note: 'TOP', min: 10, max: 25, target: 20 },
+      { note: 'MIDDLE', min: 15, max: 30, target: 25 },
+      { note: 'MIDDLE', min: 10, max: 25, target: 20 },
+      { note: 'BASE', min: 10, max: 25, target: 20 },
+      { note: 'BASE', min: 10, max: 20, target: 15 }
+    ]
+  },
+  'soliflore': {
+    name: 'Single-note soliflore',
+    description: 'A single floral oil showcased on its own',
+    slots: [
+      { note: 'MIDDLE', min: 100, max: 100, target: 100, categories: ['floral'] }
+    ]
+  }
+};
+
+const DEFAULT_STRUCTURE = 'classic';
+
+/**
+ * Spreads 100% across slots: starts from each slot's midpoint, then scales
+ * and clamps into the slot ranges until the targets add up to 100.
+ *
+ * @param {Object[]} slots - Slots with min/max
+ * @returns {number[]} - Whole-number target percentages, one per slot
+ */
+function computeTargets(slots) {
+  const targets = slots.map(slot => (slot.min + slot.max) / 2);
+
+  for (let round = 0; round < 10; round++) {
+    const total = targets.reduce((sum, value) => sum + value, 0);
+    if (Math.abs(total - 100) < 0.01) break;
+    const scale = 100 / total;
+    targets.forEach((value, i) => {
+      targets[i] = Math.min(slots[i].max, Math.max(slots[i].min, value * scale));
+    });
+  }
+
+  // Round, then hand the rounding remainder to slots that still have room
+  const rounded = targets.map(Math.round);
+  let remainder = 100 - rounded.reduce((sum, value) => sum + value, 0);
+  for (let i = 0; remainder !== 0 && i < slots.length * 100; i++) {
+    const index = i % slots.length;
+    const step = remainder > 0 ? 1 : -1;
+    const next = rounded[index] + step;
+    if (next >= slots[index].min && next <= slots[index].max) {
+      rounded[index] = next;
+      remainder -= step;
+    }
+  }
+
+  return rounded;
+}
+
+/**
+ * Validates a custom list of slots
+ *
+ * @param {Object[]} slots - Slots as supplied by the client
+ * @returns {{error: string}|{slots: Object[]}} - Error or normalized slots
+ */
+function validateSlots(slots) {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return { error: 'Structure must have at least one note slot' };
+  }
+  if (slots.length > MAX_SLOTS) {
+    return { error: `Structure can have at most ${MAX_SLOTS} note slots` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < slots.length; i++) {
+    const slot = slots[i] || {};
+    const note = typeof slot.note === 'string' ? slot.note.trim().toUpperCase() : '';
+    const min = slot.min === undefined ? 0 : Number(slot.min);
+    const max = slot.max === undefined ? 100 : Number(slot.max);
+
+    if (!NOTE_POSITIONS.includes(note)) {
+      return { error: `Slot ${i + 1}: note must be one of ${NOTE_POSITIONS.join(', ')}` };
+    }
+    if (!isFinite(min) || !isFinite(max) || min < 0 || max > 100 || min > max) {
+      return { error: `Slot ${i + 1}: percentage range must satisfy 0 <= min <= max <= 100` };
+    }
+    if (slot.categories !== undefined &&
+        (!Array.isArray(slot.categories) || slot.categories.some(category => typeof category !== 'string'))) {
+      return { error: `Slot ${i + 1}: categories must be an array of strings` };
+    }
+
+    normalized.push({
+      note,
+      min,
+      max,
+      ...(slot.categories ? { categories: slot.categories.map(category => category.toLowerCase()) } : {})
+    });
+  }
+
+  const minTotal = normalized.reduce((sum, slot) => sum + slot.min, 0);
+  const maxTotal = normalized.reduce((sum, slot) => sum + slot.max, 0);
+  if (minTotal > 100 || maxTotal < 100) {
+    return { error: `Slot ranges must allow a 100% total (minimums add up to ${minTotal}%, maximums to ${maxTotal}%)` };
+  }
+
+  const targets = computeTargets(normalized);
+  normalized.forEach((slot, i) => { slot.target = targets[i]; });
+
+  return { slots: normalized };
+}
+
+/**
+ * Resolves the `structure` request parameter into a concrete structure
+ *
+ * @param {string|Object[]|Object} [input] - Preset id, array of slots, or { slots: [...] }; defaults to classic
+ * @returns {{error: string}|{structure: Object}} - Error or { id, name, description, slots }
+ */
+function resolveStructure(input) {
+  if (input === undefined || input === null || input === '') {
+    input = DEFAULT_STRUCTURE;
+  }
+
+  if (typeof input === 'string') {
+    // Own keys only, so names like "toString" are unknown rather than Object members
+    if (!Object.hasOwn(STRUCTURE_PRESETS, input)) {
+      return { error: `Unknown structure "${input}". Available presets: ${Object.keys(STRUCTURE_PRESETS).join(', ')}` };
+    }
+    const preset = STRUCTURE_PRESETS[input];
+    return {
+      structure: {
+        id: input,
+        name: preset.name,
+        description: preset.description,
+        slots: preset.slots.map(slot => ({ ...slot }))
+      }
+    };
+  }
+
+  const slots = Array.isArray(input) ? input : input && input.slots;
+  const validation = validateSlots(slots);
+  if (validation.error) return validation;
+
+  return {
+    structure: {
+      id: 'custom',
+      name: (input && input.name) || 'Custom structure',
+      description: (input && input.description) || `${validation.slots.length}-oil custom structure`,
+      slots: validation.slots
+    }
+  };
+}
+
+/**
+ * Counts the slots per note position
+ *
+ * @param {Object[]} slots - Structure slots
+ * @returns {Object} - e.g. { TOP: 1, MIDDLE: 2, BASE: 2 }
+ */
+function countSlotsByNote(slots) {
+  const counts = { TOP: 0, MIDDLE: 0, BASE: 0 };
+  slots.forEach(slot => { counts[slot.note]++; });
+  return counts;
+}
+
+/**
+ * Matches blend entries to structure slots of the same note position.
+ * Within a note position the largest share goes to the slot with the
+ * largest target, which keeps the pairing stable for ordered ranges.
+ *
+ * @param {Object[]} entries - Blend entries with note and percentage
+ * @param {Object[]} slots - Structure slots
+ * @returns {Array<{entry: Object, slot: Object|null}>} - One pairing per entry (slot null when none is left)
+ */
+function matchSlots(entries, slots) {
+  const pairs = [];
+
+  NOTE_POSITIONS.forEach(note => {
+    const noteEntries = entries.filter(entry => entry.note === note)
+      .sort((a, b) => b.percentage - a.percentage);
+    const noteSlots = slots.filter(slot => slot.note === note)
+      .sort((a, b) => b.target - a.target);
+
+    noteEntries.forEach((entry, i) => {
+      pairs.push({ entry, slot: noteSlots[i] || null });
+    });
+  });
+
+  return pairs;
+}
+
+/**
+ * Note positions an oil can take in the rule-based generators, from its
+ * category and intensity. An oil may fit several positions (jasmine is a
+ * heavy floral: MIDDLE and BASE) or none (black pepper).
+ *
+ * - TOP: citrus, or strong fresh herbs
+ * - MIDDLE: florals, resins, medium herbs
+ * - BASE: woods, earthy oils, anything heavy
+ *
+ * @param {Object} oil - Oil record (see oilSchema.js)
+ * @returns {string[]} - Note positions, in TOP/MIDDLE/BASE order
+ */
+function notePositionsOf(oil) {
+  const positions = [];
+  if (oil.category === 'citrus' || (oil.category === 'herbal' && oil.intensity === 'strong' && oil.notes.includes('fresh'))) {
+    positions.push('TOP');
+  }
+  if (oil.category === 'floral' || oil.category === 'resinous' || (oil.category === 'herbal' && oil.intensity === 'medium')) {
+    positions.push('MIDDLE');
+  }
+  if (oil.category === 'woody' || oil.category === 'earthy' || oil.intensity === 'heavy') {
+    positions.push('BASE');
+  }
+  return positions;
+}
+
+/**
+ * Renders a structure as prompt text, one line per slot
+ *
+ * @param {Object} structure - Resolved structure
+ * @returns {string} - e.g. "- TOP note: 15-25% (around 20%)"
+ */
+function describeSlots(structure) {
+  return structure.slots.map(slot => {
+    const range = slot.min === slot.max ? `${slot.min}%` : `${slot.min}-${slot.max}% (around ${slot.target}%)`;
+    const hint = slot.categories ? `, preferably ${slot.categories.join('/')}` : '';
+    return `- ${slot.note} note: ${range}${hint}`;
+  }).join('\n');
+}
+
+module.exports = {
+  NOTE_POSITIONS,
+  STRUCTURE_PRESETS,
+  DEFAULT_STRUCTURE,
+  MAX_SLOTS,
+  resolveStructure,
+  countSlotsByNote,
+  matchSlots,
+  notePositionsOf,
+  describeSlots
+};
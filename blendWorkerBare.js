@@ -0,0 +1,153 @@
+/**
+ * Essential Oil Scent Blender - Persistent LLM Worker
+ *
+ * Long-lived Bare runtime process that loads the model once and serves blend
+ * requests from the web server over a line-delimited JSON protocol on stdio.
+ * Logging goes to stderr so stdout carries protocol messages only.
+ *
+ * Requests (stdin, one JSON object per line):
+ *   { "type": "blend", "id": "1", "oils": ["lavender"], "description": "...", "structure": { ... }, "catalog": { ... } }
+ *   ("catalog" carries the current records of the requested oils, so catalog
+ *   edits made after the worker started are picked up; an optional
+ *   "conversation" of earlier blends and refinement requests turns it into a
+ *   refinement, see ScentBlender#createConversationPrompt)
+ *   { "type": "critique", "id": "2", "blend": { "oils": [ ... ] }, "findings": ["..."], "description": "...", "catalog": { ... } }
+ *   (prose commentary on a user's own formula; the result is
+ *   { success, commentary, model, stats })
+ *   Both take an optional "template": the prompt template to render, as
+ *   resolved by the server (see promptTemplates.js); without it the default
+ *   version shipped with the worker is used.
+ *
+ * Messages (stdout, one JSON object per line):
+ *   { "type": "loading" }                                  - model load started
+ *   { "type": "progress", "progress": 42 }                 - model load progress (%)
+ *   { "type": "ready", "model": { "backend": "llamacpp", "name": "..." } } - model loaded, accepting work
+ *   { "type": "attempt", "id": "1", "attempt": 2, "errors": [] } - (re)prompt started, with previous errors
+ *   { "type": "token", "id": "1", "token": "..." }         - streamed LLM token
+ *   { "type": "result", "id": "1", "result": { ... } }     - finished blend or critique (ScentBlender result)
+ *   { "type": "error", "id": "1", "error": "..." }         - request failed
+ *
+ * The LLM backend is chosen with the LLM_* environment variables (see llmBackends.js).
+ *
+ * Usage: bare blendWorkerBare.js
+ */
+
+'use strict'
+
+const process = require('bare-process')
+const ScentBlender = require('./scentBlender')
+const { backendOptions } = require('./llmBackends')
+
+const logger = {
+  log: (...args) => console.error(...args),
+  info: (...args) => console.error(...args),
+  warn: (...args) => console.error(...args),
+  error: (...args) => console.error(...args),
+  debug: () => {}
+}
+
+const blender = new ScentBlender({ logger, backend: backendOptions(process.env) })
+
+// Requests run one at a time against the single loaded model
+let chain = null
+
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + '\n')
+}
+
+async function handleRequest(request) {
+  const { id } = request
+
+  switch (request.type) {
+    case 'blend': {
+      if (request.catalog) blender.updateOils(request.catalog)
+
+      const validation = blender.validateOils(request.oils || [])
+      if (validation.available.length === 0) {
+        send({ type: 'error', id, error: 'No valid oils provided' })
+        return
+      }
+
+      const result = await blender.blendScent(validation.available, request.description, {
+        structure: request.structure,
+        conversation: request.conversation,
+        template: request.template,
+        onToken: token => send({ type: 'token', id, token }),
+        onAttempt: (attempt, errors) => send({ type: 'attempt', id, attempt, errors })
+      })
+      send({ type: 'result', id, result })
+      return
+    }
+
+    case 'critique': {
+      if (request.catalog) blender.updateOils(request.catalog)
+
+      const result = await blender.critiqueBlend(request.blend, request.findings || [], {
+        description: request.description,
+        template: request.template,
+        onToken: token => send({ type: 'token', id, token })
+      })
+      send({ type: 'result', id, result })
+      return
+    }
+
+    default:
+      send({ type: 'error', id, error: `Unknown request type: ${request.type}` })
+  }
+}
+
+function onLine(line) {
+  if (!line.trim()) return
+
+  let request
+  try {
+    request = JSON.parse(line)
+  } catch (error) {
+    logger.error('Ignoring malformed request:', line)
+    return
+  }
+
+  chain = chain
+    .then(() => handleRequest(request))
+    .catch(error => send({ type: 'error', id: request.id, error: error.message }))
+}
+
+async function shutdown(code) {
+  try {
+    await blender.cleanup()
+  } finally {
+    process.exit(code)
+  }
+}
+
+function main() {
+  send({ type: 'loading' })
+
+  // Requests that arrive during loading wait for the model
+  chain = blender.initialize(progress => {
+    send({ type: 'progress', progress: progress.overallProgress })
+  }).then(() => {
+    const { backend, name } = blender.backend.info()
+    send({ type: 'ready', model: { backend, name } })
+  })
+
+  chain.catch(error => {
+    logger.error('Failed to load model:', error.message)
+    shutdown(1)
+  })
+
+  let pending = ''
+  process.stdin.on('data', data => {
+    pending += data.toString()
+    const lines = pending.split('\n')
+    pending = lines.pop()
+    lines.forEach(onLine)
+  })
+
+  // The server closes stdin to ask for a clean shutdown
+  process.stdin.on('end', () => {
+    chain.catch(() => {}).then(() => shutdown(0))
+  })
+}
+
+main()
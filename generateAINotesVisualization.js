@@ -8,14 +8,33 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
 const essentialOils = require('./essentialOils.js');
+const { templateId, loadTemplate } = require('./promptTemplates');
+const { backendOptions } = require('./llmBackends');
+const { createSimilarityBackend, scoreNoteSimilarity } = require('./noteSimilarity');
 
 class AINotesVisualization {
   constructor() {
     this.oils = Object.keys(essentialOils);
     this.similarities = {};
     this.embeddings = {};
+    this.promptTemplate = loadTemplate('note-similarity');
+    this.backend = null;       // Loaded LLM backend, null when it failed to load
+  }
+
+  /**
+   * Loads the LLM backend chosen with the LLM_* environment variables (see
+   * llmBackends.js). Without it every pair gets the rule-based similarity.
+   */
+  async loadBackend() {
+    try {
+      console.log('⏳ Loading AI model...');
+      const backend = createSimilarityBackend(backendOptions(process.env));
+      await backend.load();
+      this.backend = backend;
+    } catch (error) {
+      console.error('❌ Failed to load the LLM, using rule-based similarity:', error.message);
+    }
   }
 
   /**
@@ -23,100 +42,25 @@ class AINotesVisualization {
    * and provide a similarity score based on their note positions
    */
   async getLLMNoteSimilarity(oil1, oil2) {
-    return new Promise((resolve) => {
-      const oil1Data = essentialOils[oil1];
-      const oil2Data = essentialOils[oil2];
-
-      const prompt = `You are an expert perfumer analyzing essential oil note characteristics.
-
-OIL 1: ${oil1}
-- Notes: ${oil1Data.notes.join(', ')}
-- Intensity: ${oil1Data.intensity}
-- Category: ${oil1Data.category}
-- Description: ${oil1Data.description}
-
-OIL 2: ${oil2}
-- Notes: ${oil2Data.notes.join(', ')}
-- Intensity: ${oil2Data.intensity}
-- Category: ${oil2Data.category}
-- Description: ${oil2Data.description}
-
-Analyze these oils based on their PERFUMERY NOTE POSITION (TOP/MIDDLE/BASE) and scent characteristics.
-
-Consider:
-- Evaporation rate and volatility
-- Note position in a perfume pyramid
-- Scent intensity and longevity
-- Aromatic compatibility and blending harmony
-
-Rate their similarity on a scale of 0.0 to 1.0:
-- 1.0 = Very similar note positions and characteristics
-- 0.5 = Moderately compatible, different note positions
-- 0.0 = Very different note positions and incompatible
-
-Respond with only a number between 0.0 and 1.0`;
-
-      // Call LLM via Bare runtime
-      const bare = spawn('bare', [
-        'aiNoteSimilarityBare.js',
+    if (!this.backend) {
+      return this.getFallbackSimilarity(oil1, oil2);
+    }
+
+    try {
+      const { similarity } = await scoreNoteSimilarity(this.backend, {
         oil1,
         oil2,
-        JSON.stringify(oil1Data),
-        JSON.stringify(oil2Data)
-      ], {
-        cwd: __dirname,
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
-
-      let output = '';
-      let errorOutput = '';
-
-      bare.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      bare.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      bare.on('close', (code) => {
-        if (code === 0) {
-          // Extract similarity score from output
-          const lines = output.split('\n');
-          let similarity = 0.5; // Default fallback
-
-          for (const line of lines) {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('SIMILARITY_RESULT:')) {
-              const score = trimmed.replace('SIMILARITY_RESULT:', '');
-              similarity = Math.max(0, Math.min(1, parseFloat(score)));
-              break;
-            }
-          }
-
-          console.log(`🤖 AI similarity ${oil1}-${oil2}: ${similarity}`);
-          resolve(similarity);
-        } else {
-          console.error(`❌ Failed to get AI similarity for ${oil1}-${oil2}:`, errorOutput);
-          // Fallback to rule-based similarity
-          resolve(this.getFallbackSimilarity(oil1, oil2));
-        }
+        oil1Data: essentialOils[oil1],
+        oil2Data: essentialOils[oil2],
+        template: this.promptTemplate
       });
-
-      bare.on('error', (error) => {
-        console.error(`❌ Error calling LLM for ${oil1}-${oil2}:`, error.message);
-        resolve(this.getFallbackSimilarity(oil1, oil2));
-      });
-
-      // Timeout after 3 minutes
-      setTimeout(() => {
-        if (!bare.killed) {
-          bare.kill('SIGTERM');
-          console.log(`⏰ Timeout for ${oil1}-${oil2}, using fallback`);
-          resolve(this.getFallbackSimilarity(oil1, oil2));
-        }
-      }, 180000);
-    });
+      console.log(`🤖 AI similarity ${oil1}-${oil2}: ${similarity}`);
+      return similarity;
+    } catch (error) {
+      console.error(`❌ Failed to get AI similarity for ${oil1}-${oil2}:`, error.message);
+      // Fallback to rule-based similarity
+      return this.getFallbackSimilarity(oil1, oil2);
+    }
   }
 
   /**
@@ -157,6 +101,8 @@ Respond with only a number between 0.0 and 1.0`;
     let completed = 0;
     const total = this.oils.length * (this.oils.length - 1) / 2;
 
+    await this.loadBackend();
+
     for (let i = 0; i < this.oils.length; i++) {
       for (let j = i + 1; j < this.oils.length; j++) {
         const oil1 = this.oils[i];
@@ -178,6 +124,10 @@ Respond with only a number between 0.0 and 1.0`;
       this.similarities[`${oil}-${oil}`] = 1.0;
     });
 
+    if (this.backend) {
+      await this.backend.unload();
+    }
+
     console.log('✅ AI similarity matrix completed!');
   }
 
@@ -485,7 +435,8 @@ Respond with only a number between 0.0 and 1.0`;
           totalOils: this.oils.length,
           totalComparisons: Object.keys(this.similarities).length / 2,
           generatedAt: new Date().toISOString(),
-          method: 'AI-powered similarity analysis'
+          method: 'AI-powered similarity analysis',
+          prompt: templateId(this.promptTemplate)
         }
       }, null, 2));
 
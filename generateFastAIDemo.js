@@ -5,8 +5,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
 const essentialOils = require('./essentialOils.js');
+const { backendOptions } = require('./llmBackends');
+const { createSimilarityBackend, scoreNoteSimilarity } = require('./noteSimilarity');
 
 class FastAIDemo {
   constructor() {
@@ -14,60 +15,40 @@ class FastAIDemo {
     this.demoOils = ['lavender', 'bergamot', 'sandalwood', 'peppermint', 'rose', 'cedarwood'];
     this.similarities = {};
     this.embeddings = {};
+    this.backend = null;  // Loaded LLM backend, null when it failed to load
+  }
+
+  // Loads the LLM backend chosen with the LLM_* environment variables (see llmBackends.js)
+  async loadBackend() {
+    try {
+      const backend = createSimilarityBackend(backendOptions(process.env));
+      await backend.load();
+      this.backend = backend;
+    } catch (error) {
+      console.log(`❌ LLM unavailable, using fallback similarities: ${error.message}`);
+    }
   }
 
   async getLLMSimilarity(oil1, oil2) {
-    return new Promise((resolve) => {
-      const oil1Data = essentialOils[oil1];
-      const oil2Data = essentialOils[oil2];
+    if (!this.backend) {
+      return this.getFallbackSimilarity(oil1, oil2);
+    }
 
-      console.log(`🤖 AI analyzing: ${oil1} vs ${oil2}`);
+    console.log(`🤖 AI analyzing: ${oil1} vs ${oil2}`);
 
-      const bare = spawn('bare', [
-        'aiNoteSimilarityBare.js',
+    try {
+      const { similarity } = await scoreNoteSimilarity(this.backend, {
         oil1,
         oil2,
-        JSON.stringify(oil1Data),
-        JSON.stringify(oil2Data)
-      ], {
-        cwd: __dirname,
-        stdio: ['pipe', 'pipe', 'pipe']
+        oil1Data: essentialOils[oil1],
+        oil2Data: essentialOils[oil2]
       });
-
-      let output = '';
-
-      bare.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      bare.on('close', (code) => {
-        const lines = output.split('\n');
-        let similarity = 0.5;
-
-        for (const line of lines) {
-          if (line.startsWith('SIMILARITY_RESULT:')) {
-            const score = line.replace('SIMILARITY_RESULT:', '');
-            similarity = Math.max(0, Math.min(1, parseFloat(score) || 0.5));
-            break;
-          }
-        }
-
-        console.log(`✅ AI similarity ${oil1}-${oil2}: ${similarity}`);
-        resolve(similarity);
-      });
-
-      bare.on('error', () => {
-        console.log(`❌ Fallback for ${oil1}-${oil2}`);
-        resolve(this.getFallbackSimilarity(oil1, oil2));
-      });
-
-      setTimeout(() => {
-        if (!bare.killed) {
-          bare.kill('SIGTERM');
-          resolve(this.getFallbackSimilarity(oil1, oil2));
-        }
-      }, 120000); // 2 minute timeout per comparison
-    });
+      console.log(`✅ AI similarity ${oil1}-${oil2}: ${similarity}`);
+      return similarity;
+    } catch (error) {
+      console.log(`❌ Fallback for ${oil1}-${oil2}`);
+      return this.getFallbackSimilarity(oil1, oil2);
+    }
   }
 
   getFallbackSimilarity(oil1, oil2) {
@@ -101,6 +82,8 @@ class FastAIDemo {
     let completed = 0;
     const total = this.demoOils.length * (this.demoOils.length - 1) / 2;
 
+    await this.loadBackend();
+
     for (let i = 0; i < this.demoOils.length; i++) {
       for (let j = i + 1; j < this.demoOils.length; j++) {
         const oil1 = this.demoOils[i];
@@ -121,6 +104,10 @@ class FastAIDemo {
       this.similarities[`${oil}-${oil}`] = 1.0;
     });
 
+    if (this.backend) {
+      await this.backend.unload();
+    }
+
     console.log('✅ AI similarities complete!');
   }
 
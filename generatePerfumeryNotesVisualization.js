@@ -5,11 +5,25 @@
  * - TOP NOTES: Quick-evaporating oils that provide first impression
  * - MIDDLE NOTES: Heart of the blend, lasting 2-4 hours
  * - BASE NOTES: Foundation oils that anchor the blend, lasting 6+ hours
+ *
+ * Below the plot, a stacked area chart shows how an example blend dries down:
+ * each oil's share of the scent from application to 8 hours, from the same
+ * evaporation model as the timeline in blend responses (blendEvaporation.js).
  */
 
 const fs = require('fs');
 const path = require('path');
 const essentialOils = require('./essentialOils.js');
+const { simulateEvaporation, timelineChart } = require('./blendEvaporation');
+
+// Classic pyramid for the dry-down chart, as in the README's timeline example
+const EXAMPLE_BLEND = {
+  oils: [
+    { oil: 'bergamot', percentage: 20, note: 'TOP' },
+    { oil: 'lavender', percentage: 50, note: 'MIDDLE' },
+    { oil: 'sandalwood', percentage: 30, note: 'BASE' }
+  ]
+};
 
 class PerfumeryNotesVisualization {
   constructor() {
@@ -100,6 +114,16 @@ class PerfumeryNotesVisualization {
     return embeddings;
   }
 
+  generateDryDown() {
+    // Oils removed from the catalog are left out
+    const blend = { oils: EXAMPLE_BLEND.oils.filter(entry => essentialOils[entry.oil]) };
+    if (blend.oils.length === 0) {
+      return null;
+    }
+
+    return timelineChart(simulateEvaporation(blend, { catalog: essentialOils }), essentialOils);
+  }
+
   generateVisualizationData() {
     this.classifyOilsByPerfumeryNotes();
     const embeddings = this.generateCoordinates();
@@ -115,6 +139,7 @@ class PerfumeryNotesVisualization {
       embeddings,
       noteTypeColors,
       noteClassification: this.noteClassification,
+      dryDown: this.generateDryDown(),
       metadata: {
         totalOils: Object.keys(embeddings).length,
         topNotes: this.noteClassification.TOP.oils.length,
@@ -228,6 +253,14 @@ class PerfumeryNotesVisualization {
             margin: 10px 0;
             font-size: 0.9em;
         }
+        .chart-container h2 {
+            color: #333;
+            margin: 0 0 5px 0;
+        }
+        .chart-caption {
+            color: #555;
+            margin: 0 0 15px 0;
+        }
     </style>
 </head>
 <body>
@@ -271,7 +304,13 @@ class PerfumeryNotesVisualization {
                 <div class="note-description">${data.noteClassification.BASE.description}</div>
             </div>
         </div>
-    </div>
+${data.dryDown ? `
+        <div class="chart-container">
+            <h2>⏳ Dry-down of ${data.dryDown.series.map(series => series.oil).join(' • ')}</h2>
+            <p class="chart-caption">Each oil's share of the scent as the blend evaporates; the dashed line is the blend's overall strength</p>
+            <svg id="drydown-plot"></svg>
+        </div>
+` : ''}    </div>
 
     <div class="tooltip" id="tooltip"></div>
 
@@ -386,6 +425,73 @@ class PerfumeryNotesVisualization {
                 .attr("dy", (d, i) => i === 0 ? 0 : "1.2em")
                 .text(d => d);
         });
+
+        // Dry-down chart: stacked share of each oil over time, coloured by note
+        if (data.dryDown) {
+            const dryDown = data.dryDown;
+            const chartMargin = {top: 20, right: 110, bottom: 40, left: 50};
+            const chartWidth = 800 - chartMargin.left - chartMargin.right;
+            const chartHeight = 320 - chartMargin.top - chartMargin.bottom;
+
+            const chart = d3.select("#drydown-plot")
+                .attr("width", chartWidth + chartMargin.left + chartMargin.right)
+                .attr("height", chartHeight + chartMargin.top + chartMargin.bottom)
+                .append("g")
+                .attr("transform", "translate(" + chartMargin.left + "," + chartMargin.top + ")");
+
+            const timeScale = d3.scalePoint().domain(dryDown.labels).range([0, chartWidth]);
+            const shareScale = d3.scaleLinear().domain([0, 100]).range([chartHeight, 0]);
+
+            const rows = dryDown.labels.map((label, i) => {
+                const row = {label: label};
+                dryDown.series.forEach(series => { row[series.oil] = series.values[i]; });
+                return row;
+            });
+            const layers = d3.stack().keys(dryDown.series.map(series => series.oil))(rows);
+
+            chart.selectAll(".layer")
+                .data(layers)
+                .enter()
+                .append("path")
+                .attr("class", "layer")
+                .attr("d", d3.area()
+                    .x(d => timeScale(d.data.label))
+                    .y0(d => shareScale(d[0]))
+                    .y1(d => shareScale(d[1])))
+                .attr("fill", (d, i) => data.noteTypeColors[dryDown.series[i].note])
+                .attr("stroke", "white")
+                .attr("stroke-width", 2)
+                .attr("opacity", 0.85);
+
+            // Oil names beside the last point of their layer
+            layers.forEach((layer, i) => {
+                const last = layer[layer.length - 1];
+                chart.append("text")
+                    .attr("x", chartWidth + 8)
+                    .attr("y", shareScale((last[0] + last[1]) / 2))
+                    .attr("dy", "0.35em")
+                    .attr("font-size", "12px")
+                    .attr("font-weight", "bold")
+                    .attr("fill", "#333")
+                    .text(dryDown.series[i].oil + " (" + dryDown.series[i].note + ")");
+            });
+
+            chart.append("path")
+                .datum(dryDown.strength)
+                .attr("d", d3.line()
+                    .x((d, i) => timeScale(dryDown.labels[i]))
+                    .y(d => shareScale(d)))
+                .attr("fill", "none")
+                .attr("stroke", "#333")
+                .attr("stroke-width", 2)
+                .attr("stroke-dasharray", "6 4");
+
+            chart.append("g")
+                .attr("transform", "translate(0," + chartHeight + ")")
+                .call(d3.axisBottom(timeScale));
+            chart.append("g")
+                .call(d3.axisLeft(shareScale).tickFormat(d => d + "%"));
+        }
     </script>
 </body>
 </html>`;
@@ -0,0 +1,53 @@
+/**
+ * JSON File Store
+ *
+ * Minimal persistence for server-side data (the edited oil catalog and other
+ * user data) as pretty-printed JSON files under data/. Writes go to a
+ * temporary file first and are renamed into place, so a crash mid-write never
+ * leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+class JsonStore {
+  /**
+   * @param {string} fileName - File name inside the data directory
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory to store the file in (defaults to data/)
+   */
+  constructor(fileName, { dir = DATA_DIR } = {}) {
+    this.filePath = path.join(dir, fileName);
+  }
+
+  /**
+   * Reads the stored value
+   *
+   * @param {*} fallback - Returned when nothing has been saved yet
+   * @returns {*} - Parsed file contents, or the fallback
+   */
+  load(fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw new Error(`Could not read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces the stored value
+   *
+   * @param {*} value - JSON-serializable value
+   */
+  save(value) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value, null, 2) + '\n');
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
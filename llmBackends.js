@@ -0,0 +1,378 @@
+/**
+ * LLM Backends
+ *
+ * Everything that talks to a language model goes through a backend with the
+ * same small interface, so the model can be swapped without touching the
+ * prompting code:
+ * - load(onProgress): get ready to answer; onProgress receives
+ *   { overallProgress } (0-100) while a model downloads or loads
+ * - run(messages, { onToken, task, signal }): answer chat messages, streaming
+ *   tokens to onToken; resolves to { text, stats }. stats is { TTFT, TPS } with
+ *   every backend: ms to the first token and tokens per second (null when
+ *   unknown). Backends that can, stop when the AbortSignal fires.
+ * - unload(): release the model
+ * - info(): { backend, name, config } recorded with results
+ *
+ * Backends:
+ * - llamacpp: the medgemma model run in-process by @tetherto/llm-llamacpp,
+ *   downloaded on first use (2.4 GB)
+ * - openai: any server with an OpenAI-compatible /chat/completions endpoint,
+ *   e.g. llama.cpp's llama-server, Ollama, vLLM or LM Studio
+ * - mock: no model at all. Answers from a list of canned responses, or
+ *   derives one from the task the caller describes (the optimizer's blend,
+ *   descriptor overlap for similarity scores), so the server and the
+ *   visualization generators run on CI and laptops without a download.
+ *
+ * Shared by the Node scripts and the Bare runtime scripts, so it must stay
+ * free of Node-only modules; each backend requires its own dependencies when
+ * it is created. Only llamacpp needs the Bare runtime; the server runs the
+ * others in its own process (see localWorker.js).
+ */
+
+const BACKENDS = ['llamacpp', 'openai', 'mock'];
+
+// Registry entry of the default model for the llamacpp backend
+const MODEL_KEY = 'hd://b11388de0e9214d8c2181eae30e31bcd49c48b26d621b353ddc7f01972dddd76';
+const MODEL_NAME = 'medgemma-4b-it-Q4_1.gguf';
+
+// Where llama-server listens by default
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+
+/**
+ * Reduces a backend's statistics to the shape every backend reports
+ *
+ * @param {Object} [stats] - { TTFT, TPS } plus anything else the backend measured
+ * @returns {Object} - { TTFT, TPS }, null where unknown
+ */
+function normalizeStats(stats = {}) {
+  const value = number => (typeof number === 'number' && isFinite(number) ? Math.round(number * 1000) / 1000 : null);
+  return { TTFT: value(stats.TTFT), TPS: value(stats.TPS) };
+}
+
+/**
+ * Reads a Server-Sent Events body, calling onData with the data of each event
+ * until the stream ends or sends [DONE]
+ *
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @param {Function} onData - Called with each event's data string
+ */
+async function readEvents(body, onData) {
+  // Node has TextDecoder built in; Bare gets it from bare-encoding
+  const Decoder = typeof TextDecoder === 'function' ? TextDecoder : require('bare-encoding').TextDecoder;
+  // Streaming decodes keep characters split across chunks whole
+  const decoder = new Decoder();
+  let pending = '';
+
+  for await (const chunk of body) {
+    pending += decoder.decode(chunk, { stream: true });
+
+    let end;
+    while ((end = pending.indexOf('\n')) !== -1) {
+      const line = pending.slice(0, end).trim();
+      pending = pending.slice(end + 1);
+
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      onData(data);
+    }
+  }
+}
+
+/**
+ * Runs the model in-process with @tetherto/llm-llamacpp
+ */
+class LlamacppBackend {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - llama.cpp inference settings (gpu_layers, ctx_size, temp, predict, ...)
+   * @param {Object} [options.logger] - Logger passed to the model
+   */
+  constructor({ config, logger = console }) {
+    this.config = config;
+    this.logger = logger;
+    this.model = null;
+    this.store = null;
+  }
+
+  async load(onProgress = () => {}) {
+    const Corestore = require('corestore');
+    const HyperDriveDL = require('@tetherto/qvac-lib-dl-hyperdrive');
+    const LlmLlamacpp = require('@tetherto/llm-llamacpp');
+
+    this.store = new Corestore('./store');
+
+    // Hyperdrive data loader with the model from the registry
+    const loader = new HyperDriveDL({ key: MODEL_KEY, store: this.store });
+
+    this.model = new LlmLlamacpp({
+      loader,
+      opts: { stats: true },
+      logger: this.logger,
+      diskPath: './models/',
+      modelName: MODEL_NAME
+    }, { ...this.config });
+
+    await this.model.load(true, onProgress);
+  }
+
+  async run(messages, { onToken = () => {} } = {}) {
+    const response = await this.model.run(messages);
+    const buffer = [];
+
+    await response
+      .onUpdate(token => {
+        onToken(token);
+        buffer.push(token);
+      })
+      .await();
+
+    return { text: buffer.join(''), stats: normalizeStats(response.stats) };
+  }
+
+  async unload() {
+    if (this.model) {
+      await this.model.unload();
+      this.model = null;
+    }
+    if (this.store) {
+      await this.store.close();
+      this.store = null;
+    }
+  }
+
+  info() {
+    return { backend: 'llamacpp', name: MODEL_NAME, config: this.config };
+  }
+}
+
+/**
+ * Sends the messages to an OpenAI-compatible chat completions endpoint and
+ * streams the answer back token by token (Server-Sent Events). Servers that
+ * answer with a plain JSON completion instead are read in one piece.
+ */
+class OpenAIBackend {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Inference settings; temp, top_p and predict are sent as
+   *                                  temperature, top_p and max_tokens
+   * @param {string} [options.baseUrl] - API root, e.g. http://localhost:8080/v1
+   * @param {string} [options.model] - Model name sent with each request (default the llamacpp model's)
+   * @param {string} [options.apiKey] - Bearer token, for servers that want one
+   */
+  constructor({ config, baseUrl = DEFAULT_BASE_URL, model = MODEL_NAME, apiKey = null }) {
+    this.config = config;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    // Node has fetch built in; Bare gets it from bare-fetch
+    this.fetch = typeof fetch === 'function' ? fetch : require('bare-fetch');
+  }
+
+  // The server loads its own model
+  async load(onProgress = () => {}) {
+    onProgress({ overallProgress: 100 });
+  }
+
+  async run(messages, { onToken = () => {}, signal = null } = {}) {
+    const body = { model: this.model, messages, stream: true, stream_options: { include_usage: true } };
+    if (this.config.temp !== undefined) body.temperature = Number(this.config.temp);
+    if (this.config.top_p !== undefined) body.top_p = Number(this.config.top_p);
+    if (this.config.predict !== undefined) body.max_tokens = Number(this.config.predict);
+
+    const started = Date.now();
+    const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      ...(signal ? { signal } : {})
+    });
+    if (!response.ok) {
+      throw new Error(`LLM server answered ${response.status}: ${await response.text()}`);
+    }
+
+    const buffer = [];
+    let firstTokenAt = null;
+    let chunks = 0;
+    let usage = null;
+    const receive = content => {
+      if (!content) return;
+      if (firstTokenAt === null) firstTokenAt = Date.now();
+      chunks++;
+      onToken(content);
+      buffer.push(content);
+    };
+
+    if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+      await readEvents(response.body, data => {
+        const chunk = JSON.parse(data);
+        if (chunk.usage) usage = chunk.usage;
+        const choice = chunk.choices && chunk.choices[0];
+        receive(choice && choice.delta ? choice.delta.content : null);
+      });
+    } else {
+      const data = await response.json();
+      usage = data.usage || null;
+      const choice = data.choices && data.choices[0];
+      receive(choice && choice.message ? choice.message.content : null);
+    }
+
+    // Servers that don't report usage send about one token per chunk
+    const tokens = usage && usage.completion_tokens ? usage.completion_tokens : chunks;
+    const seconds = firstTokenAt === null ? 0 : (Date.now() - firstTokenAt) / 1000;
+    return {
+      text: buffer.join(''),
+      stats: normalizeStats({
+        TTFT: firstTokenAt === null ? null : firstTokenAt - started,
+        TPS: seconds > 0 ? tokens / seconds : null
+      })
+    };
+  }
+
+  async unload() {}
+
+  info() {
+    return { backend: 'openai', name: this.model, config: this.config, baseUrl: this.baseUrl };
+  }
+}
+
+/**
+ * Answers without a model. Canned responses are tried first: the first one
+ * whose `match` (a regular expression) is found in the last user message
+ * answers. Otherwise the answer is derived from the task the caller passed
+ * to run():
+ * - { type: 'blend', oils, description, structure, catalog, refinement? }: the
+ *   optimizer's best blend as JSON, or with refinement ({ blend, message })
+ *   the rule-based revision of that blend
+ * - { type: 'critique', findings }: the findings as sentences
+ * - { type: 'similarity', oils: [record, record], scale }: the share of
+ *   descriptors the two oils have in common, on a 0-scale scale
+ * Anything else gets a fixed reply.
+ */
+class MockBackend {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Inference settings, only reported
+   * @param {Object[]} [options.responses=[]] - Canned responses: [{ match, response }]
+   */
+  constructor({ config, responses = [] }) {
+    this.config = config;
+    this.responses = responses.map(({ match, response }) => ({ pattern: new RegExp(match, 'i'), response }));
+  }
+
+  async load(onProgress = () => {}) {
+    onProgress({ overallProgress: 100 });
+  }
+
+  async run(messages, { onToken = () => {}, task = null } = {}) {
+    const last = [...messages].reverse().find(message => message.role === 'user');
+    const canned = last && this.responses.find(({ pattern }) => pattern.test(last.content));
+    const text = canned ? canned.response : this.derive(task);
+
+    onToken(text);
+    return { text, stats: normalizeStats({ TTFT: 0, TPS: null }) };
+  }
+
+  derive(task) {
+    if (!task) return 'Mock response';
+
+    switch (task.type) {
+      case 'blend': {
+        if (task.refinement) {
+          const { refineBlend } = require('./blendRefinement');
+          const { blend } = refineBlend(task.refinement.blend, task.refinement.message, {
+            oils: task.oils, structure: task.structure, catalog: task.catalog
+          });
+          return JSON.stringify(blend);
+        }
+
+        const { optimizeBlends } = require('./blendOptimizer');
+        const [best] = optimizeBlends(task.oils, task.description, task.structure, { catalog: task.catalog }).blends;
+        return best ? JSON.stringify(best.blend) : '{"oils": []}';
+      }
+
+      case 'critique':
+        return task.findings.length > 0
+          ? `Mock critique: ${task.findings.map(finding => (/[.!?]$/.test(finding) ? finding : `${finding}.`)).join(' ')}`
+          : 'Mock critique: the formula is balanced and has no issues.';
+
+      case 'similarity': {
+        const { descriptorsOf } = require('./blendOptimizer');
+        const [a, b] = task.oils.map(descriptorsOf);
+        const shared = a.filter(descriptor => b.includes(descriptor)).length;
+        const union = new Set([...a, ...b]).size;
+        const score = union > 0 ? shared / union : 0;
+        return task.scale === 1
+          ? score.toFixed(2)
+          : `${Math.round(score * task.scale)} - mock score from ${shared} shared descriptors`;
+      }
+
+      default:
+        return 'Mock response';
+    }
+  }
+
+  async unload() {}
+
+  info() {
+    return { backend: 'mock', name: 'mock', config: this.config };
+  }
+}
+
+/**
+ * Backend options from environment variables:
+ * - LLM_BACKEND: llamacpp (default), openai or mock
+ * - LLM_BASE_URL, LLM_MODEL, LLM_API_KEY: the openai backend's server, model and key
+ * - LLM_MOCK_RESPONSES: JSON file of canned mock responses ([{ match, response }]),
+ *   absolute or relative to the project directory
+ *
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} - Options for createBackend, without config
+ */
+function backendOptions(env) {
+  const options = { backend: env.LLM_BACKEND || 'llamacpp' };
+  if (env.LLM_BASE_URL) options.baseUrl = env.LLM_BASE_URL;
+  if (env.LLM_MODEL) options.model = env.LLM_MODEL;
+  if (env.LLM_API_KEY) options.apiKey = env.LLM_API_KEY;
+  if (env.LLM_MOCK_RESPONSES) {
+    const file = env.LLM_MOCK_RESPONSES;
+    options.responses = require(file.startsWith('/') ? file : `./${file}`);
+  }
+  return options;
+}
+
+/**
+ * Creates a backend
+ *
+ * @param {Object} options
+ * @param {string} [options.backend='llamacpp'] - One of BACKENDS
+ * @param {Object} options.config - Inference settings of the caller
+ * @param {Object} [options.logger] - Logger for the llamacpp backend
+ * @param {string} [options.baseUrl] - openai backend: API root
+ * @param {string} [options.model] - openai backend: model name
+ * @param {string} [options.apiKey] - openai backend: bearer token
+ * @param {Object[]} [options.responses] - mock backend: canned responses
+ * @returns {Object} - Backend
+ * @throws {Error} - If the backend is unknown
+ */
+function createBackend({ backend = 'llamacpp', ...options }) {
+  switch (backend) {
+    case 'llamacpp':
+      return new LlamacppBackend(options);
+    case 'openai':
+      return new OpenAIBackend(options);
+    case 'mock':
+      return new MockBackend(options);
+    default:
+      throw new Error(`Unknown LLM backend "${backend}". Available backends: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  backendOptions,
+  createBackend
+};
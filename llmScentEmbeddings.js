@@ -5,10 +5,10 @@
  * then applies Multidimensional Scaling (MDS) to create 2D embeddings for visualization.
  */
 
-const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const essentialOils = require('./essentialOils');
+const llmService = require('./llmService');
 
 class LLMScentEmbeddings {
   constructor() {
@@ -72,55 +72,17 @@ class LLMScentEmbeddings {
       return this.similarityMatrix[key];
     }
 
-    return new Promise((resolve, reject) => {
-      console.log(`Getting LLM similarity: ${oil1} vs ${oil2}`);
-
-      const bare = spawn('bare', ['scentSimilarityBare.js', oil1, oil2], {
-        cwd: __dirname,
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-
-      let stdout = '';
-      let stderr = '';
-
-      bare.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      bare.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      bare.on('close', (code) => {
-        if (code === 0) {
-          try {
-            // Extract JSON from output (LLM output includes other text)
-            const jsonMatch = stdout.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-              const result = JSON.parse(jsonMatch[0]);
-              this.similarityMatrix[key] = {
-                oil1: result.oil1,
-                oil2: result.oil2,
-                similarity: result.similarity,
-                reasoning: result.reasoning,
-                timestamp: result.timestamp
-              };
-              resolve(this.similarityMatrix[key]);
-            } else {
-              reject(new Error('No JSON found in LLM output'));
-            }
-          } catch (error) {
-            reject(new Error(`Failed to parse LLM output: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`LLM process failed with code ${code}: ${stderr}`));
-        }
-      });
-
-      bare.on('error', (error) => {
-        reject(new Error(`Failed to spawn LLM process: ${error.message}`));
-      });
-    });
+    // Runs in-process with the backend chosen by the LLM_* environment variables (see llmService.js)
+    console.log(`Getting LLM similarity: ${oil1} vs ${oil2}`);
+    const result = await llmService.compareSimilarity(oil1, oil2);
+    this.similarityMatrix[key] = {
+      oil1: result.oil1,
+      oil2: result.oil2,
+      similarity: result.similarity,
+      reasoning: result.reasoning,
+      timestamp: result.timestamp
+    };
+    return this.similarityMatrix[key];
   }
 
   // Generate similarity matrix for all oil pairs
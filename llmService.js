@@ -3,17 +3,16 @@
  *
  * Keeps the LLM loaded in memory and processes multiple similarity requests
  * without reloading the model each time. Dramatically improves performance.
+ * The LLM backend is chosen with the LLM_* environment variables (see llmBackends.js).
  */
 
-const Corestore = require('corestore');
-const HyperDriveDL = require('@tetherto/qvac-lib-dl-hyperdrive');
-const LlmLlamacpp = require('@tetherto/llm-llamacpp');
 const essentialOils = require('./essentialOils');
+const { templateId, renderMessages, loadTemplate } = require('./promptTemplates');
+const { backendOptions, createBackend } = require('./llmBackends');
 
 class LLMService {
   constructor() {
-    this.model = null;
-    this.store = null;
+    this.backend = null;
     this.isLoaded = false;
     this.isLoading = false;
     this.queue = [];
@@ -28,36 +27,22 @@ class LLMService {
     console.log('🤖 Initializing persistent LLM service...');
 
     try {
-      // Initialize store and model (same setup as scentBlenderBare.js)
-      this.store = new Corestore('./store');
-
-      const hdDL = new HyperDriveDL({
-        key: 'hd://b11388de0e9214d8c2181eae30e31bcd49c48b26d621b353ddc7f01972dddd76',
-        store: this.store
-      });
-
-      const args = {
-        loader: hdDL,
-        opts: { stats: true },
+      this.backend = createBackend({
+        ...backendOptions(process.env),
         logger: console,
-        diskPath: './models/',
-        modelName: 'medgemma-4b-it-Q4_1.gguf'
-      };
-
-      const config = {
-        gpu_layers: '0',
-        ctx_size: '1024',
-        device: 'cpu',
-        temp: '0.3',
-        top_p: '0.9',
-        top_k: '40',
-        predict: '150'
-      };
-
-      this.model = new LlmLlamacpp(args, config);
+        config: {
+          gpu_layers: '0',
+          ctx_size: '1024',
+          device: 'cpu',
+          temp: '0.3',
+          top_p: '0.9',
+          top_k: '40',
+          predict: '150'
+        }
+      });
 
       console.log('Loading model... (this may take a while)');
-      await this.model.load(true, progress => {
+      await this.backend.load(progress => {
         process.stdout.write(`\rProgress: ${progress.overallProgress}%`);
       });
       console.log('\n✅ LLM service ready!');
@@ -71,6 +56,9 @@ class LLMService {
     } catch (error) {
       this.isLoading = false;
       console.error('❌ Failed to initialize LLM service:', error.message);
+
+      // Requests queued while loading fail with it
+      this.queue.splice(0).forEach(({ reject }) => reject(error));
       throw error;
     }
   }
@@ -90,7 +78,8 @@ class LLMService {
   async compareSimilarity(oil1, oil2) {
     if (!this.isLoaded) {
       if (!this.isLoading) {
-        this.initialize();
+        // A failed load rejects the queued requests, this one included
+        this.initialize().catch(() => {});
       }
 
       // Queue the request if model is still loading
@@ -111,41 +100,24 @@ class LLMService {
     const oilData1 = essentialOils[oil1];
     const oilData2 = essentialOils[oil2];
 
-    // Create comparison prompt
-    const prompt = `You are an expert perfumer comparing essential oils. Rate the scent similarity between these two oils on a scale of 0-100, where:
-- 0 = Completely different scent profiles
-- 50 = Moderately similar (some shared characteristics)
-- 100 = Nearly identical scent profiles
-
-Oil 1 - ${oil1}:
-- Category: ${oilData1.category}
-- Intensity: ${oilData1.intensity}
-- Notes: ${oilData1.notes.join(', ')}
-- Description: ${oilData1.description}
-
-Oil 2 - ${oil2}:
-- Category: ${oilData2.category}
-- Intensity: ${oilData2.intensity}
-- Notes: ${oilData2.notes.join(', ')}
-- Description: ${oilData2.description}
-
-Consider scent notes, intensity, category, and overall aromatic character. Provide only the numerical score (0-100) followed by a brief explanation.
-
-Similarity score:`;
-
-    const messages = [{ role: 'user', content: prompt }];
+    const template = loadTemplate('oil-similarity');
+    const messages = renderMessages(template, {
+      oil1,
+      oil2,
+      oil1Category: oilData1.category,
+      oil1Intensity: oilData1.intensity,
+      oil1Notes: oilData1.notes.join(', '),
+      oil1Description: oilData1.description,
+      oil2Category: oilData2.category,
+      oil2Intensity: oilData2.intensity,
+      oil2Notes: oilData2.notes.join(', '),
+      oil2Description: oilData2.description
+    });
 
     // Get LLM response
-    const response_stream = await this.model.run(messages);
-    const buffer = [];
-
-    await response_stream
-      .onUpdate(token => {
-        buffer.push(token);
-      })
-      .await();
-
-    const response = buffer.join('');
+    const { text: response } = await this.backend.run(messages, {
+      task: { type: 'similarity', oils: [oilData1, oilData2], scale: 100 }
+    });
 
     // Extract numerical score from response
     const scoreMatch = response.match(/(\d+)/);
@@ -157,6 +129,7 @@ Similarity score:`;
       oil2,
       similarity: validScore,
       reasoning: response.trim(),
+      prompt: templateId(template),
       timestamp: new Date().toISOString()
     };
   }
@@ -188,8 +161,8 @@ Similarity score:`;
   }
 
   async shutdown() {
-    if (this.store) {
-      await this.store.close();
+    if (this.backend) {
+      await this.backend.unload();
     }
     this.isLoaded = false;
     console.log('🤖 LLM service shut down');
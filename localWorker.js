@@ -0,0 +1,211 @@
+/**
+ * In-Process LLM Worker
+ *
+ * Runs ScentBlender in the server process for the LLM backends that need no
+ * Bare runtime (mock and openai, see llmBackends.js): their model lives in
+ * another server or nowhere, so there is nothing to keep loaded in a child
+ * process. Offers the same interface, states and status as BareWorker, so
+ * the server uses whichever fits the backend.
+ *
+ * Requests run concurrently. Aborting one rejects it at once and aborts its
+ * request to the model server.
+ *
+ * States:
+ * - stopped:  not started (initial state, or after stop())
+ * - starting: backend loading
+ * - ready:    backend loaded, requests run straight away
+ * - failed:   backend failed to load; loaded again on the next request
+ */
+
+const EventEmitter = require('events');
+const ScentBlender = require('./scentBlender');
+const { createAbortError } = require('./bareWorker');
+
+const DEFAULT_REQUEST_TIMEOUT = 600000; // 10 minutes, as for the Bare worker
+
+class LocalWorker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.backend - LLM backend options, e.g. backendOptions(process.env)
+   * @param {number} [options.requestTimeout] - Per-request timeout in ms
+   * @param {Object} [options.logger] - Receives ScentBlender's logging
+   */
+  constructor({ backend, requestTimeout = DEFAULT_REQUEST_TIMEOUT, logger = console }) {
+    super();
+    this.blender = new ScentBlender({ logger, backend });
+    this.requestTimeout = requestTimeout;
+    this.state = 'stopped';
+    this.loadProgress = 0;
+    this.model = null;         // { backend, name } once loaded
+    this.lastError = null;
+    this.loading = null;       // Resolves once the backend is loaded
+    this.nextId = 1;
+    this.pending = new Map();  // id -> fail(error)
+  }
+
+  /**
+   * Loads the backend if it is not loaded or loading already
+   */
+  start() {
+    if (this.loading) return;
+
+    this.setState('starting');
+    this.loadProgress = 0;
+
+    this.loading = this.blender.initialize(progress => {
+      this.loadProgress = progress.overallProgress;
+      this.emit('progress', progress.overallProgress);
+    }).then(() => {
+      const { backend, name } = this.blender.backend.info();
+      this.model = { backend, name };
+      this.loadProgress = 100;
+      this.setState('ready');
+    }, error => {
+      this.loading = null;
+      this.lastError = error.message;
+      console.error('Failed to load LLM backend:', error.message);
+      this.setState('failed');
+      throw error;
+    });
+
+    // Requests waiting for the load see the error; nothing else needs it
+    this.loading.catch(() => {});
+  }
+
+  /**
+   * Unloads the backend and fails any outstanding requests
+   */
+  stop() {
+    this.loading = null;
+    this.setState('stopped');
+    [...this.pending.values()].forEach(fail => fail(new Error('LLM worker stopped')));
+    this.blender.cleanup().catch(() => {});
+  }
+
+  /**
+   * Generates a blend, as BareWorker#blend
+   *
+   * @param {Object} params
+   * @param {string[]} params.oils - Oil names the blend may use
+   * @param {string} params.description - Target scent description
+   * @param {Object} [params.structure] - Resolved blend structure (see blendStructures.js)
+   * @param {Object[]} [params.conversation] - Earlier blends and refinement requests when refining a blend
+   * @param {Object} [params.template] - "blend" prompt template (default: the default version)
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - Called with each streamed token
+   * @param {Function} [options.onAttempt] - Called with (attempt, previousErrors) when the model is (re)prompted
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} - ScentBlender result ({ success, blend, attempts, stats } or { success: false, error })
+   */
+  blend({ oils, description, structure, conversation, template }, { onToken = () => {}, onAttempt = () => {}, signal } = {}) {
+    // The catalog is shared with the server, so catalog edits need no forwarding
+    return this.request((active, requestSignal) => {
+      const validation = this.blender.validateOils(oils || []);
+      if (validation.available.length === 0) {
+        throw new Error('No valid oils provided');
+      }
+
+      return this.blender.blendScent(validation.available, description, {
+        structure,
+        conversation,
+        ...(template ? { template } : {}),
+        onToken: token => active() && onToken(token),
+        onAttempt: (attempt, errors) => active() && onAttempt(attempt, errors),
+        signal: requestSignal
+      });
+    }, signal);
+  }
+
+  /**
+   * Comments on a user's own formula, as BareWorker#critique
+   *
+   * @param {Object} params
+   * @param {Object} params.blend - Formula: { oils: [{ oil, percentage, note }] }
+   * @param {string[]} params.findings - Issues found by the evaluator (see blendEvaluation.js)
+   * @param {string} [params.description] - What the formula is meant to smell like
+   * @param {Object} [params.template] - "critique" prompt template
+   * @param {Object} [options] - onToken callback and abort signal, as for blend()
+   * @returns {Promise<Object>} - ScentBlender result ({ success, commentary, stats } or { success: false, error })
+   */
+  critique({ blend, findings, description, template }, { onToken = () => {}, signal } = {}) {
+    return this.request((active, requestSignal) => this.blender.critiqueBlend(blend, findings || [], {
+      description,
+      ...(template ? { template } : {}),
+      onToken: token => active() && onToken(token),
+      signal: requestSignal
+    }), signal);
+  }
+
+  /**
+   * Runs a request once the backend is loaded
+   *
+   * @param {Function} run - (active, signal) => Promise of the result; active() is false once the request is settled
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<Object>} - The result of run
+   */
+  request(run, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    if (!this.loading) {
+      this.start();
+    }
+
+    const id = String(this.nextId++);
+    const controller = new AbortController();
+
+    return new Promise((resolve, reject) => {
+      const settle = callback => {
+        if (!this.pending.has(id)) return;
+        this.pending.delete(id);
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback();
+      };
+      const fail = error => settle(() => {
+        controller.abort();
+        reject(error);
+      });
+
+      const timer = setTimeout(() => {
+        fail(new Error('Request timed out. The LLM model may be loading or processing. Please try again.'));
+      }, this.requestTimeout);
+
+      const onAbort = () => fail(createAbortError());
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, fail);
+      this.loading
+        .then(() => run(() => this.pending.has(id), controller.signal))
+        .then(result => settle(() => resolve(result)), fail);
+    });
+  }
+
+  setState(state) {
+    if (state === 'ready') this.lastError = null;
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  /**
+   * Snapshot of the worker for health checks, in BareWorker's shape
+   *
+   * @returns {Object} - State, load progress, model and queue size
+   */
+  status() {
+    return {
+      state: this.state,
+      ready: this.state === 'ready',
+      pid: process.pid,  // Runs in the server process
+      loadProgress: this.loadProgress,
+      model: this.model,
+      restarts: 0,
+      pendingRequests: this.pending.size,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = LocalWorker;
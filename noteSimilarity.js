@@ -0,0 +1,84 @@
+/**
+ * LLM Note Similarity
+ *
+ * Asks the LLM how alike two oils' perfumery note positions are, on a 0-1
+ * scale, with the "note-similarity" prompt template. Used in-process by the
+ * AI notes visualization generators and by aiNoteSimilarityBare.js, so it
+ * works with every LLM backend (see llmBackends.js) under Node and Bare.
+ *
+ * Shared by the Node generators and the Bare runtime script, so it must stay
+ * free of Node-only modules.
+ */
+
+const { renderMessages, loadTemplate } = require('./promptTemplates');
+const { createBackend } = require('./llmBackends');
+
+// Short, focused answers: the reply is a single number
+const SIMILARITY_CONFIG = {
+  gpu_layers: '0',
+  ctx_size: '1024',
+  device: 'cpu',
+  temp: '0.3',
+  top_p: '0.8',
+  top_k: '20',
+  predict: '50'
+};
+
+// Only errors from the llamacpp backend; its load and inference logging is noise here
+const QUIET_LOGGER = {
+  log: () => {},
+  error: (...args) => console.error(...args),
+  warn: () => {},
+  info: () => {},
+  debug: () => {}
+};
+
+/**
+ * Creates a backend set up for similarity scoring. Call load() before use.
+ *
+ * @param {Object} options - Backend options, e.g. backendOptions(process.env)
+ * @returns {Object} - LLM backend
+ */
+function createSimilarityBackend(options) {
+  return createBackend({ logger: QUIET_LOGGER, ...options, config: SIMILARITY_CONFIG });
+}
+
+/**
+ * Scores the note similarity of two oils
+ *
+ * @param {Object} backend - Loaded backend from createSimilarityBackend
+ * @param {Object} params
+ * @param {string} params.oil1 - First oil name
+ * @param {string} params.oil2 - Second oil name
+ * @param {Object} params.oil1Data - First oil's catalog record
+ * @param {Object} params.oil2Data - Second oil's catalog record
+ * @param {Object} [params.template] - "note-similarity" prompt template (default: the default version)
+ * @returns {Promise<Object>} - { similarity: 0-1 (0.5 when the reply has no number), response }
+ */
+async function scoreNoteSimilarity(backend, { oil1, oil2, oil1Data, oil2Data, template = loadTemplate('note-similarity') }) {
+  const messages = renderMessages(template, {
+    oil1,
+    oil2,
+    oil1Notes: oil1Data.notes.join(', '),
+    oil1Intensity: oil1Data.intensity,
+    oil1Category: oil1Data.category,
+    oil2Notes: oil2Data.notes.join(', '),
+    oil2Intensity: oil2Data.intensity,
+    oil2Category: oil2Data.category
+  });
+
+  const { text } = await backend.run(messages, {
+    task: { type: 'similarity', oils: [oil1Data, oil2Data], scale: 1 }
+  });
+  const response = text.trim();
+
+  const match = response.match(/(\d*\.?\d+)/);
+  const similarity = match ? Math.max(0, Math.min(1, parseFloat(match[1]))) : 0.5;
+
+  return { similarity, response };
+}
+
+module.exports = {
+  createSimilarityBackend,
+  scoreNoteSimilarity
+};
@@ -0,0 +1,122 @@
+/**
+ * Oil Catalog
+ *
+ * Adds, replaces and removes oils in the shared catalog (essentialOils.js)
+ * and saves the changes from the shipped catalog to data/oils.json (see
+ * oilOverrides.js). Changes are applied to the loaded catalog object in place,
+ * so every module that required essentialOils.js sees them without a restart.
+ *
+ * Methods return { oil } on success, or { error, status } with the HTTP
+ * status the API should answer with (400 invalid, 404 unknown, 409 exists).
+ */
+
+const essentialOils = require('./essentialOils');
+const shippedOils = require('./essentialOils.json');
+const JsonStore = require('./jsonStore');
+const { normalizeOilName } = require('./blendSchema');
+const { validateOil, isValidOilName } = require('./oilSchema');
+const { ALLERGENS } = require('./blendAllergens');
+const { OVERRIDES_VERSION, hasOwn, readOverrides } = require('./oilOverrides');
+
+class OilCatalog {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.oils] - Catalog object to edit (defaults to the shared catalog)
+   * @param {Object} [options.shipped] - Catalog the edits are relative to (defaults to essentialOils.json)
+   * @param {JsonStore} [options.store] - Where edits are saved (defaults to data/oils.json)
+   */
+  constructor({ oils = essentialOils, shipped = shippedOils, store = new JsonStore('oils.json') } = {}) {
+    this.oils = oils;
+    this.shipped = shipped;
+    this.store = store;
+    this.overrides = readOverrides(store.load(null));
+  }
+
+  /**
+   * Looks up an oil
+   *
+   * @param {string} name - Oil name in any case/spacing
+   * @returns {Object|null} - { name, ...record }, or null if unknown
+   */
+  get(name) {
+    const key = normalizeOilName(name);
+    return hasOwn(this.oils, key) ? { name: key, ...this.oils[key] } : null;
+  }
+
+  /**
+   * Adds a new oil
+   *
+   * @param {string} name - Oil name
+   * @param {Object} record - Oil record (see oilSchema.js)
+   * @returns {Object} - { oil } or { error, status }
+   */
+  create(name, record) {
+    const key = normalizeOilName(name);
+    if (hasOwn(this.oils, key)) {
+      return { error: `Oil "${key}" already exists`, status: 409 };
+    }
+    return this.write(key, record);
+  }
+
+  /**
+   * Replaces an existing oil
+   *
+   * @param {string} name - Oil name
+   * @param {Object} record - Complete oil record (see oilSchema.js)
+   * @returns {Object} - { oil } or { error, status }
+   */
+  update(name, record) {
+    const key = normalizeOilName(name);
+    if (!hasOwn(this.oils, key)) {
+      return { error: `Unknown oil "${key}"`, status: 404 };
+    }
+    return this.write(key, record);
+  }
+
+  /**
+   * Removes an oil
+   *
+   * @param {string} name - Oil name
+   * @returns {Object} - { oil } (the removed record) or { error, status }
+   */
+  remove(name) {
+    const key = normalizeOilName(name);
+    const oil = this.get(key);
+    if (!oil) {
+      return { error: `Unknown oil "${key}"`, status: 404 };
+    }
+
+    const oils = { ...this.overrides.oils };
+    delete oils[key];
+    const removed = hasOwn(this.shipped, key) ? [...this.overrides.removed, key] : this.overrides.removed;
+    this.save({ oils, removed });
+    delete this.oils[key];
+    return { oil };
+  }
+
+  write(key, record) {
+    if (!isValidOilName(key)) {
+      return { error: `Invalid oil name "${key}": use letters and digits separated by hyphens`, status: 400 };
+    }
+
+    const validation = validateOil(record, { allergens: Object.keys(ALLERGENS) });
+    if (!validation.valid) {
+      return { error: validation.errors.join('; '), status: 400 };
+    }
+
+    this.save({
+      oils: { ...this.overrides.oils, [key]: validation.oil },
+      removed: this.overrides.removed.filter(name => name !== key)
+    });
+    this.oils[key] = validation.oil;
+    return { oil: { name: key, ...validation.oil } };
+  }
+
+  save(overrides) {
+    // Save first so a failed write leaves the loaded catalog unchanged
+    this.store.save({ version: OVERRIDES_VERSION, ...overrides });
+    this.overrides = overrides;
+  }
+}
+
+module.exports = OilCatalog;
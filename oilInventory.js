@@ -0,0 +1,281 @@
+/**
+ * Oil Inventory
+ *
+ * Tracks the bottles each user owns - oil, bottle size, volume remaining,
+ * purchase date and batch number - and deducts the oil used when a blend is
+ * made. Saved to data/inventory.json, keyed by user id.
+ *
+ * Methods return { bottle } on success, or { error, status } with the HTTP
+ * status the API should answer with (400 invalid, 404 unknown, 409 not enough
+ * oil in stock), like OilCatalog.
+ */
+
+const crypto = require('crypto');
+const essentialOils = require('./essentialOils');
+const JsonStore = require('./jsonStore');
+const { resolveOilName } = require('./oilNameResolver');
+
+// An oil counts as low once the total left across its bottles drops below this
+const DEFAULT_LOW_STOCK_ML = 2;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Rounds a volume to hundredths of a ml
+ *
+ * @param {number} value - Volume in ml
+ * @returns {number} - Rounded volume
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Combines requirements for the same oil, so an oil listed twice is checked
+ * and deducted once for the total volume
+ *
+ * @param {Object[]} requirements - [{ oil, ml }] with ml null when unknown
+ * @returns {Object[]} - [{ oil, ml }], one per oil in first-listed order; ml is null only if no entry gives a volume
+ */
+function combineRequirements(requirements) {
+  const combined = new Map();
+  requirements.forEach(({ oil, ml }) => {
+    const volume = ml === undefined || ml === null ? null : ml;
+    const previous = combined.get(oil);
+    if (!previous) {
+      combined.set(oil, { oil, ml: volume });
+    } else if (volume !== null) {
+      previous.ml = round((previous.ml || 0) + volume);
+    }
+  });
+  return [...combined.values()];
+}
+
+class OilInventory {
+  /**
+   * @param {Object} [options]
+   * @param {JsonStore} [options.store] - Where inventories are saved (defaults to data/inventory.json)
+   * @param {Object} [options.oils] - Oil catalog bottle names are resolved against
+   * @param {number} [options.lowStockMl] - Remaining volume below which an oil is reported as low
+   */
+  constructor({ store = new JsonStore('inventory.json'), oils = essentialOils, lowStockMl = DEFAULT_LOW_STOCK_ML } = {}) {
+    this.store = store;
+    this.oils = oils;
+    this.lowStockMl = lowStockMl;
+    this.users = store.load({});
+  }
+
+  /**
+   * Lists a user's bottles and the stock per oil
+   *
+   * @param {string} userId - User id
+   * @returns {Object} - { bottles, stock: [{ oil, remainingMl, bottles, lowStock }] }
+   */
+  list(userId) {
+    return { bottles: this.bottles(userId), stock: this.stock(userId) };
+  }
+
+  /**
+   * Volume left per oil, summed over the user's bottles
+   *
+   * @param {string} userId - User id
+   * @returns {Object[]} - [{ oil, remainingMl, bottles, lowStock }] sorted by oil name
+   */
+  stock(userId) {
+    const totals = {};
+    this.bottles(userId).forEach(bottle => {
+      const total = totals[bottle.oil] || (totals[bottle.oil] = { oil: bottle.oil, remainingMl: 0, bottles: 0 });
+      total.remainingMl = round(total.remainingMl + bottle.remainingMl);
+      total.bottles++;
+    });
+
+    return Object.values(totals)
+      .map(total => ({ ...total, lowStock: total.remainingMl < this.lowStockMl }))
+      .sort((a, b) => a.oil.localeCompare(b.oil));
+  }
+
+  /**
+   * Oils the user has any volume left of
+   *
+   * @param {string} userId - User id
+   * @returns {string[]} - Oil names
+   */
+  inStock(userId) {
+    return this.stock(userId).filter(item => item.remainingMl > 0).map(item => item.oil);
+  }
+
+  /**
+   * Checks whether the user has enough of each oil. Requirements without a
+   * volume (a blend not scaled to a product) only need the oil to be in stock.
+   * Requirements for the same oil are added up.
+   *
+   * @param {string} userId - User id
+   * @param {Object[]} requirements - [{ oil, ml }] with ml null when unknown
+   * @returns {Object} - { canMake, shortages: [{ oil, neededMl, availableMl }], lowStock: [{ oil, remainingMl }] }
+   */
+  check(userId, requirements) {
+    const needed = combineRequirements(requirements);
+    const stock = {};
+    this.stock(userId).forEach(item => {
+      stock[item.oil] = item.remainingMl;
+    });
+
+    const shortages = needed
+      .map(({ oil, ml }) => ({ oil, neededMl: ml === undefined || ml === null ? null : ml, availableMl: stock[oil] || 0 }))
+      .filter(item => item.neededMl === null ? item.availableMl <= 0 : item.availableMl < item.neededMl);
+
+    // Oils the recipe uses that would be low once it is made
+    const lowStock = needed
+      .map(({ oil, ml }) => ({ oil, remainingMl: round(Math.max(0, (stock[oil] || 0) - (ml || 0))) }))
+      .filter(item => item.remainingMl < this.lowStockMl);
+
+    return { canMake: shortages.length === 0, shortages, lowStock };
+  }
+
+  /**
+   * Deducts the oil used for a blend, emptying the oldest bottles first.
+   * Nothing is deducted unless every oil is in stock in the needed volume.
+   * An oil listed more than once is deducted once, for the total.
+   *
+   * @param {string} userId - User id
+   * @param {Object[]} requirements - [{ oil, ml }]
+   * @returns {Object} - { consumed: [{ oil, ml, bottles: [{ id, ml }] }] (one per oil), ...check result } or { error, status, ...check result }
+   */
+  consume(userId, requirements) {
+    const check = this.check(userId, requirements);
+    if (!check.canMake) {
+      const missing = check.shortages.map(item => `${item.oil} (${item.availableMl} of ${item.neededMl} ml)`);
+      return { error: `Not enough oil in stock: ${missing.join(', ')}`, status: 409, ...check };
+    }
+
+    const bottles = this.bottles(userId).map(bottle => ({ ...bottle }));
+    const consumed = combineRequirements(requirements).map(({ oil, ml }) => {
+      let needed = ml;
+      const used = [];
+      bottles
+        .filter(bottle => bottle.oil === oil && bottle.remainingMl > 0)
+        .sort((a, b) => (a.purchaseDate || a.addedAt).localeCompare(b.purchaseDate || b.addedAt))
+        .forEach(bottle => {
+          if (needed <= 0) return;
+          const take = round(Math.min(bottle.remainingMl, needed));
+          bottle.remainingMl = round(bottle.remainingMl - take);
+          needed = round(needed - take);
+          used.push({ id: bottle.id, ml: take });
+        });
+      return { oil, ml, bottles: used };
+    });
+
+    this.save(userId, bottles);
+    return { consumed, ...check };
+  }
+
+  /**
+   * Adds a bottle
+   *
+   * @param {string} userId - User id
+   * @param {Object} record - { oil, volumeMl, remainingMl?, purchaseDate?, batch? }
+   * @returns {Object} - { bottle } or { error, status }
+   */
+  add(userId, record) {
+    const validation = this.validate(record);
+    if (validation.error) return validation;
+
+    const bottle = { id: crypto.randomUUID(), ...validation.bottle, addedAt: new Date().toISOString() };
+    this.save(userId, [...this.bottles(userId), bottle]);
+    return { bottle };
+  }
+
+  /**
+   * Replaces a bottle's details, e.g. to correct the volume remaining
+   *
+   * @param {string} userId - User id
+   * @param {string} id - Bottle id
+   * @param {Object} record - Complete bottle record, as for add
+   * @returns {Object} - { bottle } or { error, status }
+   */
+  update(userId, id, record) {
+    const existing = this.bottles(userId).find(bottle => bottle.id === id);
+    if (!existing) {
+      return { error: `Unknown bottle "${id}"`, status: 404 };
+    }
+
+    const validation = this.validate(record);
+    if (validation.error) return validation;
+
+    const bottle = { id, ...validation.bottle, addedAt: existing.addedAt };
+    this.save(userId, this.bottles(userId).map(item => (item.id === id ? bottle : item)));
+    return { bottle };
+  }
+
+  /**
+   * Removes a bottle
+   *
+   * @param {string} userId - User id
+   * @param {string} id - Bottle id
+   * @returns {Object} - { bottle } (the removed bottle) or { error, status }
+   */
+  remove(userId, id) {
+    const bottle = this.bottles(userId).find(item => item.id === id);
+    if (!bottle) {
+      return { error: `Unknown bottle "${id}"`, status: 404 };
+    }
+
+    this.save(userId, this.bottles(userId).filter(item => item.id !== id));
+    return { bottle };
+  }
+
+  bottles(userId) {
+    // Own properties only, so ids like "constructor" don't pick up Object's members
+    return Object.prototype.hasOwnProperty.call(this.users, userId) ? this.users[userId] : [];
+  }
+
+  save(userId, bottles) {
+    const users = { ...this.users, [userId]: bottles };
+    if (bottles.length === 0) delete users[userId];
+
+    // Save first so a failed write leaves the loaded inventory unchanged
+    this.store.save(users);
+    this.users = users;
+  }
+
+  validate(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { error: 'Bottle must be a JSON object', status: 400 };
+    }
+
+    const { oil: oilInput, volumeMl, remainingMl = volumeMl, purchaseDate = null, batch = null } = record;
+    const errors = [];
+
+    const { oil, suggestions = [] } = resolveOilName(oilInput, this.oils);
+    if (!oil) {
+      errors.push(`Unknown oil "${oilInput}"${suggestions.length > 0 ? ` (did you mean ${suggestions.join(', ')}?)` : ''}`);
+    }
+    if (typeof volumeMl !== 'number' || !isFinite(volumeMl) || volumeMl <= 0) {
+      errors.push('volumeMl must be a positive number');
+    } else if (typeof remainingMl !== 'number' || !isFinite(remainingMl) || remainingMl < 0 || remainingMl > volumeMl) {
+      errors.push('remainingMl must be a number between 0 and volumeMl');
+    }
+    if (purchaseDate !== null && (typeof purchaseDate !== 'string' || !DATE_PATTERN.test(purchaseDate) || isNaN(Date.parse(purchaseDate)))) {
+      errors.push('purchaseDate must be a date such as "2024-03-15"');
+    }
+    if (batch !== null && (typeof batch !== 'string' || !batch.trim())) {
+      errors.push('batch must be a non-empty string');
+    }
+
+    if (errors.length > 0) {
+      return { error: errors.join('; '), status: 400 };
+    }
+
+    return {
+      bottle: {
+        oil,
+        volumeMl,
+        remainingMl: round(remainingMl),
+        purchaseDate,
+        batch: batch === null ? null : batch.trim()
+      }
+    };
+  }
+}
+
+module.exports = OilInventory;
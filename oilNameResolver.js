@@ -0,0 +1,185 @@
+/**
+ * Oil Name Resolver
+ *
+ * Maps oil names as people type them ("Ylang Ylang", "tea tree oil",
+ * "Lavandula angustifolia", "lavendar") to catalog names. Shared by the
+ * Express server and the Bare runtime scripts, so it must stay free of
+ * Node-only modules.
+ *
+ * Resolution order, first match wins:
+ * - exact:  the catalog name itself (after normalizing case, spaces and an "oil" suffix)
+ * - alias:  a curated alias from the oil's "aliases" list
+ * - latin:  the oil's botanical name (genus and species; varieties are ignored)
+ * - fuzzy:  closest name, alias or botanical name within a small edit distance
+ */
+
+const { normalizeOilName } = require('./blendSchema');
+
+// Fuzzy matches below this confidence are reported as suggestions only
+const MIN_FUZZY_CONFIDENCE = 0.75;
+const MIN_SUGGESTION_CONFIDENCE = 0.6;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Normalizes typed input for lookup:
+ * "Lavender Essential Oil (Lavandula angustifolia)" -> "lavender"
+ *
+ * @param {string} input - Oil name as typed
+ * @returns {string} - Lowercase, hyphenated name without "oil" suffixes or bracketed text
+ */
+function normalizeInput(input) {
+  const name = String(input)
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/×/g, 'x')
+    .replace(/[^\w\s-]/g, ' ');
+
+  return normalizeOilName(name)
+    .replace(/^-+|-+$/g, '')
+    .replace(/-+/g, '-')
+    .replace(/-(essential-)?oil$/, '');
+}
+
+/**
+ * Reduces a botanical name to genus and species
+ * ("Mentha x piperita var. vulgaris" -> "mentha-x-piperita")
+ *
+ * @param {string} latinName - Botanical name
+ * @returns {string} - Normalized binomial
+ */
+function normalizeLatinName(latinName) {
+  const words = normalizeInput(latinName).split('-');
+  return (words[1] === 'x' ? words.slice(0, 3) : words.slice(0, 2)).join('-');
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits between the strings
+ */
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Builds the lookup tables for a catalog
+ *
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { names, aliases, latin } maps from normalized text to oil name
+ */
+function buildIndex(catalog) {
+  // Prototype-free tables, so input like "constructor" doesn't match Object's members
+  const index = { names: Object.create(null), aliases: Object.create(null), latin: Object.create(null) };
+
+  Object.entries(catalog).forEach(([name, oil]) => {
+    index.names[name] = name;
+    (oil.aliases || []).forEach(alias => {
+      index.aliases[normalizeInput(alias)] = name;
+    });
+    if (oil.latinName) {
+      index.latin[normalizeLatinName(oil.latinName)] = name;
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Resolves one name against a prebuilt index
+ *
+ * @param {string} input - Oil name as typed
+ * @param {Object} index - Index from buildIndex
+ * @returns {Object} - { input, oil, match, confidence } plus suggestions when unresolved
+ */
+function resolveWithIndex(input, index) {
+  const key = typeof input === 'string' ? normalizeInput(input) : '';
+  if (!key) {
+    return { input, oil: null, match: null, confidence: 0, suggestions: [] };
+  }
+
+  if (index.names[key]) return { input, oil: index.names[key], match: 'exact', confidence: 1 };
+  if (index.aliases[key]) return { input, oil: index.aliases[key], match: 'alias', confidence: 1 };
+  const latinKey = normalizeLatinName(key);
+  if (index.latin[latinKey]) return { input, oil: index.latin[latinKey], match: 'latin', confidence: 1 };
+
+  // Best fuzzy score per oil across its name, aliases and botanical name
+  const scores = Object.create(null);
+  [index.names, index.aliases, index.latin].forEach(table => {
+    Object.entries(table).forEach(([text, oil]) => {
+      const confidence = 1 - editDistance(key, text) / Math.max(key.length, text.length);
+      if (!scores[oil] || confidence > scores[oil]) scores[oil] = confidence;
+    });
+  });
+
+  const ranked = Object.entries(scores)
+    .map(([oil, confidence]) => ({ oil, confidence: Math.round(confidence * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const [best, runnerUp] = ranked;
+
+  // Ties between two oils are ambiguous, so only suggest them
+  if (best && best.confidence >= MIN_FUZZY_CONFIDENCE && !(runnerUp && runnerUp.confidence === best.confidence)) {
+    return { input, oil: best.oil, match: 'fuzzy', confidence: best.confidence };
+  }
+
+  return {
+    input,
+    oil: null,
+    match: null,
+    confidence: 0,
+    suggestions: ranked.slice(0, MAX_SUGGESTIONS).filter(item => item.confidence >= MIN_SUGGESTION_CONFIDENCE).map(item => item.oil)
+  };
+}
+
+/**
+ * Resolves a single oil name
+ *
+ * @param {string} input - Oil name as typed
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { input, oil, match, confidence } (oil null and suggestions when unresolved)
+ */
+function resolveOilName(input, catalog) {
+  return resolveWithIndex(input, buildIndex(catalog));
+}
+
+/**
+ * Resolves a list of oil names
+ *
+ * @param {string[]} inputs - Oil names as typed
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {Object} - { resolved: [per-input results], available: [unique oil names], unavailable: [inputs] }
+ */
+function resolveOilNames(inputs, catalog) {
+  const index = buildIndex(catalog);
+  const resolved = inputs.map(input => resolveWithIndex(input, index));
+
+  return {
+    resolved,
+    available: [...new Set(resolved.filter(item => item.oil).map(item => item.oil))],
+    unavailable: resolved.filter(item => !item.oil).map(item => item.input)
+  };
+}
+
+module.exports = {
+  MIN_FUZZY_CONFIDENCE,
+  resolveOilName,
+  resolveOilNames
+};
@@ -0,0 +1,69 @@
+/**
+ * Oil Overrides
+ *
+ * The oil API saves only what was changed about the shipped catalog
+ * (essentialOils.json) to data/oils.json: the records of oils added or edited,
+ * and the names of shipped oils removed. The catalog is the shipped one with
+ * those changes laid over it, so fields and oils added to essentialOils.json
+ * in later releases still reach installs that have edits.
+ *
+ * Saved shape: { version: 1, oils: { name: record }, removed: [name] }
+ *
+ * Shared by the Express server and the Bare runtime scripts, so it must stay
+ * free of Node-only modules.
+ */
+
+const OVERRIDES_VERSION = 1;
+
+/**
+ * @param {Object} object - Object to look in
+ * @param {string} key - Property name
+ * @returns {boolean} - True if the object has the key itself, not through its prototype
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Reads the saved overrides
+ *
+ * @param {Object|null} saved - Contents of data/oils.json, or null when there is none
+ * @returns {Object} - { oils: { name: record }, removed: [name] }
+ * @throws {Error} - If the file is not in the current format
+ */
+function readOverrides(saved) {
+  if (!saved) {
+    return { oils: {}, removed: [] };
+  }
+
+  if (saved.version !== OVERRIDES_VERSION) {
+    throw new Error(`Unsupported oil overrides version ${saved.version} (expected ${OVERRIDES_VERSION})`);
+  }
+  return { oils: { ...saved.oils }, removed: [...saved.removed] };
+}
+
+/**
+ * Lays the overrides over the shipped catalog. The catalog has no prototype,
+ * so lookups of names like "constructor" find nothing.
+ *
+ * @param {Object} shipped - Shipped catalog (essentialOils.json)
+ * @param {Object} overrides - { oils, removed } from readOverrides
+ * @returns {Object} - Oil records keyed by name
+ */
+function applyOverrides(shipped, overrides) {
+  const catalog = Object.create(null);
+  Object.entries(shipped).forEach(([name, record]) => {
+    if (!overrides.removed.includes(name)) catalog[name] = record;
+  });
+  Object.entries(overrides.oils).forEach(([name, record]) => {
+    catalog[name] = record;
+  });
+  return catalog;
+}
+
+module.exports = {
+  OVERRIDES_VERSION,
+  hasOwn,
+  readOverrides,
+  applyOverrides
+};
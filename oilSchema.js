@@ -0,0 +1,197 @@
+/**
+ * Oil Schema
+ *
+ * Defines the shape of an oil record in the catalog (essentialOils.json) and
+ * validates records submitted through the oil API. Shared by the Express
+ * server and the Bare runtime scripts, so it must stay free of Node-only modules.
+ *
+ * Record shape (keyed by lowercase, hyphenated oil name, e.g. "tea-tree"):
+ * - notes: Array of scent descriptors
+ * - intensity: light/medium/strong/heavy (evaporation rate)
+ * - halfLifeMinutes: minutes for the oil's scent to fade to half on the skin or
+ *   a blotter (TOP notes tens of minutes, BASE notes many hours); optional,
+ *   estimated from the intensity when missing (see blendEvaporation.js)
+ * - category: perfumery classification (citrus/floral/herbal/woody/earthy/resinous/spice)
+ * - description: Human-readable scent profile
+ * - latinName: botanical name, e.g. "Lavandula angustifolia"; optional
+ * - aliases: other names the oil is sold under, e.g. ["true lavender"]; optional
+ * - plantPart: part of the plant distilled or pressed, e.g. "peel", "flowering tops"; optional
+ * - extractionMethod: steam/cold-press/co2/absolute; optional
+ * - origin: country of origin of the typical commercial oil; optional
+ * - chemotype: dominant chemotype, e.g. "terpinen-4-ol" (null when not specified); optional
+ * - dropsPerMl: drops per ml from a standard euro dropper (fewer for viscous oils); optional
+ * - density: specific gravity in g/ml at 20°C; optional
+ * - safety: topical safety data (Tisserand & Young, IFRA)
+ *   - maxDermal: maximum % in a leave-on skin product (null = no established limit)
+ *   - phototoxicMax: maximum % on skin exposed to sunlight/UV (null = not phototoxic)
+ *   - contraindications: groups that should avoid the oil (pregnancy/children/epilepsy/pets)
+ *   - sensitisation: risk of skin sensitisation (low/moderate/high)
+ * - constituents: typical % of declarable fragrance allergens in the oil
+ *   (see blendAllergens.js for the list); optional
+ */
+
+const INTENSITIES = ['light', 'medium', 'strong', 'heavy'];
+const CATEGORIES = ['citrus', 'floral', 'herbal', 'woody', 'earthy', 'resinous', 'spice'];
+const CONTRAINDICATIONS = ['pregnancy', 'children', 'epilepsy', 'pets'];
+const SENSITISATION_LEVELS = ['low', 'moderate', 'high'];
+const EXTRACTION_METHODS = ['steam', 'cold-press', 'co2', 'absolute'];
+
+// A week; no oil's scent lasts longer than this on skin
+const MAX_HALF_LIFE_MINUTES = 10080;
+
+const OIL_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Checks that a value is a number within a range
+ *
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value (exclusive when exclusiveMin)
+ * @param {number} max - Largest allowed value
+ * @param {boolean} [exclusiveMin=false] - Whether min itself is rejected
+ * @returns {boolean} - True if the value is in range
+ */
+function inRange(value, min, max, exclusiveMin = false) {
+  return typeof value === 'number' && isFinite(value) &&
+    (exclusiveMin ? value > min : value >= min) && value <= max;
+}
+
+/**
+ * Validates an oil record
+ *
+ * @param {Object} record - Candidate oil record (without its name)
+ * @param {Object} [options]
+ * @param {string[]} [options.allergens=[]] - Allowed constituent ids; any id is accepted when empty
+ * @returns {{valid: boolean, errors: string[], oil: Object|null}} - Validation result with normalized record
+ */
+function validateOil(record, { allergens = [] } = {}) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { valid: false, errors: ['Oil must be a JSON object'], oil: null };
+  }
+
+  const errors = [];
+  const {
+    notes, intensity, halfLifeMinutes, category, description, latinName, aliases = [],
+    plantPart, extractionMethod, origin, chemotype,
+    dropsPerMl, density, safety, constituents = {}
+  } = record;
+
+  if (!Array.isArray(notes) || notes.length === 0 || notes.some(note => typeof note !== 'string' || !note.trim())) {
+    errors.push('notes must be a non-empty array of strings');
+  }
+  if (!INTENSITIES.includes(intensity)) {
+    errors.push(`intensity must be one of ${INTENSITIES.join(', ')}`);
+  }
+  if (halfLifeMinutes !== undefined && !inRange(halfLifeMinutes, 0, MAX_HALF_LIFE_MINUTES, true)) {
+    errors.push(`halfLifeMinutes must be a number between 0 and ${MAX_HALF_LIFE_MINUTES}`);
+  }
+  if (!CATEGORIES.includes(category)) {
+    errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (typeof description !== 'string' || !description.trim()) {
+    errors.push('description must be a non-empty string');
+  }
+  if (latinName !== undefined && (typeof latinName !== 'string' || !/^[A-Za-z]+ [A-Za-z×x. -]+$/.test(latinName.trim()))) {
+    errors.push('latinName must be a botanical name such as "Lavandula angustifolia"');
+  }
+  if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+    errors.push('aliases must be an array of strings');
+  }
+  ['plantPart', 'origin'].forEach(field => {
+    if (record[field] !== undefined && (typeof record[field] !== 'string' || !record[field].trim())) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+  if (extractionMethod !== undefined && !EXTRACTION_METHODS.includes(extractionMethod)) {
+    errors.push(`extractionMethod must be one of ${EXTRACTION_METHODS.join(', ')}`);
+  }
+  if (chemotype !== undefined && chemotype !== null && (typeof chemotype !== 'string' || !chemotype.trim())) {
+    errors.push('chemotype must be a non-empty string or null');
+  }
+  if (dropsPerMl !== undefined && !inRange(dropsPerMl, 0, 100, true)) {
+    errors.push('dropsPerMl must be a number between 0 and 100');
+  }
+  if (density !== undefined && !inRange(density, 0, 3, true)) {
+    errors.push('density must be a number between 0 and 3 (g/ml)');
+  }
+
+  if (!safety || typeof safety !== 'object') {
+    errors.push('safety must be an object with maxDermal, phototoxicMax, contraindications and sensitisation');
+  } else {
+    ['maxDermal', 'phototoxicMax'].forEach(field => {
+      if (safety[field] !== null && !inRange(safety[field], 0, 100, true)) {
+        errors.push(`safety.${field} must be a percentage or null`);
+      }
+    });
+    if (!Array.isArray(safety.contraindications) ||
+        safety.contraindications.some(group => !CONTRAINDICATIONS.includes(group))) {
+      errors.push(`safety.contraindications must be an array of ${CONTRAINDICATIONS.join(', ')}`);
+    }
+    if (!SENSITISATION_LEVELS.includes(safety.sensitisation)) {
+      errors.push(`safety.sensitisation must be one of ${SENSITISATION_LEVELS.join(', ')}`);
+    }
+  }
+
+  if (!constituents || typeof constituents !== 'object' || Array.isArray(constituents)) {
+    errors.push('constituents must be an object of allergen percentages');
+  } else {
+    Object.entries(constituents).forEach(([id, content]) => {
+      if (allergens.length > 0 && !allergens.includes(id)) {
+        errors.push(`constituents.${id} is not a known allergen (${allergens.join(', ')})`);
+      } else if (!inRange(content, 0, 100)) {
+        errors.push(`constituents.${id} must be a percentage between 0 and 100`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, oil: null };
+  }
+
+  return {
+    valid: true,
+    errors,
+    oil: {
+      notes: notes.map(note => note.trim()),
+      intensity,
+      ...(halfLifeMinutes !== undefined ? { halfLifeMinutes } : {}),
+      category,
+      description: description.trim(),
+      ...(latinName !== undefined ? { latinName: latinName.trim() } : {}),
+      aliases: aliases.map(alias => alias.trim()),
+      ...(plantPart !== undefined ? { plantPart: plantPart.trim() } : {}),
+      ...(extractionMethod !== undefined ? { extractionMethod } : {}),
+      ...(origin !== undefined ? { origin: origin.trim() } : {}),
+      ...(chemotype !== undefined ? { chemotype: chemotype === null ? null : chemotype.trim() } : {}),
+      ...(dropsPerMl !== undefined ? { dropsPerMl } : {}),
+      ...(density !== undefined ? { density } : {}),
+      safety: {
+        maxDermal: safety.maxDermal,
+        phototoxicMax: safety.phototoxicMax,
+        contraindications: [...new Set(safety.contraindications)],
+        sensitisation: safety.sensitisation
+      },
+      constituents
+    }
+  };
+}
+
+/**
+ * Checks an oil name used as a catalog key. Names of Object's members such as
+ * "constructor" are reserved.
+ *
+ * @param {string} name - Normalized oil name
+ * @returns {boolean} - True if the name is lowercase words joined by hyphens
+ */
+function isValidOilName(name) {
+  return OIL_NAME_PATTERN.test(name) && !(name in Object.prototype);
+}
+
+module.exports = {
+  INTENSITIES,
+  CATEGORIES,
+  CONTRAINDICATIONS,
+  SENSITISATION_LEVELS,
+  EXTRACTION_METHODS,
+  validateOil,
+  isValidOilName
+};
@@ -0,0 +1,158 @@
+/**
+ * Oil Search
+ *
+ * Faceted filtering, free-text search, sorting and pagination over the oil
+ * catalog for GET /api/oils.
+ *
+ * Facets take comma-separated values and match any of them
+ * (?category=citrus,floral). Facet counts are computed with every filter
+ * applied except the facet's own, so the UI can show how many oils each
+ * additional value would add.
+ */
+
+const { normalizeOilName } = require('./blendSchema');
+const { INTENSITIES } = require('./oilSchema');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameter -> how to read the facet values of an oil record
+const FACETS = {
+  category: oil => [oil.category],
+  intensity: oil => [oil.intensity],
+  note: oil => oil.notes,
+  extraction: oil => (oil.extractionMethod ? [oil.extractionMethod] : []),
+  origin: oil => (oil.origin ? [normalizeOilName(oil.origin)] : [])
+};
+
+const SORT_FIELDS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  category: (a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name),
+  intensity: (a, b) => INTENSITIES.indexOf(a.intensity) - INTENSITIES.indexOf(b.intensity) || a.name.localeCompare(b.name),
+  origin: (a, b) => (a.origin || '').localeCompare(b.origin || '') || a.name.localeCompare(b.name)
+};
+
+/**
+ * Splits a comma-separated query value into normalized values
+ *
+ * @param {string|string[]} value - Query parameter value(s)
+ * @returns {string[]} - Normalized values
+ */
+function parseList(value) {
+  return [].concat(value)
+    .join(',')
+    .split(',')
+    .map(item => normalizeOilName(item))
+    .filter(Boolean);
+}
+
+/**
+ * Reads a positive integer query parameter
+ *
+ * @param {string} value - Query parameter value
+ * @param {number} fallback - Used when the parameter is missing
+ * @returns {number|null} - Parsed integer, or null if invalid
+ */
+function parsePositiveInt(value, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Text the free-text search looks through for an oil
+ *
+ * @param {Object} oil - Oil record with name
+ * @returns {string} - Lowercase searchable text
+ */
+function searchableText(oil) {
+  return [
+    oil.name.replace(/-/g, ' '),
+    oil.description,
+    oil.latinName,
+    oil.plantPart,
+    oil.origin,
+    oil.chemotype,
+    ...(oil.aliases || []),
+    ...oil.notes
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Checks an oil against the facet filters, optionally skipping one facet
+ *
+ * @param {Object} oil - Oil record with name
+ * @param {Object} filters - Facet name -> accepted values
+ * @param {string} [skip] - Facet to ignore
+ * @returns {boolean} - True if the oil passes
+ */
+function matchesFilters(oil, filters, skip) {
+  return Object.entries(filters).every(([facet, values]) =>
+    facet === skip || FACETS[facet](oil).some(value => values.includes(normalizeOilName(value)))
+  );
+}
+
+/**
+ * Searches the catalog
+ *
+ * @param {Object} catalog - Oil records keyed by name
+ * @param {Object} query - Request query: category, intensity, note, extraction, origin, q, sort, page, limit
+ * @returns {Object} - { error } on invalid parameters, otherwise { total, page, limit, pages, oils, facets }
+ */
+function searchOils(catalog, query) {
+  const filters = {};
+  Object.keys(FACETS).forEach(facet => {
+    if (query[facet] !== undefined) {
+      filters[facet] = parseList(query[facet]);
+    }
+  });
+
+  const page = parsePositiveInt(query.page, 1);
+  const limit = parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE);
+  if (page === null || limit === null || limit > MAX_PAGE_SIZE) {
+    return { error: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const sort = query.sort || 'name';
+  const descending = sort.startsWith('-');
+  const compare = SORT_FIELDS[descending ? sort.slice(1) : sort];
+  if (!compare) {
+    return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)` };
+  }
+
+  // Every word of the free text must appear somewhere in the record
+  const terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const oils = Object.entries(catalog)
+    .map(([name, oil]) => ({ name, ...oil }))
+    .filter(oil => {
+      const text = searchableText(oil);
+      return terms.every(term => text.includes(term));
+    });
+
+  const facets = {};
+  Object.keys(FACETS).forEach(facet => {
+    facets[facet] = {};
+    oils.filter(oil => matchesFilters(oil, filters, facet)).forEach(oil => {
+      new Set(FACETS[facet](oil).map(normalizeOilName)).forEach(value => {
+        facets[facet][value] = (facets[facet][value] || 0) + 1;
+      });
+    });
+  });
+
+  const matches = oils
+    .filter(oil => matchesFilters(oil, filters))
+    .sort((a, b) => (descending ? -compare(a, b) : compare(a, b)));
+
+  return {
+    total: matches.length,
+    page,
+    limit,
+    pages: Math.ceil(matches.length / limit),
+    oils: matches.slice((page - 1) * limit, page * limit),
+    facets
+  };
+}
+
+module.exports = {
+  searchOils
+};
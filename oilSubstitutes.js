@@ -0,0 +1,178 @@
+/**
+ * Oil Substitutes
+ *
+ * Suggests the closest available replacement for an oil a recipe calls for
+ * but the user doesn't have. Candidates are ranked by:
+ * - note: whether the candidate can play the missing oil's note position
+ * - descriptors: notes and category the two oils share
+ * - similarity: the LLM's cached similarity score when there is one,
+ *   otherwise the descriptor TF-IDF similarity (see blendEvaluation.js)
+ *
+ * A substitute's percentage is scaled by the ratio of the two oils'
+ * intensities, so a strong oil standing in for a medium one is used more
+ * sparingly, and the blend is brought back to 100%.
+ */
+
+const { notePositionsOf } = require('./blendStructures');
+const { toHundred } = require('./blendAlternatives');
+const { descriptorsOf } = require('./blendOptimizer');
+const { INTENSITY_WEIGHTS, createSimilarity } = require('./blendEvaluation');
+
+const SCORE_WEIGHTS = { note: 0.3, descriptors: 0.3, similarity: 0.4 };
+
+const DEFAULT_LIMIT = 3;
+
+/**
+ * Rounds to three decimals
+ *
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Ranks replacements for an oil
+ *
+ * @param {string} oil - Catalog name of the missing oil
+ * @param {string[]} candidates - Catalog names to choose from (the oil itself is skipped)
+ * @param {Object} options
+ * @param {Object} options.catalog - Oil records keyed by name
+ * @param {string} [options.note] - Note the oil plays in the recipe; defaults to its usual positions
+ * @param {Function} [options.similarity] - Pair similarity (defaults to createSimilarity())
+ * @param {number} [options.limit=3] - Most substitutes to return
+ * @returns {Object[]} - [{ oil, score, notes, sharedDescriptors, similarity: { value, source }, intensityFactor }], best first
+ */
+function findSubstitutes(oil, candidates, { catalog, note = null, similarity = createSimilarity(), limit = DEFAULT_LIMIT }) {
+  const record = catalog[oil];
+  const wanted = note ? [note] : notePositionsOf(record);
+  const descriptors = descriptorsOf(record);
+
+  return candidates
+    .filter(candidate => candidate !== oil && catalog[candidate])
+    .map(candidate => {
+      const candidateRecord = catalog[candidate];
+      const notes = notePositionsOf(candidateRecord);
+      const shared = descriptorsOf(candidateRecord).filter(descriptor => descriptors.includes(descriptor));
+      const union = new Set([...descriptors, ...descriptorsOf(candidateRecord)]).size;
+      const { descriptors: tfidf, llm } = similarity(oil, candidate);
+
+      // Oils with no usual position (black pepper) neither match nor miss
+      const noteScore = wanted.length === 0 || notes.length === 0
+        ? 0.5
+        : (notes.some(position => wanted.includes(position)) ? 1 : 0);
+      const similarityScore = llm === null ? tfidf : llm;
+
+      return {
+        oil: candidate,
+        score: round(
+          noteScore * SCORE_WEIGHTS.note +
+          (shared.length / union) * SCORE_WEIGHTS.descriptors +
+          similarityScore * SCORE_WEIGHTS.similarity
+        ),
+        notes,
+        sharedDescriptors: shared,
+        similarity: { value: similarityScore, source: llm === null ? 'descriptors' : 'llm' },
+        intensityFactor: round((INTENSITY_WEIGHTS[record.intensity] || 1) / (INTENSITY_WEIGHTS[candidateRecord.intensity] || 1))
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.oil.localeCompare(b.oil))
+    .slice(0, limit);
+}
+
+/**
+ * Picks a substitute for each oil of a list that is not available. Each
+ * available oil replaces at most one missing oil and is never one the list
+ * already uses.
+ *
+ * @param {string[]} oils - Catalog names
+ * @param {string[]} available - Oils the user has
+ * @param {Object} options
+ * @param {Object} options.catalog - Oil records keyed by name
+ * @param {Object} [options.notes] - { oil: note } the oils play, where known
+ * @param {Function} [options.similarity] - Pair similarity (defaults to createSimilarity())
+ * @returns {Object} - { oils, substitutions: [{ oil, substitute, score, intensityFactor }] } with
+ *                     substitute null when nothing is left to replace the oil (it is then dropped)
+ */
+function substituteOils(oils, available, { catalog, notes = {}, similarity = createSimilarity() }) {
+  const used = new Set(oils.filter(oil => available.includes(oil)));
+  const substitutions = [];
+
+  const result = oils.map(oil => {
+    if (available.includes(oil)) return oil;
+
+    const [best] = findSubstitutes(oil, available.filter(candidate => !used.has(candidate)), {
+      catalog, note: notes[oil], similarity, limit: 1
+    });
+    substitutions.push({
+      oil,
+      substitute: best ? best.oil : null,
+      score: best ? best.score : null,
+      intensityFactor: best ? best.intensityFactor : null
+    });
+    if (!best) return null;
+
+    used.add(best.oil);
+    return best.oil;
+  });
+
+  return { oils: result.filter(Boolean), substitutions };
+}
+
+/**
+ * Rewrites a blend with substitutes for the oils the user lacks. Substituted
+ * percentages are scaled by intensity and the blend is brought back to 100%;
+ * oils without a substitute are left out.
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage, note?, rationale? }]
+ * @param {string[]} available - Oils the user has
+ * @param {Object} options
+ * @param {Object} options.catalog - Oil records keyed by name
+ * @param {Function} [options.similarity] - Pair similarity (defaults to createSimilarity())
+ * @returns {Object} - { blend, substitutions: [{ oil, substitute, score, percentage, adjustedPercentage }] }
+ *                     (blend is null when none of its oils are available or replaceable)
+ */
+function substituteBlend(blend, available, { catalog, similarity = createSimilarity() }) {
+  const notes = {};
+  blend.oils.forEach(entry => { if (entry.note) notes[entry.oil] = entry.note; });
+
+  const names = blend.oils.map(entry => entry.oil);
+  const { substitutions } = substituteOils(names, available, { catalog, notes, similarity });
+  const replacements = new Map(substitutions.map(item => [item.oil, item]));
+
+  const entries = [];
+  blend.oils.forEach(entry => {
+    const replacement = replacements.get(entry.oil);
+    if (!replacement) {
+      entries.push({ ...entry });
+    } else if (replacement.substitute) {
+      entries.push({
+        ...entry,
+        oil: replacement.substitute,
+        percentage: Math.max(1, Math.round(entry.percentage * replacement.intensityFactor)),
+        rationale: `Stands in for ${entry.oil}`
+      });
+    }
+  });
+
+  const percentages = toHundred(entries.map(entry => entry.percentage));
+  entries.forEach((entry, i) => { entry.percentage = percentages[i]; });
+
+  return {
+    blend: entries.length > 0 ? { ...blend, oils: entries } : null,
+    substitutions: substitutions.map(({ oil, substitute, score }) => ({
+      oil,
+      substitute,
+      score,
+      percentage: blend.oils.find(entry => entry.oil === oil).percentage,
+      adjustedPercentage: substitute ? entries.find(entry => entry.oil === substitute).percentage : null
+    }))
+  };
+}
+
+module.exports = {
+  findSubstitutes,
+  substituteOils,
+  substituteBlend
+};
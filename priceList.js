@@ -0,0 +1,138 @@
+/**
+ * Price List
+ *
+ * What each user pays for their oils and carriers, recorded per ml or as the
+ * price of a bottle. Saved to data/prices.json, keyed by user id. Prices are
+ * in whatever currency the user records them in; costs are worked out in the
+ * same currency (see blendCosting.js).
+ *
+ * Methods return { price } on success, or { error, status } with the HTTP
+ * status the API should answer with (400 invalid, 404 unknown), like OilCatalog.
+ */
+
+const essentialOils = require('./essentialOils');
+const JsonStore = require('./jsonStore');
+const { CARRIERS } = require('./blendDilution');
+const { normalizeOilName } = require('./blendSchema');
+const { resolveOilName } = require('./oilNameResolver');
+
+class PriceList {
+  /**
+   * @param {Object} [options]
+   * @param {JsonStore} [options.store] - Where price lists are saved (defaults to data/prices.json)
+   * @param {Object} [options.oils] - Oil catalog item names are resolved against
+   */
+  constructor({ store = new JsonStore('prices.json'), oils = essentialOils } = {}) {
+    this.store = store;
+    this.oils = oils;
+    this.users = store.load({});
+  }
+
+  /**
+   * A user's prices
+   *
+   * @param {string} userId - User id
+   * @returns {Object} - { oils: { name: price }, carriers: { id: price } }
+   */
+  get(userId) {
+    // Own properties only, so ids like "constructor" don't pick up Object's members
+    return Object.prototype.hasOwnProperty.call(this.users, userId) ? this.users[userId] : { oils: {}, carriers: {} };
+  }
+
+  /**
+   * Whether the user has recorded any prices
+   *
+   * @param {string} userId - User id
+   * @returns {boolean} - True if at least one oil or carrier is priced
+   */
+  has(userId) {
+    const { oils, carriers } = this.get(userId);
+    return Object.keys(oils).length > 0 || Object.keys(carriers).length > 0;
+  }
+
+  /**
+   * Sets the price of an oil or carrier
+   *
+   * @param {string} userId - User id
+   * @param {string} item - Oil name (resolved like blend oil names) or carrier id
+   * @param {Object} record - { pricePerMl } or { price, bottleMl }
+   * @returns {Object} - { price: { item, type, pricePerMl, price, bottleMl, updatedAt } } or { error, status }
+   */
+  set(userId, item, record) {
+    const target = this.resolve(item);
+    if (target.error) return target;
+
+    const { pricePerMl, price, bottleMl } = record || {};
+    let perMl;
+    if (pricePerMl !== undefined) {
+      if (typeof pricePerMl !== 'number' || !isFinite(pricePerMl) || pricePerMl < 0) {
+        return { error: 'pricePerMl must be a number of 0 or more', status: 400 };
+      }
+      perMl = pricePerMl;
+    } else {
+      if (typeof price !== 'number' || !isFinite(price) || price < 0 ||
+          typeof bottleMl !== 'number' || !isFinite(bottleMl) || bottleMl <= 0) {
+        return { error: 'Give either pricePerMl, or price with a positive bottleMl', status: 400 };
+      }
+      perMl = price / bottleMl;
+    }
+
+    const entry = {
+      pricePerMl: Math.round(perMl * 10000) / 10000,
+      price: pricePerMl !== undefined ? null : price,
+      bottleMl: pricePerMl !== undefined ? null : bottleMl,
+      updatedAt: new Date().toISOString()
+    };
+
+    const prices = this.get(userId);
+    this.save(userId, { ...prices, [target.type]: { ...prices[target.type], [target.key]: entry } });
+    return { price: { item: target.key, type: target.type === 'oils' ? 'oil' : 'carrier', ...entry } };
+  }
+
+  /**
+   * Removes the price of an oil or carrier
+   *
+   * @param {string} userId - User id
+   * @param {string} item - Oil name or carrier id
+   * @returns {Object} - { price } (the removed entry) or { error, status }
+   */
+  remove(userId, item) {
+    const target = this.resolve(item);
+    if (target.error) return target;
+
+    const prices = this.get(userId);
+    const entry = Object.prototype.hasOwnProperty.call(prices[target.type], target.key) ? prices[target.type][target.key] : null;
+    if (!entry) {
+      return { error: `No price recorded for "${target.key}"`, status: 404 };
+    }
+
+    const remaining = { ...prices[target.type] };
+    delete remaining[target.key];
+    this.save(userId, { ...prices, [target.type]: remaining });
+    return { price: { item: target.key, type: target.type === 'oils' ? 'oil' : 'carrier', ...entry } };
+  }
+
+  resolve(item) {
+    const key = normalizeOilName(item);
+    if (Object.prototype.hasOwnProperty.call(CARRIERS, key)) {
+      return { type: 'carriers', key };
+    }
+
+    const { oil, suggestions = [] } = resolveOilName(item, this.oils);
+    if (!oil) {
+      const hint = suggestions.length > 0 ? ` (did you mean ${suggestions.join(', ')}?)` : '';
+      return { error: `"${item}" is neither an oil nor a carrier (${Object.keys(CARRIERS).join(', ')})${hint}`, status: 404 };
+    }
+    return { type: 'oils', key: oil };
+  }
+
+  save(userId, prices) {
+    const users = { ...this.users, [userId]: prices };
+
+    // Save first so a failed write leaves the loaded prices unchanged
+    this.store.save(users);
+    this.users = users;
+  }
+}
+
+module.exports = PriceList;
@@ -0,0 +1,107 @@
+/**
+ * Prompt Registry
+ *
+ * Lists and resolves the prompt templates under prompts/ for the server (see
+ * promptTemplates.js for the file layout). Files are read from disk on every
+ * lookup, so edited or added template versions apply without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { templateId, parseSelection, validateTemplate } = require('./promptTemplates');
+
+class PromptRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Template directory (default prompts/ next to this file)
+   */
+  constructor({ dir = path.join(__dirname, 'prompts') } = {}) {
+    this.dir = dir;
+  }
+
+  /**
+   * Every template version
+   *
+   * @returns {Object[]} - [{ id, name, version, description, default, error? }] sorted by id;
+   *                       error describes what is wrong with an invalid file
+   */
+  list() {
+    const defaults = this.defaults();
+
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .flatMap(entry => fs.readdirSync(path.join(this.dir, entry.name))
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+          const version = path.basename(file, '.json');
+          const { template, error } = this.read(entry.name, version);
+          return {
+            id: `${entry.name}@${version}`,
+            name: entry.name,
+            version,
+            description: template ? template.description || null : null,
+            default: defaults[entry.name] === version,
+            ...(error ? { error } : {})
+          };
+        }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Finds the template a request asked for
+   *
+   * @param {string} name - Template name
+   * @param {string} [selection] - Version or id ("v2", "blend@v2"); the default version when omitted
+   * @returns {Object} - { template } or { error, status } (400 bad selection, 404 unknown, 500 broken file)
+   */
+  resolve(name, selection) {
+    let version = this.defaults()[name];
+    if (selection !== undefined && selection !== null) {
+      const parsed = parseSelection(name, selection);
+      if (parsed.error) {
+        return { error: parsed.error, status: 400 };
+      }
+      version = parsed.version;
+    }
+    if (!version) {
+      return { error: `No default version of the "${name}" prompt template in prompts/defaults.json`, status: 500 };
+    }
+
+    const { template, error, status } = this.read(name, version);
+    return template ? { template } : { error, status };
+  }
+
+  defaults() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, 'defaults.json'), 'utf8'));
+    } catch (error) {
+      console.error('Could not read prompts/defaults.json:', error.message);
+      return {};
+    }
+  }
+
+  read(name, version) {
+    const file = path.join(this.dir, name, `${version}.json`);
+    if (!fs.existsSync(file)) {
+      return { error: `Unknown prompt template "${name}@${version}"`, status: 404 };
+    }
+
+    let template;
+    try {
+      template = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { error: `Prompt template "${name}@${version}" is not valid JSON: ${error.message}`, status: 500 };
+    }
+
+    const errors = validateTemplate(template);
+    if (errors.length === 0 && templateId(template) !== `${name}@${version}`) {
+      errors.push(`name and version must match the file prompts/${name}/${version}.json`);
+    }
+    if (errors.length > 0) {
+      return { error: `Prompt template "${name}@${version}" is invalid: ${errors.join('; ')}`, status: 500 };
+    }
+    return { template };
+  }
+}
+
+module.exports = PromptRegistry;
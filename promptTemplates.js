@@ -0,0 +1,169 @@
+/**
+ * Prompt Templates
+ *
+ * The LLM prompts live in JSON files under prompts/, one file per version of
+ * a template (prompts/<name>/<version>.json), so their wording can be tuned
+ * without touching code. prompts/defaults.json names the version used when a
+ * request doesn't pick one; picking another per request (e.g. "blend@v2")
+ * compares wordings, and every result records the template id it was made with.
+ *
+ * Template shape:
+ * - name, version: identify the template ("blend", "v1"; id "blend@v1")
+ * - description: what this version is for or changes
+ * - messages: chat messages ({ role, content }) sent to the model
+ * - parts: named snippets rendered on their own, e.g. one line per oil or a
+ *   follow-up message; optional
+ *
+ * Text refers to variables as {{name}}; rendering fails on a variable the
+ * caller doesn't provide, so a typo in a template can't reach the model.
+ * Shared by the Express server and the Bare runtime scripts, so it must stay
+ * free of Node-only modules; plain require() of the JSON works under both.
+ */
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const VERSION_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+const ROLES = ['system', 'user', 'assistant'];
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Identifies a template version
+ *
+ * @param {Object} template - Prompt template
+ * @returns {string} - "<name>@<version>"
+ */
+function templateId(template) {
+  return `${template.name}@${template.version}`;
+}
+
+/**
+ * Version a request asked for: "v2" or "blend@v2"
+ *
+ * @param {string} name - Template name the request needs
+ * @param {string} selection - Version or template id
+ * @returns {Object} - { version } or { error }
+ */
+function parseSelection(name, selection) {
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    return { error: `"${name}" is not a prompt template name` };
+  }
+  if (typeof selection !== 'string' || !selection.trim()) {
+    return { error: 'prompt must be a template version such as "v1" or an id such as "blend@v1"' };
+  }
+
+  const [selectedName, version] = selection.includes('@') ? selection.trim().split('@') : [name, selection.trim()];
+  if (selectedName !== name) {
+    return { error: `prompt "${selection}" is not a version of the "${name}" template` };
+  }
+  if (!VERSION_PATTERN.test(version)) {
+    return { error: `prompt version "${version}" may only use letters, digits, dots, dashes and underscores` };
+  }
+  return { version };
+}
+
+/**
+ * Checks a template's shape
+ *
+ * @param {Object} template - Candidate template
+ * @returns {string[]} - Problems, empty when valid
+ */
+function validateTemplate(template) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return ['Template must be a JSON object'];
+  }
+
+  const errors = [];
+  const { name, version, description, messages, parts = {} } = template;
+
+  if (typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name)) {
+    errors.push('name must be lowercase words joined by hyphens');
+  }
+  if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+    errors.push('version must be 1-32 letters, digits, dots, dashes or underscores');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    errors.push('messages must be a non-empty array');
+  } else {
+    messages.forEach((message, index) => {
+      if (!message || !ROLES.includes(message.role) || typeof message.content !== 'string') {
+        errors.push(`messages[${index}] must have a role (${ROLES.join(', ')}) and string content`);
+      }
+    });
+  }
+  if (!parts || typeof parts !== 'object' || Array.isArray(parts) ||
+      Object.values(parts).some(part => typeof part !== 'string')) {
+    errors.push('parts must be an object of strings');
+  }
+
+  return errors;
+}
+
+/**
+ * Fills in a template text
+ *
+ * @param {string} text - Text with {{variable}} placeholders
+ * @param {Object} variables - Values by name
+ * @returns {string} - Rendered text
+ * @throws {Error} - If the text uses a variable that isn't given
+ */
+function renderText(text, variables) {
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Prompt template variable "${name}" has no value`);
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Renders a template's chat messages
+ *
+ * @param {Object} template - Prompt template
+ * @param {Object} variables - Values by name
+ * @returns {Object[]} - Chat messages
+ */
+function renderMessages(template, variables) {
+  return template.messages.map(({ role, content }) => ({ role, content: renderText(content, variables) }));
+}
+
+/**
+ * Renders one of a template's parts
+ *
+ * @param {Object} template - Prompt template
+ * @param {string} part - Part name
+ * @param {Object} variables - Values by name
+ * @returns {string} - Rendered text
+ * @throws {Error} - If the template has no such part
+ */
+function renderPart(template, part, variables) {
+  if (!template.parts || typeof template.parts[part] !== 'string') {
+    throw new Error(`Prompt template ${templateId(template)} has no "${part}" part`);
+  }
+  return renderText(template.parts[part], variables);
+}
+
+/**
+ * Loads a template version shipped in prompts/. Loaded files are cached for
+ * the life of the process; the server reads them fresh (see promptRegistry.js)
+ * and sends the template with each worker request.
+ *
+ * @param {string} name - Template name
+ * @param {string} [version] - Version (default: the one in prompts/defaults.json)
+ * @returns {Object} - Prompt template
+ */
+function loadTemplate(name, version) {
+  const selected = version || require('./prompts/defaults.json')[name];
+  return require(`./prompts/${name}/${selected}.json`);
+}
+
+module.exports = {
+  templateId,
+  parseSelection,
+  validateTemplate,
+  renderText,
+  renderMessages,
+  renderPart,
+  loadTemplate
+};
@@ -0,0 +1,159 @@
+/**
+ * Purchase Recommender
+ *
+ * Suggests the next oils to buy for a collection. Each oil in the catalog
+ * the user doesn't own is scored by how much it would widen what they can
+ * blend:
+ * - slots: note positions (TOP/MIDDLE/BASE, as classified for blending) it
+ *   fills, most for positions the collection has no oil for
+ * - blends: balanced blends of the structure it makes possible, one oil per slot
+ * - novelty: distance from the oils owned in the descriptor embedding space
+ *   (scentEmbeddings.js), i.e. how new its region of scents is
+ * - recipes: saved recipes it completes
+ *
+ * Picks are greedy: the second oil is the best buy after the first.
+ */
+
+const { NOTE_POSITIONS } = require('./blendSchema');
+const { notePositionsOf } = require('./blendStructures');
+const { createSimilarity } = require('./blendEvaluation');
+
+const SCORE_WEIGHTS = { slots: 0.35, blends: 0.25, novelty: 0.2, recipes: 0.2 };
+
+// Blend counting stops here; large collections need no finer distinction
+const MAX_BLENDS = 100000;
+
+/**
+ * Rounds to three decimals
+ *
+ * @param {number} value - Value
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Number of balanced blends a collection can make: ways to give each slot of
+ * the structure its own oil that can play the slot's note
+ *
+ * @param {string[]} oils - Oils owned
+ * @param {Object} structure - Resolved blend structure
+ * @param {Object} catalog - Oil records keyed by name
+ * @returns {number} - Distinct oil combinations (at most MAX_BLENDS)
+ */
+function countBlends(oils, structure, catalog) {
+  const notes = oils.map(oil => notePositionsOf(catalog[oil]));
+  // Same-note slots take oils in list order so each combination is counted once
+  const slots = [...structure.slots].sort((a, b) => NOTE_POSITIONS.indexOf(a.note) - NOTE_POSITIONS.indexOf(b.note));
+
+  const count = (slotIndex, used, previous) => {
+    if (slotIndex === slots.length) return 1;
+    const { note } = slots[slotIndex];
+    const start = slotIndex > 0 && slots[slotIndex - 1].note === note ? previous + 1 : 0;
+
+    let total = 0;
+    for (let i = start; i < oils.length && total < MAX_BLENDS; i++) {
+      if (!used.has(i) && notes[i].includes(note)) {
+        used.add(i);
+        total += count(slotIndex + 1, used, i);
+        used.delete(i);
+      }
+    }
+    return Math.min(total, MAX_BLENDS);
+  };
+
+  return count(0, new Set(), -1);
+}
+
+/**
+ * Recommends oils to buy next
+ *
+ * @param {string[]} owned - Oils the user has
+ * @param {Object} options
+ * @param {Object} options.catalog - Oil records keyed by name
+ * @param {Object} options.structure - Resolved structure balanced blends are counted for
+ * @param {Object[]} [options.recipes=[]] - Saved recipes ({ id, name, blend })
+ * @param {number} [options.count=3] - Oils to recommend
+ * @param {Function} [options.similarity] - Pair similarity (defaults to createSimilarity())
+ * @returns {Object[]} - [{ oil, score, parts: { slots, blends, novelty, recipes }, notes, newNotes,
+ *                       blendsAdded, newDescriptors, unlockedRecipes: [{ id, name }], reasons }] in buying order
+ */
+function recommendPurchases(owned, { catalog, structure, recipes = [], count = 3, similarity = createSimilarity() }) {
+  const collection = owned.filter(oil => catalog[oil]);
+  const picks = [];
+
+  while (picks.length < count) {
+    const noteCounts = {};
+    NOTE_POSITIONS.forEach(note => {
+      noteCounts[note] = collection.filter(oil => notePositionsOf(catalog[oil]).includes(note)).length;
+    });
+    const descriptors = new Set(collection.flatMap(oil => catalog[oil].notes));
+    const baseBlends = countBlends(collection, structure, catalog);
+    const ready = new Set(recipes.filter(recipe => recipe.blend.oils.every(entry => collection.includes(entry.oil))).map(recipe => recipe.id));
+
+    const candidates = Object.keys(catalog)
+      .filter(oil => !collection.includes(oil))
+      .map(oil => {
+        const notes = notePositionsOf(catalog[oil]);
+        const closest = collection.reduce((max, other) => Math.max(max, similarity(oil, other).descriptors), 0);
+        const unlocked = recipes.filter(recipe => !ready.has(recipe.id) &&
+          recipe.blend.oils.some(entry => entry.oil === oil) &&
+          recipe.blend.oils.every(entry => entry.oil === oil || collection.includes(entry.oil)));
+
+        return {
+          oil,
+          notes,
+          // A note position counts for less the more oils already play it
+          slots: notes.reduce((sum, note) => sum + 1 / (1 + noteCounts[note]), 0),
+          blendsAdded: countBlends([...collection, oil], structure, catalog) - baseBlends,
+          novelty: collection.length > 0 ? 1 - closest : 1,
+          newDescriptors: catalog[oil].notes.filter(descriptor => !descriptors.has(descriptor)),
+          unlockedRecipes: unlocked.map(recipe => ({ id: recipe.id, name: recipe.name }))
+        };
+      });
+    if (candidates.length === 0) break;
+
+    // Blends and recipes are scored relative to the best candidate
+    const maxBlends = Math.max(1, ...candidates.map(candidate => candidate.blendsAdded));
+    const maxRecipes = Math.max(1, ...candidates.map(candidate => candidate.unlockedRecipes.length));
+    const scored = candidates.map(candidate => {
+      const parts = {
+        slots: round(Math.min(1, candidate.slots)),
+        blends: round(candidate.blendsAdded / maxBlends),
+        novelty: round(candidate.novelty),
+        recipes: round(candidate.unlockedRecipes.length / maxRecipes)
+      };
+      const score = Object.keys(SCORE_WEIGHTS).reduce((sum, key) => sum + parts[key] * SCORE_WEIGHTS[key], 0);
+      return { ...candidate, score: round(score), parts };
+    }).sort((a, b) => b.score - a.score || a.oil.localeCompare(b.oil));
+
+    const best = scored[0];
+    const newNotes = best.notes.filter(note => noteCounts[note] === 0);
+    const reasons = [];
+    if (newNotes.length > 0) reasons.push(`First ${newNotes.join('/')} note in your collection`);
+    if (best.blendsAdded > 0) reasons.push(`${best.blendsAdded} more balanced ${structure.name} blend${best.blendsAdded === 1 ? '' : 's'}`);
+    if (best.newDescriptors.length > 0) reasons.push(`New scent descriptors: ${best.newDescriptors.join(', ')}`);
+    if (best.unlockedRecipes.length > 0) reasons.push(`Completes saved recipes: ${best.unlockedRecipes.map(recipe => recipe.name).join(', ')}`);
+
+    picks.push({
+      oil: best.oil,
+      score: best.score,
+      parts: best.parts,
+      notes: best.notes,
+      newNotes,
+      blendsAdded: best.blendsAdded,
+      newDescriptors: best.newDescriptors,
+      unlockedRecipes: best.unlockedRecipes,
+      reasons
+    });
+    collection.push(best.oil);
+  }
+
+  return picks;
+}
+
+module.exports = {
+  countBlends,
+  recommendPurchases
+};
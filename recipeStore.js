@@ -0,0 +1,452 @@
+/**
+ * Recipe Store
+ *
+ * Shared library of saved blends, saved to data/recipes.json. A recipe is
+ * either a result from /api/blend (keeping the model and settings it was made
+ * with) or a hand-made formula, plus a name, tags, free-form notes and a
+ * 1-5 rating.
+ *
+ * Every change to a recipe's oils, percentages or notes is kept as a new
+ * version (see recipeVersions.js for diffs); restoring an old version adds it
+ * again as the newest one, so history is never rewritten.
+ *
+ * Methods return { recipe } on success, or { error, status } with the HTTP
+ * status the API should answer with (400 invalid, 404 unknown), like OilCatalog.
+ */
+
+const crypto = require('crypto');
+const essentialOils = require('./essentialOils');
+const JsonStore = require('./jsonStore');
+const { NOTE_POSITIONS, normalizeOilName } = require('./blendSchema');
+const { resolveProduct, validateBlendOils } = require('./blendDilution');
+const { sameBlend, diffBlends } = require('./recipeVersions');
+
+const MAX_NAME_LENGTH = 100;
+
+const SORT_FIELDS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  rating: (a, b) => (a.rating || 0) - (b.rating || 0) || a.name.localeCompare(b.name),
+  createdAt: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  updatedAt: (a, b) => a.updatedAt.localeCompare(b.updatedAt)
+};
+
+/**
+ * Splits a comma-separated query value into lowercase values
+ *
+ * @param {string|string[]} value - Query parameter value(s)
+ * @returns {string[]} - Trimmed, lowercase values
+ */
+function parseList(value) {
+  return [].concat(value)
+    .join(',')
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * A recipe as returned by the API, without its version history
+ *
+ * @param {Object} recipe - Stored recipe
+ * @returns {Object} - Recipe without versions
+ */
+function present(recipe) {
+  const { versions, ...rest } = recipe;
+  return rest;
+}
+
+/**
+ * Copies the oils of a blend into a recipe, keeping note and rationale when present
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage, note?, rationale? }] and optional scentProfile
+ * @returns {Object} - { errors } or { blend }
+ */
+function normalizeBlend(blend) {
+  const errors = validateBlendOils(blend);
+  (blend && Array.isArray(blend.oils) ? blend.oils : []).forEach((item, index) => {
+    if (item && item.note !== undefined && !NOTE_POSITIONS.includes(item.note)) {
+      errors.push(`oils[${index}].note must be one of ${NOTE_POSITIONS.join(', ')}`);
+    }
+  });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    blend: {
+      oils: blend.oils.map(({ oil, percentage, note, rationale }) => ({
+        oil: normalizeOilName(oil),
+        percentage,
+        ...(note !== undefined ? { note } : {}),
+        ...(typeof rationale === 'string' ? { rationale } : {})
+      })),
+      ...(typeof blend.scentProfile === 'string' ? { scentProfile: blend.scentProfile } : {})
+    }
+  };
+}
+
+class RecipeStore {
+  /**
+   * @param {Object} [options]
+   * @param {JsonStore} [options.store] - Where recipes are saved (defaults to data/recipes.json)
+   * @param {Object} [options.oils] - Oil catalog used for note descriptor search
+   */
+  constructor({ store = new JsonStore('recipes.json'), oils = essentialOils } = {}) {
+    this.store = store;
+    this.oils = oils;
+    this.recipes = {};
+
+    // Recipes saved before version history start at version 1
+    Object.entries(store.load({})).forEach(([id, recipe]) => {
+      this.recipes[id] = recipe.versions ? recipe : {
+        ...recipe,
+        version: 1,
+        versions: [{ version: 1, blend: recipe.blend, createdBy: recipe.createdBy, createdAt: recipe.createdAt, restoredFrom: null }]
+      };
+    });
+  }
+
+  /**
+   * Searches the library
+   *
+   * @param {Object} [query] - Request query:
+   *   oil, tag, note (comma-separated, all must match), minRating, q (name, notes and description), sort
+   * @returns {Object} - { error } on invalid parameters, otherwise { total, recipes }
+   */
+  list(query = {}) {
+    const oils = query.oil === undefined ? [] : parseList(query.oil).map(normalizeOilName);
+    const tags = query.tag === undefined ? [] : parseList(query.tag);
+    const notes = query.note === undefined ? [] : parseList(query.note);
+    const terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    const minRating = query.minRating === undefined ? null : Number(query.minRating);
+    if (minRating !== null && !(minRating >= 1 && minRating <= 5)) {
+      return { error: 'minRating must be a number between 1 and 5' };
+    }
+
+    // Newest changes first unless asked otherwise
+    const sort = query.sort || '-updatedAt';
+    const descending = sort.startsWith('-');
+    const compare = SORT_FIELDS[descending ? sort.slice(1) : sort];
+    if (!compare) {
+      return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)` };
+    }
+
+    const recipes = Object.values(this.recipes)
+      .filter(recipe => {
+        const recipeOils = recipe.blend.oils.map(item => item.oil);
+        const descriptors = recipeOils.flatMap(oil => (this.oils[oil] ? this.oils[oil].notes : []));
+        const text = [recipe.name, recipe.notes, recipe.config.description].filter(Boolean).join(' ').toLowerCase();
+
+        return oils.every(oil => recipeOils.includes(oil)) &&
+          tags.every(tag => recipe.tags.includes(tag)) &&
+          notes.every(note => descriptors.includes(note)) &&
+          (minRating === null || (recipe.rating !== null && recipe.rating >= minRating)) &&
+          terms.every(term => text.includes(term));
+      })
+      .sort((a, b) => (descending ? -compare(a, b) : compare(a, b)));
+
+    return { total: recipes.length, recipes: recipes.map(present) };
+  }
+
+  /**
+   * Looks up a recipe
+   *
+   * @param {string} id - Recipe id
+   * @returns {Object|null} - Recipe, or null if unknown
+   */
+  get(id) {
+    const recipe = this.find(id);
+    return recipe ? present(recipe) : null;
+  }
+
+  /**
+   * Saves a new recipe
+   *
+   * @param {Object} record - { name, tags?, notes?, rating? } plus either result (an /api/blend response)
+   *                          or blend (a hand-made formula, with optional description and product)
+   * @param {string} userId - User saving the recipe
+   * @returns {Object} - { recipe } or { error, status }
+   */
+  create(record, userId) {
+    const validation = this.validate(record);
+    if (validation.error) return validation;
+
+    const now = new Date().toISOString();
+    const recipe = {
+      id: crypto.randomUUID(),
+      ...validation.recipe,
+      version: 1,
+      versions: [{ version: 1, blend: validation.recipe.blend, createdBy: userId, createdAt: now, restoredFrom: null }],
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.save({ ...this.recipes, [recipe.id]: recipe });
+    return { recipe: present(recipe) };
+  }
+
+  /**
+   * Replaces a recipe's name, tags, notes, rating and blend. Where it came
+   * from (model, settings, author, creation time) is kept unless a new
+   * result is given. A changed blend becomes a new version.
+   *
+   * @param {string} id - Recipe id
+   * @param {Object} record - Complete recipe, as for create
+   * @param {string} userId - User making the change
+   * @returns {Object} - { recipe } or { error, status }
+   */
+  update(id, record, userId) {
+    const existing = this.find(id);
+    if (!existing) {
+      return { error: `Unknown recipe "${id}"`, status: 404 };
+    }
+
+    const validation = this.validate(record, existing);
+    if (validation.error) return validation;
+
+    return this.write(existing, validation.recipe, userId);
+  }
+
+  /**
+   * Lists a recipe's versions, oldest first
+   *
+   * @param {string} id - Recipe id
+   * @returns {Object} - { versions: [{ version, createdBy, createdAt, restoredFrom, oils }] } or { error, status }
+   */
+  listVersions(id) {
+    const recipe = this.find(id);
+    if (!recipe) {
+      return { error: `Unknown recipe "${id}"`, status: 404 };
+    }
+
+    return {
+      versions: recipe.versions.map(({ blend, ...version }) => ({
+        ...version,
+        oils: blend.oils.map(({ oil, percentage }) => ({ oil, percentage }))
+      }))
+    };
+  }
+
+  /**
+   * Looks up one version of a recipe
+   *
+   * @param {string} id - Recipe id
+   * @param {number|string} number - Version number
+   * @returns {Object} - { version: { version, blend, createdBy, createdAt, restoredFrom } } or { error, status }
+   */
+  getVersion(id, number) {
+    const recipe = this.find(id);
+    if (!recipe) {
+      return { error: `Unknown recipe "${id}"`, status: 404 };
+    }
+
+    const version = recipe.versions.find(item => item.version === Number(number));
+    if (!version) {
+      return { error: `Recipe "${recipe.name}" has no version ${number} (1-${recipe.version})`, status: 404 };
+    }
+    return { version };
+  }
+
+  /**
+   * Makes an old version's blend current again, as a new version
+   *
+   * @param {string} id - Recipe id
+   * @param {number|string} number - Version to restore
+   * @param {string} userId - User restoring it
+   * @returns {Object} - { recipe } or { error, status }
+   */
+  restore(id, number, userId) {
+    const found = this.getVersion(id, number);
+    if (found.error) return found;
+
+    return this.write(this.find(id), { blend: found.version.blend }, userId, found.version.version);
+  }
+
+  /**
+   * Compares two versions of a recipe
+   *
+   * @param {string} id - Recipe id
+   * @param {number|string} from - Earlier version
+   * @param {number|string} [to] - Later version (defaults to the current one)
+   * @returns {Object} - { diff: { from, to, added, removed, changed, notes } } or { error, status }
+   */
+  diff(id, from, to) {
+    const recipe = this.find(id);
+    if (!recipe) {
+      return { error: `Unknown recipe "${id}"`, status: 404 };
+    }
+
+    const older = this.getVersion(id, from);
+    if (older.error) return older;
+    const newer = this.getVersion(id, to === undefined ? recipe.version : to);
+    if (newer.error) return newer;
+
+    return {
+      diff: {
+        from: older.version.version,
+        to: newer.version.version,
+        ...diffBlends(older.version.blend, newer.version.blend)
+      }
+    };
+  }
+
+  /**
+   * Removes a recipe
+   *
+   * @param {string} id - Recipe id
+   * @returns {Object} - { recipe } (the removed recipe) or { error, status }
+   */
+  remove(id) {
+    const recipe = this.get(id);
+    if (!recipe) {
+      return { error: `Unknown recipe "${id}"`, status: 404 };
+    }
+
+    const remaining = { ...this.recipes };
+    delete remaining[id];
+    this.save(remaining);
+    return { recipe };
+  }
+
+  // Own properties only, so ids like "constructor" don't pick up Object's members
+  find(id) {
+    return Object.prototype.hasOwnProperty.call(this.recipes, id) ? this.recipes[id] : null;
+  }
+
+  write(existing, changes, userId, restoredFrom = null) {
+    const now = new Date().toISOString();
+    const recipe = { ...existing, ...changes, updatedAt: now };
+
+    if (!sameBlend(existing.blend, recipe.blend)) {
+      recipe.version = existing.version + 1;
+      recipe.versions = [
+        ...existing.versions,
+        { version: recipe.version, blend: recipe.blend, createdBy: userId, createdAt: now, restoredFrom }
+      ];
+    }
+
+    this.save({ ...this.recipes, [existing.id]: recipe });
+    return { recipe: present(recipe) };
+  }
+
+  save(recipes) {
+    // Save first so a failed write leaves the loaded library unchanged
+    this.store.save(recipes);
+    this.recipes = recipes;
+  }
+
+  validate(record, existing = null) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { error: 'Recipe must be a JSON object', status: 400 };
+    }
+
+    const { name, tags = [], notes = '', rating = null } = record;
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      errors.push(`name must be a non-empty string of up to ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      errors.push('tags must be an array of strings');
+    }
+    if (typeof notes !== 'string') {
+      errors.push('notes must be a string');
+    }
+    if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      errors.push('rating must be a whole number from 1 to 5, or null');
+    }
+
+    const source = this.validateSource(record, existing);
+    if (source.errors) {
+      errors.push(...source.errors);
+    }
+
+    if (errors.length > 0) {
+      return { error: errors.join('; '), status: 400 };
+    }
+
+    return {
+      recipe: {
+        name: name.trim(),
+        tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+        notes: notes.trim(),
+        rating,
+        ...source.recipe
+      }
+    };
+  }
+
+  // Blend, model and settings from an /api/blend result or a hand-made formula
+  validateSource({ result, blend, description, product }, existing) {
+    if ((result === undefined) === (blend === undefined)) {
+      return { errors: ['Give either "result" (an /api/blend response) or "blend" (a hand-made formula)'] };
+    }
+
+    if (result !== undefined) {
+      if (!result || typeof result !== 'object' || result.success !== true) {
+        return { errors: ['result must be a successful /api/blend response'] };
+      }
+      const normalized = normalizeBlend(result.blend);
+      if (normalized.errors) {
+        return { errors: normalized.errors.map(error => `result.blend: ${error}`) };
+      }
+
+      const formulation = result.formulation;
+      // Results from before engines were reported are LLM or rule-based
+      const engine = result.engine || (result.fallback ? 'rules' : 'llm');
+      return {
+        recipe: {
+          blend: normalized.blend,
+          source: 'generated',
+          model: engine === 'llm' ? { engine, ...(result.model || {}) } : { engine },
+          config: {
+            description: typeof result.targetDescription === 'string' ? result.targetDescription : null,
+            structure: result.structure ? result.structure.id : null,
+            product: formulation
+              ? { id: formulation.product.id, volumeMl: formulation.product.volumeMl, concentration: formulation.product.concentration }
+              : null,
+            useCases: result.safety ? result.safety.useCases : []
+          }
+        }
+      };
+    }
+
+    const normalized = normalizeBlend(blend);
+    if (normalized.errors) {
+      return { errors: normalized.errors.map(error => `blend: ${error}`) };
+    }
+
+    // Editing a saved recipe keeps where it came from and any settings not given again
+    const config = existing
+      ? { ...existing.config }
+      : { description: null, structure: null, product: null, useCases: [] };
+
+    if (description !== undefined) {
+      if (description !== null && typeof description !== 'string') {
+        return { errors: ['description must be a string'] };
+      }
+      config.description = description || null;
+    }
+    if (product !== undefined) {
+      const resolved = product === null ? { product: null } : resolveProduct(product);
+      if (resolved.error) {
+        return { errors: [resolved.error] };
+      }
+      config.product = resolved.product
+        ? { id: resolved.product.id, volumeMl: resolved.product.volumeMl, concentration: resolved.product.concentration }
+        : null;
+    }
+
+    return {
+      recipe: {
+        blend: normalized.blend,
+        source: existing ? existing.source : 'manual',
+        model: existing ? existing.model : null,
+        config
+      }
+    };
+  }
+}
+
+module.exports = RecipeStore;
@@ -0,0 +1,97 @@
+/**
+ * Recipe Versions
+ *
+ * Compares two versions of a recipe's blend: which oils were added or
+ * removed, how each oil's percentage moved, and how the share of each note
+ * slot (TOP/MIDDLE/BASE) changed. Oils saved without a note are grouped
+ * under "UNASSIGNED".
+ */
+
+const { NOTE_POSITIONS } = require('./blendSchema');
+
+const UNASSIGNED = 'UNASSIGNED';
+
+/**
+ * Rounds a percentage delta to avoid floating point noise
+ *
+ * @param {number} value - Percentage points
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Indexes a blend's oils by name
+ *
+ * @param {Object} blend - Blend with oils: [{ oil, percentage, note? }]
+ * @returns {Object} - { oil: { percentage, note } }
+ */
+function indexOils(blend) {
+  const oils = {};
+  blend.oils.forEach(({ oil, percentage, note }) => {
+    oils[oil] = { percentage, note: note || UNASSIGNED };
+  });
+  return oils;
+}
+
+/**
+ * Whether two blends use the same oils at the same percentages and notes
+ *
+ * @param {Object} a - Blend
+ * @param {Object} b - Blend
+ * @returns {boolean} - True if the formulas are identical
+ */
+function sameBlend(a, b) {
+  const oilsA = indexOils(a);
+  const oilsB = indexOils(b);
+  return Object.keys(oilsA).length === Object.keys(oilsB).length &&
+    Object.entries(oilsA).every(([oil, item]) =>
+      oilsB[oil] && oilsB[oil].percentage === item.percentage && oilsB[oil].note === item.note
+    );
+}
+
+/**
+ * Diffs two blends
+ *
+ * @param {Object} from - Earlier blend
+ * @param {Object} to - Later blend
+ * @returns {Object} - { added, removed, changed: [{ oil, note, from, to, delta }], notes: [{ note, from, to, delta }] }
+ */
+function diffBlends(from, to) {
+  const before = indexOils(from);
+  const after = indexOils(to);
+
+  const added = Object.keys(after)
+    .filter(oil => !before[oil])
+    .map(oil => ({ oil, ...after[oil] }));
+  const removed = Object.keys(before)
+    .filter(oil => !after[oil])
+    .map(oil => ({ oil, ...before[oil] }));
+  const changed = Object.keys(after)
+    .filter(oil => before[oil] && (before[oil].percentage !== after[oil].percentage || before[oil].note !== after[oil].note))
+    .map(oil => ({
+      oil,
+      note: after[oil].note,
+      ...(before[oil].note !== after[oil].note ? { previousNote: before[oil].note } : {}),
+      from: before[oil].percentage,
+      to: after[oil].percentage,
+      delta: round(after[oil].percentage - before[oil].percentage)
+    }));
+
+  // Share of the blend per note slot, before and after
+  const noteTotal = (oils, note) => round(Object.values(oils)
+    .filter(item => item.note === note)
+    .reduce((sum, item) => sum + item.percentage, 0));
+  const notes = [...NOTE_POSITIONS, UNASSIGNED]
+    .map(note => ({ note, from: noteTotal(before, note), to: noteTotal(after, note) }))
+    .filter(item => item.note !== UNASSIGNED || item.from > 0 || item.to > 0)
+    .map(item => ({ ...item, delta: round(item.to - item.from) }));
+
+  return { added, removed, changed, notes };
+}
+
+module.exports = {
+  sameBlend,
+  diffBlends
+};
@@ -0,0 +1,159 @@
+/**
+ * Blend Refinement Sessions
+ *
+ * Keeps the conversation of a refinement session in memory: the original
+ * blend request and every revision of the blend with the message that asked
+ * for it ("make it woodier", "less sweet"). Sessions belong to the user who
+ * started them and are forgotten after a period without messages.
+ */
+
+const crypto = require('crypto');
+
+class RefinementSessions {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.idleTimeout=1800000] - How long a session lives without new messages (ms)
+   * @param {number} [options.maxSessions=200] - Open sessions allowed before create() refuses more
+   */
+  constructor({ idleTimeout = 1800000, maxSessions = 200 } = {}) {
+    this.idleTimeout = idleTimeout;
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Opens a session with the first blend
+   *
+   * @param {string} userId - Owner of the session
+   * @param {Object} request - Validated blend request the session refines
+   * @param {Object} blend - Initial blend
+   * @param {Object} [details] - Stored with the turn: { fallback }
+   * @returns {Object|null} - Session snapshot, or null if too many sessions are open
+   */
+  create(userId, request, blend, { fallback = false } = {}) {
+    this.prune();
+    if (this.sessions.size >= this.maxSessions) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      request,
+      turns: [{ message: null, blend, fallback, createdAt: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.sessions.set(session.id, session);
+    return this.snapshot(session);
+  }
+
+  /**
+   * Looks up a session
+   *
+   * @param {string} id - Session id
+   * @param {string} userId - Requesting user; other users' sessions are not found
+   * @returns {Object|null} - Session snapshot, or null if unknown, expired or someone else's
+   */
+  get(id, userId) {
+    const session = this.find(id, userId);
+    return session ? this.snapshot(session) : null;
+  }
+
+  /**
+   * The session's blend request and conversation for the next revision
+   *
+   * @param {string} id - Session id
+   * @param {string} userId - Requesting user
+   * @param {string} message - New refinement message
+   * @returns {Object|null} - { request, blend, conversation } or null if not found
+   */
+  context(id, userId, message) {
+    const session = this.find(id, userId);
+    if (!session) return null;
+
+    // The model sees each blend it gave and the message that followed it
+    const conversation = [];
+    session.turns.forEach(turn => {
+      if (turn.message !== null) conversation.push({ role: 'user', message: turn.message });
+      conversation.push({ role: 'assistant', blend: turn.blend });
+    });
+    conversation.push({ role: 'user', message });
+
+    return {
+      request: session.request,
+      blend: session.turns[session.turns.length - 1].blend,
+      conversation
+    };
+  }
+
+  /**
+   * Records a revision of the blend
+   *
+   * @param {string} id - Session id
+   * @param {string} userId - Requesting user
+   * @param {string} message - Message the revision answers
+   * @param {Object} blend - Revised blend
+   * @param {Object} [details] - Stored with the turn: { fallback }
+   * @returns {Object|null} - Session snapshot, or null if the session expired meanwhile
+   */
+  addTurn(id, userId, message, blend, { fallback = false } = {}) {
+    const session = this.find(id, userId);
+    if (!session) return null;
+
+    session.updatedAt = new Date().toISOString();
+    session.turns.push({ message, blend, fallback, createdAt: session.updatedAt });
+    return this.snapshot(session);
+  }
+
+  /**
+   * Ends a session
+   *
+   * @param {string} id - Session id
+   * @param {string} userId - Requesting user
+   * @returns {Object|null} - Snapshot of the removed session, or null if not found
+   */
+  remove(id, userId) {
+    const session = this.find(id, userId);
+    if (!session) return null;
+
+    this.sessions.delete(id);
+    return this.snapshot(session);
+  }
+
+  find(id, userId) {
+    this.prune();
+    const session = this.sessions.get(id);
+    return session && session.userId === userId ? session : null;
+  }
+
+  // Expired sessions are dropped whenever sessions are accessed
+  prune() {
+    const cutoff = Date.now() - this.idleTimeout;
+    this.sessions.forEach((session, id) => {
+      if (Date.parse(session.updatedAt) < cutoff) this.sessions.delete(id);
+    });
+  }
+
+  snapshot(session) {
+    const { request } = session;
+
+    return {
+      id: session.id,
+      description: request.description,
+      oils: request.oils,
+      structure: request.structure.id,
+      product: request.product ? request.product.id : null,
+      useCases: request.useCases,
+      blend: session.turns[session.turns.length - 1].blend,
+      turns: session.turns,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expiresAt: new Date(Date.parse(session.updatedAt) + this.idleTimeout).toISOString()
+    };
+  }
+}
+
+module.exports = RefinementSessions;
@@ -0,0 +1,315 @@
+/**
+ * Scent Blender - Shared LLM Logic
+ *
+ * ScentBlender loads the model through an LLM backend (llmBackends.js), builds the
+ * perfumery prompt and runs the validate-and-retry loop for structured blends.
+ * Used by the one-shot CLI (scentBlenderBare.js), the persistent worker
+ * (blendWorkerBare.js) and, for backends that need no Bare runtime, the
+ * server itself (localWorker.js). Runs under Bare and Node.
+ */
+
+'use strict'
+
+const { parseBlendResponse } = require('./blendSchema')
+const { resolveStructure, describeSlots } = require('./blendStructures')
+const essentialOils = require('./essentialOils')
+const { resolveOilNames } = require('./oilNameResolver')
+const { templateId, renderMessages, renderPart, loadTemplate } = require('./promptTemplates')
+const { createBackend } = require('./llmBackends')
+
+// Number of times the model is prompted before giving up on a valid blend
+const MAX_ATTEMPTS = 3
+
+// Refinement turns (blend + request pairs) kept in the prompt; older ones
+// would not fit the context alongside the oil list
+const MAX_CONVERSATION_TURNS = 3
+
+// Inference settings; reported with each blend so saved recipes record them
+const MODEL_CONFIG = {
+  gpu_layers: '0', // Use CPU for compatibility
+  ctx_size: '2048', // Room for correction rounds on invalid output
+  device: 'cpu',
+  temp: '0.7',
+  top_p: '0.9',
+  top_k: '40',
+  predict: '300'
+}
+
+class ScentBlender {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger=console] - Receives progress and diagnostic logging
+   * @param {Object} [options.backend] - LLM backend options, e.g. backendOptions(process.env) (see llmBackends.js);
+   *                                     defaults to the llama.cpp model
+   */
+  constructor({ logger = console, backend = {} } = {}) {
+    this.oils = essentialOils
+    this.backend = createBackend({ ...backend, config: MODEL_CONFIG, logger })
+    this.logger = logger
+  }
+
+  /**
+   * Loads the model
+   *
+   * @param {Function} [onProgress] - Called with the loader progress object while the model loads
+   */
+  async initialize(onProgress = () => {}) {
+    const { backend, name } = this.backend.info()
+    this.logger.log(`Loading model ${name} (${backend} backend)... (this may take a while)`)
+    await this.backend.load(onProgress)
+    this.logger.log('Model loaded successfully!')
+  }
+
+  /**
+   * Prompt for a new blend
+   *
+   * @param {string[]} availableOils - Oil names the blend may use
+   * @param {string} targetDescription - Target scent description
+   * @param {Object} structure - Resolved blend structure
+   * @param {Object} [template] - "blend" prompt template (see promptTemplates.js)
+   * @returns {Object[]} - Chat messages
+   */
+  createPrompt(availableOils, targetDescription, structure, template = loadTemplate('blend')) {
+    const oilsInfo = availableOils.map(oilName => {
+      const oil = this.oils[oilName.toLowerCase()]
+      if (!oil) return `${oilName}: Unknown oil`
+
+      return renderPart(template, 'oil', { name: oilName, ...oil, notes: oil.notes.join(', ') })
+    }).join('\n')
+
+    // With fewer oils than slots, fill the most important slots
+    const slots = structure.slots.length <= availableOils.length
+      ? structure.slots
+      : [...structure.slots].sort((a, b) => b.target - a.target).slice(0, availableOils.length)
+
+    return renderMessages(template, {
+      oils: oilsInfo,
+      description: targetDescription,
+      structureName: structure.name,
+      structureDescription: structure.description,
+      oilCount: `${slots.length} oil${slots.length === 1 ? '' : 's'}`,
+      slots: describeSlots({ slots }),
+      template: slots.map(slot => renderPart(template, 'slot', { note: slot.note })).join(',\n')
+    })
+  }
+
+  createCorrectionPrompt(errors, template = loadTemplate('blend')) {
+    return {
+      role: 'user',
+      content: renderPart(template, 'correction', { errors: errors.map(error => `- ${error}`).join('\n') })
+    }
+  }
+
+  createRefinementPrompt(message, template = loadTemplate('blend')) {
+    return {
+      role: 'user',
+      content: renderPart(template, 'refinement', { message })
+    }
+  }
+
+  /**
+   * Prompt for refining a blend: the original request, then the conversation
+   * so far as assistant blends and user refinement requests
+   *
+   * @param {string[]} availableOils - Oil names the blend may use
+   * @param {string} targetDescription - Original target scent description
+   * @param {Object} structure - Resolved blend structure
+   * @param {Object[]} conversation - [{ role: 'assistant', blend }, { role: 'user', message }, ...], ending with a user message
+   * @param {Object} [template] - "blend" prompt template
+   * @returns {Object[]} - Chat messages
+   */
+  createConversationPrompt(availableOils, targetDescription, structure, conversation, template = loadTemplate('blend')) {
+    const recent = conversation.slice(-MAX_CONVERSATION_TURNS * 2)
+
+    return [
+      ...this.createPrompt(availableOils, targetDescription, structure, template),
+      ...recent.map(turn => turn.role === 'assistant'
+        ? { role: 'assistant', content: JSON.stringify(turn.blend, null, 2) }
+        : this.createRefinementPrompt(turn.message, template))
+    ]
+  }
+
+  /**
+   * Prompt for reviewing a user's own formula, given the evaluator's findings
+   *
+   * @param {Object} blend - Formula: { oils: [{ oil, percentage, note }] }
+   * @param {string[]} findings - Issues found by the evaluator (see blendEvaluation.js)
+   * @param {string} [targetDescription] - What the formula is meant to smell like
+   * @param {Object} [template] - "critique" prompt template
+   * @returns {Object[]} - Chat messages
+   */
+  createCritiquePrompt(blend, findings, targetDescription, template = loadTemplate('critique')) {
+    const formula = blend.oils.map(({ oil, percentage, note }) => {
+      const data = this.oils[oil]
+      if (!data) return `- ${oil}: ${percentage}% as ${note} note`
+
+      return renderPart(template, 'oil', { name: oil, ...data, percentage, note, notes: data.notes.join(', ') })
+    }).join('\n')
+
+    return renderMessages(template, {
+      formula,
+      intended: targetDescription ? renderPart(template, 'intended', { description: targetDescription }) : '',
+      findings: findings.length > 0
+        ? findings.map(finding => renderPart(template, 'finding', { finding })).join('\n')
+        : renderPart(template, 'noFindings', {})
+    })
+  }
+
+  /**
+   * Runs the backend on a prompt
+   *
+   * @param {Object[]} messages - Chat messages
+   * @param {Function} onToken - Called with each streamed token
+   * @param {Object} [task] - What the prompt asks for, so the mock backend can answer it
+   * @param {AbortSignal} [signal] - Stops the request on backends that support it
+   * @returns {Promise<Object>} - { text, stats }
+   */
+  runModel(messages, onToken, task, signal) {
+    return this.backend.run(messages, { onToken, task, signal })
+  }
+
+  /**
+   * Generates a schema-valid blend, re-prompting the model with the
+   * validation errors until it succeeds or MAX_ATTEMPTS is reached
+   *
+   * @param {string[]} availableOils - Oil names the blend may use
+   * @param {string} targetDescription - Target scent description
+   * @param {Object} [options]
+   * @param {Object} [options.structure] - Resolved blend structure (see blendStructures.js); defaults to classic
+   * @param {Object[]} [options.conversation] - Earlier blends and refinement requests, ending with the request to answer (see createConversationPrompt)
+   * @param {Function} [options.onToken] - Called with each streamed token
+   * @param {Function} [options.onAttempt] - Called before each attempt with (attempt, previousErrors)
+   * @param {Object} [options.template] - "blend" prompt template; defaults to the version in prompts/defaults.json
+   * @param {AbortSignal} [options.signal] - Stops the request on backends that support it (see llmBackends.js)
+   * @returns {Promise<Object>} - Result with success flag, blend, attempts, model ({ backend, name, config, prompt }) and stats
+   */
+  async blendScent(availableOils, targetDescription, {
+    structure = resolveStructure().structure,
+    conversation = null,
+    template = loadTemplate('blend'),
+    onToken = () => {},
+    onAttempt = () => {},
+    signal = null
+  } = {}) {
+    try {
+      const messages = conversation && conversation.length > 0
+        ? this.createConversationPrompt(availableOils, targetDescription, structure, conversation, template)
+        : this.createPrompt(availableOils, targetDescription, structure, template)
+      let errors = []
+
+      const task = { type: 'blend', oils: availableOils, description: targetDescription, structure, catalog: this.oils }
+      if (conversation && conversation.length > 0) {
+        const previous = conversation.filter(turn => turn.role === 'assistant').pop()
+        task.refinement = { blend: previous.blend, message: conversation[conversation.length - 1].message }
+      }
+
+      for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        this.logger.log(`Generating blend recommendation (attempt ${attempt}/${MAX_ATTEMPTS})...`)
+        onAttempt(attempt, errors)
+
+        const { text, stats } = await this.runModel(messages, onToken, task, signal)
+        const validation = parseBlendResponse(text, availableOils, structure)
+
+        if (validation.valid) {
+          return {
+            success: true,
+            blend: validation.blend,
+            recommendation: text,
+            attempts: attempt,
+            availableOils,
+            targetDescription,
+            model: { ...this.backend.info(), prompt: templateId(template) },
+            stats
+          }
+        }
+
+        errors = validation.errors
+        this.logger.log(`Invalid blend: ${errors.join('; ')}`)
+
+        // Re-prompt with the model's own answer and what was wrong with it
+        messages.push({ role: 'assistant', content: text })
+        messages.push(this.createCorrectionPrompt(errors, template))
+      }
+
+      return {
+        success: false,
+        error: `No valid blend after ${MAX_ATTEMPTS} attempts: ${errors.join('; ')}`,
+        availableOils,
+        targetDescription,
+        prompt: templateId(template)
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        availableOils,
+        targetDescription
+      }
+    }
+  }
+
+  /**
+   * Comments on a user's own formula in a few sentences of prose
+   *
+   * @param {Object} blend - Formula: { oils: [{ oil, percentage, note }] }
+   * @param {string[]} findings - Issues found by the evaluator
+   * @param {Object} [options]
+   * @param {string} [options.description] - What the formula is meant to smell like
+   * @param {Function} [options.onToken] - Called with each streamed token
+   * @param {Object} [options.template] - "critique" prompt template
+   * @param {AbortSignal} [options.signal] - Stops the request on backends that support it
+   * @returns {Promise<Object>} - { success, commentary, model, stats } or { success: false, error }
+   */
+  async critiqueBlend(blend, findings, {
+    description = '',
+    onToken = () => {},
+    template = loadTemplate('critique'),
+    signal = null
+  } = {}) {
+    try {
+      this.logger.log('Generating blend critique...')
+      const { text, stats } = await this.runModel(this.createCritiquePrompt(blend, findings, description, template), onToken, {
+        type: 'critique', findings
+      }, signal)
+      const commentary = text.trim()
+      if (!commentary) {
+        return { success: false, error: 'Model returned an empty critique' }
+      }
+
+      return {
+        success: true,
+        commentary,
+        model: { ...this.backend.info(), prompt: templateId(template) },
+        stats
+      }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Adds or replaces oil records, e.g. catalog edits sent by the server to
+   * the long-lived worker after it loaded the catalog
+   *
+   * @param {Object} records - Oil records keyed by name (see oilSchema.js)
+   */
+  updateOils(records) {
+    this.oils = { ...this.oils, ...records }
+  }
+
+  /**
+   * Resolves oil names as typed (aliases, botanical names, typos) to catalog names
+   *
+   * @param {string[]} oilNames - Oil names as typed
+   * @returns {Object} - { available: [catalog names], unavailable: [inputs], resolved: [per-input results] }
+   */
+  validateOils(oilNames) {
+    return resolveOilNames(oilNames, this.oils)
+  }
+
+  async cleanup() {
+    await this.backend.unload()
+  }
+}
+
+module.exports = ScentBlender
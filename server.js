@@ -12,10 +12,25 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { spawn } = require('child_process');
+const BareWorker = require('./bareWorker');
+const LocalWorker = require('./localWorker');
+const { backendOptions } = require('./llmBackends');
+const BlendJobQueue = require('./blendJobs');
+const RefinementSessions = require('./refinementSessions');
+const PromptRegistry = require('./promptRegistry');
+const { templateId } = require('./promptTemplates');
 
 const app = express();
 const PORT = 3000;
+const JOB_CONCURRENCY = 1;   // Blend jobs running at once (the worker runs one inference at a time)
+const JOB_QUEUE_LIMIT = 50;  // Queued blend jobs accepted before new ones are refused
+const MAX_ALTERNATIVES = 5;  // Ranked alternatives one blend request may ask for ("count")
+const LLM_SAMPLES = 2;       // LLM runs sampled for alternatives; the optimizer supplies the rest
+const ENGINES = ['llm', 'optimizer', 'rules'];  // Blend engines; the LLM falls back to the optimizer
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;  // Refinement sessions are forgotten after 30 minutes without messages
+const MAX_TIMELINE_POINTS = 12;      // Points in time one evaporation timeline may ask for
+const MAX_TIMELINE_MINUTES = 2880;   // Latest point in time a timeline simulates (2 days)
+const DEFAULT_USER_ID = 'default';  // Owner of per-user data for requests without an X-User-Id header
 
 // ============================================================================
 // MIDDLEWARE SETUP
@@ -25,6 +40,27 @@ app.use(cors());                    // Enable cross-origin requests
 app.use(express.json());            // Parse JSON request bodies
 app.use(express.static('public'));  // Serve static files from public/
 
+// Per-user data (inventory, prices) is keyed by the X-User-Id header
+app.use('/api', (req, res, next) => {
+  const userId = (req.get('X-User-Id') || DEFAULT_USER_ID).trim();
+  if (!/^[\w.@-]{1,64}$/.test(userId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-User-Id must be 1-64 letters, digits or . @ _ -'
+    });
+  }
+  // Names of Object's own members would collide with the stores' user keys
+  if (userId in Object.prototype) {
+    return res.status(400).json({
+      success: false,
+      error: `X-User-Id "${userId}" is reserved`
+    });
+  }
+
+  req.userId = userId;
+  next();
+});
+
 // ============================================================================
 // SCENT EMBEDDINGS VISUALIZATION
 // ============================================================================
@@ -64,247 +100,708 @@ app.get('/api/embeddings/llm-data', async (req, res) => {
 // ============================================================================
 
 const essentialOils = require('./essentialOils.js');
+const OilCatalog = require('./oilCatalog');
+const OilInventory = require('./oilInventory');
+const PriceList = require('./priceList');
+const RecipeStore = require('./recipeStore');
+const { searchOils } = require('./oilSearch');
+const { resolveOilNames } = require('./oilNameResolver');
+const { NOTE_POSITIONS, validateBlend, normalizeOilName, formatBlendText } = require('./blendSchema');
+const { STRUCTURE_PRESETS, resolveStructure, notePositionsOf } = require('./blendStructures');
+const { PRODUCT_PRESETS, CARRIERS, resolveProduct, validateBlendOils, scaleBlend } = require('./blendDilution');
+const { USE_CASES, resolveUseCases, findContraindicatedOils, checkBlendSafety } = require('./blendSafety');
+const { calculateAllergens } = require('./blendAllergens');
+const { calculateBlendCost } = require('./blendCosting');
+const { refineBlend } = require('./blendRefinement');
+const { diffBlends } = require('./recipeVersions');
+const { NOTE_RATIONALES, enumerateBlends, countDistinctBlends, rankBlends } = require('./blendAlternatives');
+const { optimizeBlends } = require('./blendOptimizer');
+const { evaluateBlend } = require('./blendEvaluation');
+const { findSubstitutes, substituteOils, substituteBlend } = require('./oilSubstitutes');
+const { recommendPurchases } = require('./purchaseRecommender');
+const { simulateEvaporation, timelineChart } = require('./blendEvaporation');
 
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
+// Edits to the shared oil catalog, saved to data/oils.json
+const oilCatalog = new OilCatalog();
 
-/**
- * Cleans up tokenized text output from LLM streaming
- * Fixes common issues like broken words and spacing
- *
- * @param {string} text - Raw tokenized text from LLM
- * @returns {string} - Cleaned and properly formatted text
- */
-function cleanTokenizedText(text) {
-  let cleaned = text
-    // Fix common broken words from tokenization
-    .replace(/Frank\s*inc\s*ense/g, 'Frankincense')
-    .replace(/Cedar\s*wood/g, 'Cedarwood')
-    .replace(/RECOMMENDA\s*TION/g, 'RECOMMENDATION')
-    .replace(/SC\s*ENT/g, 'SCENT')
+// Bottles each user owns, saved to data/inventory.json
+const oilInventory = new OilInventory();
 
-    // Fix spacing around percentages and punctuation
-    .replace(/(\d+)\s+%/g, '$1%')
-    .replace(/:\s*(\d)/g, ': $1')
-    .replace(/\s*-\s*/g, ' - ')
+// What each user pays per ml of oil and carrier, saved to data/prices.json
+const priceList = new PriceList();
 
-    // Clean up line breaks and excessive whitespace
-    .replace(/\n\s*\n/g, '\n')
-    .replace(/\s+/g, ' ')
-    .trim();
+// Shared library of saved blends, saved to data/recipes.json
+const recipeStore = new RecipeStore();
 
-  return cleaned;
-}
+// Conversations refining a blend, kept in memory
+const refinementSessions = new RefinementSessions({ idleTimeout: SESSION_IDLE_TIMEOUT });
+
+// Versioned LLM prompt templates, read from prompts/
+const promptRegistry = new PromptRegistry();
+
+// ============================================================================
+// LLM WORKER
+// ============================================================================
+
+// The llama.cpp model runs in a long-lived Bare process that keeps it loaded
+// between requests; the mock and openai backends need no Bare runtime and run
+// in this process (LLM_BACKEND, see llmBackends.js)
+const llmBackend = backendOptions(process.env);
+const blendWorker = llmBackend.backend === 'llamacpp'
+  ? new BareWorker()
+  : new LocalWorker({ backend: llmBackend });
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
 
 /**
- * Creates a fallback blend when LLM is unavailable
- * Follows proper perfumery principles: 1 TOP, 1 MIDDLE, 1 BASE note
+ * Creates a rule-based blend (engine "rules", and the optimizer's last resort)
+ * Follows proper perfumery principles: fills each note slot of the
+ * structure (1 TOP, 1 MIDDLE, 1 BASE by default) with a matching oil
  *
  * @param {string[]} oils - Array of available oil names
  * @param {string} description - Target scent description
- * @returns {string} - Formatted blend recommendation
+ * @param {Object} [structure] - Resolved blend structure (see blendStructures.js)
+ * @param {Object} [options]
+ * @param {Object} [options.prices] - Oil prices ({ name: { pricePerMl } }); when given, cheaper oils win each slot
+ * @returns {Object} - Structured blend (see blendSchema.js)
  */
-function generateDemoBlend(oils, description) {
+function generateDemoBlend(oils, description, structure = resolveStructure().structure, { prices } = {}) {
   // ========================================================================
   // OIL CATEGORIZATION BY PERFUMERY NOTES
   // ========================================================================
 
   // TOP NOTES: Fresh, light oils that evaporate quickly (citrus, fresh herbs)
-  const topNotes = oils.filter(oil => {
-    const oilData = essentialOils[oil.toLowerCase()];
-    return oilData && (
-      oilData.category === 'citrus' ||
-      (oilData.category === 'herbal' && oilData.intensity === 'strong' && oilData.notes.includes('fresh'))
-    );
-  });
-
   // MIDDLE NOTES: Heart of the blend, lasting 2-4 hours (florals, resins, herbs)
-  const middleNotes = oils.filter(oil => {
-    const oilData = essentialOils[oil.toLowerCase()];
-    return oilData && (
-      oilData.category === 'floral' ||
-      oilData.category === 'resinous' ||
-      (oilData.category === 'herbal' && oilData.intensity === 'medium')
-    );
-  });
-
   // BASE NOTES: Foundation, lasting 6+ hours (woods, earth, heavy oils)
-  const baseNotes = oils.filter(oil => {
-    const oilData = essentialOils[oil.toLowerCase()];
-    return oilData && (
-      oilData.category === 'woody' ||
-      oilData.category === 'earthy' ||
-      oilData.intensity === 'heavy'
-    );
-  });
+  const notesOf = oil => (essentialOils[oil.toLowerCase()] ? notePositionsOf(essentialOils[oil.toLowerCase()]) : []);
+  const topNotes = oils.filter(oil => notesOf(oil).includes('TOP'));
+  const middleNotes = oils.filter(oil => notesOf(oil).includes('MIDDLE'));
+  const baseNotes = oils.filter(oil => notesOf(oil).includes('BASE'));
 
   // ========================================================================
-  // SMART OIL SELECTION: EXACTLY 1 FROM EACH CATEGORY
+  // SMART OIL SELECTION: ONE OIL PER STRUCTURE SLOT
   // ========================================================================
 
-  let topOil = topNotes.length > 0 ? topNotes[0] : null;
-  let middleOil = middleNotes.length > 0 ? middleNotes[0] : null;
-  let baseOil = baseNotes.length > 0 ? baseNotes[0] : null;
+  const noteBuckets = { TOP: topNotes, MIDDLE: middleNotes, BASE: baseNotes };
 
-  // Fill missing note types from remaining oils
-  const used = [topOil, middleOil, baseOil].filter(Boolean);
-  const remaining = oils.filter(oil => !used.includes(oil));
+  // Cheapest equivalent: try lower-cost oils first within each note (unpriced oils last)
+  if (prices) {
+    const priceOf = oil => (prices[oil.toLowerCase()] ? prices[oil.toLowerCase()].pricePerMl : Number.MAX_VALUE);
+    Object.values(noteBuckets).forEach(bucket => bucket.sort((a, b) => priceOf(a) - priceOf(b)));
+  }
+  const { slots } = structure;
+  const assigned = new Array(slots.length).fill(null);
+  const used = new Set();
 
-  if (!topOil && remaining.length > 0) topOil = remaining.shift();
-  if (!middleOil && remaining.length > 0) middleOil = remaining.shift();
-  if (!baseOil && remaining.length > 0) baseOil = remaining.shift();
+  // Most important slots (largest share) pick first
+  const slotOrder = slots.map((slot, index) => index)
+    .sort((a, b) => slots[b].target - slots[a].target);
+
+  slotOrder.forEach(index => {
+    const slot = slots[index];
+    const candidates = noteBuckets[slot.note].filter(oil => !used.has(oil));
+    const preferred = slot.categories
+      ? candidates.filter(oil => slot.categories.includes(essentialOils[oil.toLowerCase()].category))
+      : [];
+    const oil = preferred[0] || candidates[0];
+    if (oil) {
+      assigned[index] = oil;
+      used.add(oil);
+    }
+  });
+
+  // Fill missing note types from remaining oils
+  const remaining = oils.filter(oil => !used.has(oil));
+  slotOrder.forEach(index => {
+    if (!assigned[index] && remaining.length > 0) {
+      assigned[index] = remaining.shift();
+    }
+  });
 
   // ========================================================================
   // PROFESSIONAL BLEND CREATION
   // ========================================================================
 
-  const selectedOils = [
-    { oil: middleOil, note: 'MIDDLE', percentage: 50 },  // Heart of the blend
-    { oil: baseOil, note: 'BASE', percentage: 30 },     // Foundation
-    { oil: topOil, note: 'TOP', percentage: 20 }        // Opening impression
-  ].filter(item => item.oil !== null);
+  const selectedOils = slots
+    .map((slot, index) => ({ oil: assigned[index], note: slot.note, percentage: slot.target }))
+    .filter(item => item.oil !== null);
+
+  // Rescale when there are fewer oils than slots so the blend still totals 100%
+  const selectedTotal = selectedOils.reduce((sum, item) => sum + item.percentage, 0);
+  if (selectedTotal !== 100) {
+    let remainder = 100;
+    selectedOils.forEach((item, index) => {
+      item.percentage = index === selectedOils.length - 1
+        ? remainder
+        : Math.round(item.percentage * 100 / selectedTotal);
+      remainder -= item.percentage;
+    });
+  }
 
-  const noteReasons = {
-    'TOP': 'Light opening note that provides initial impression',
-    'MIDDLE': 'Heart of the blend providing main character',
-    'BASE': 'Foundation note that grounds and anchors the blend'
+  return {
+    oils: selectedOils.map(({ oil, note, percentage }) => ({
+      oil: oil.toLowerCase(),
+      percentage,
+      note,
+      rationale: NOTE_RATIONALES[note]
+    })),
+    scentProfile: `A professionally balanced ${selectedOils.length}-oil blend (${structure.name}) following perfumery principles with distinct top, middle, and base notes for "${description}".`
   };
+}
+
+/**
+ * Asks the persistent Bare worker for an LLM-powered blend recommendation.
+ * The worker validates the model output against the blend schema and
+ * re-prompts on failure; the blend is re-checked here before it is used.
+ *
+ * @param {Object} request - Validated blend request ({ oils, description, structure, prompt, refinement? })
+ * @param {Object} [options] - Streaming callbacks (onToken, onAttempt) and abort signal passed to the worker
+ * @returns {Promise<Object>} - Result object with success status, structured blend and stats
+ * @throws {Error} - AbortError when the signal is aborted
+ */
+async function generateBlendWithBare(request, options = {}) {
+  try {
+    // The worker loaded the catalog at startup; send the current records so edits apply
+    const catalog = {};
+    request.oils.forEach(oil => { catalog[oil] = essentialOils[oil]; });
 
-  const blendLines = selectedOils.map(({ oil, note, percentage }) =>
-    `- ${oil}: ${percentage}% - ${note} note - ${noteReasons[note]}`
-  ).join('\n');
+    // Refinements send the conversation so the model revises its previous blend
+    const conversation = request.refinement ? request.refinement.conversation : undefined;
+    const result = await blendWorker.blend({ ...request, catalog, conversation, template: request.prompt }, options);
 
-  return `BLEND RECOMMENDATION:
-${blendLines}
+    if (!result.success) {
+      console.error('LLM worker could not produce a blend:', result.error);
+      return {
+        success: false,
+        error: 'Failed to generate blend. Please ensure the LLM model is properly loaded.'
+      };
+    }
+
+    // The worker and server must agree on the schema
+    const validation = validateBlend(result.blend, request.oils, request.structure);
+    if (!validation.valid) {
+      console.error('LLM worker returned an invalid blend:', validation.errors.join('; '));
+      return {
+        success: false,
+        error: 'LLM returned an invalid blend'
+      };
+    }
 
-TOTAL: 100%
+    return {
+      success: true,
+      blend: validation.blend,
+      output: formatBlendText(validation.blend),
+      attempts: result.attempts,
+      model: result.model || null,
+      stats: result.stats || null
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
 
-SCENT PROFILE: A professionally balanced 3-oil blend following perfumery principles with distinct top, middle, and base notes for "${description}".`;
+    console.error('LLM worker request failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
 }
 
 /**
- * Calls the Bare runtime script to get LLM-powered blend recommendations
- * Handles streaming output and provides robust error handling
+ * Validates a blend request body shared by the blend endpoints
  *
- * @param {string[]} oils - Array of available oil names
- * @param {string} description - Target scent description
- * @returns {Promise<Object>} - Result object with success status and output
- */
-function generateBlendWithBare(oils, description) {
-  return new Promise((resolve) => {
-    const oilsString = oils.join(',');
-
-    // Spawn Bare runtime process
-    const bare = spawn('bare', ['scentBlenderBare.js', oilsString, description], {
-      cwd: __dirname,
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    // ======================================================================
-    // OUTPUT PROCESSING FOR STREAMING LLM RESPONSES
-    // ======================================================================
-
-    let stdout = '';
-    let stderr = '';
-    let blendRecommendation = '';
-    let inBlendSection = false;
-    let foundBlend = false;
-    let collectingTokens = false;
-
-    bare.stdout.on('data', (data) => {
-      const chunk = data.toString();
-      stdout += chunk;
-
-      // Detect and collect streaming tokens from LLM
-      if (chunk.includes('BLEND') || chunk.includes('RECOMMENDATION') || collectingTokens) {
-        collectingTokens = true;
-        foundBlend = true;
-
-        // Stop collecting when we see completion markers
-        if (chunk.includes('Inference stats:') || chunk.includes('SCRIPT_SUCCESSFUL') ||
-           (chunk.includes('Job ') && chunk.includes('completed'))) {
-          collectingTokens = false;
-        } else {
-          blendRecommendation += chunk;
-        }
-      }
-
-      // Fallback line-based parsing
-      const lines = chunk.split('\n');
-      for (const line of lines) {
-        if (line.includes('BLEND RECOMMENDATION:')) {
-          inBlendSection = true;
-          foundBlend = true;
-          if (!collectingTokens) {
-            blendRecommendation += line + '\n';
-          }
-        } else if (inBlendSection && !collectingTokens) {
-          if (line.includes('Inference stats:') || line.includes('SCRIPT_SUCCESSFUL') ||
-             (line.includes('Job ') && line.includes('completed'))) {
-            inBlendSection = false;
-          } else if (line.trim().length > 0) {
-            blendRecommendation += line + '\n';
-          }
-        }
-      }
+ * @param {Object} body - Parsed request body
+ * @param {string} userId - Requesting user, whose inventory supplies the oils when none are given
+ * @returns {Object} - { error } on invalid input, otherwise { oils, description, structure, product, useCases,
+ *                     resolvedOils, excludedOils, substitutions, userId, fromStock, consume, cheapest, count, engine,
+ *                     prompt } with prompt the "blend" template for the LLM (null for the other engines);
+ *                     status accompanies errors that aren't a plain 400
+ */
+function parseBlendRequest(body, userId) {
+  // A request without a JSON body is invalid, not a server error
+  body = body || {};
+  const { description } = body;
+  let { oils } = body;
+
+  const { structure, error: structureError } = resolveStructure(body.structure);
+  if (structureError) {
+    return { error: structureError };
+  }
+
+  // Optional finished product to scale the blend to (see blendDilution.js)
+  let product = null;
+  if (body.product !== undefined && body.product !== null) {
+    const resolved = resolveProduct(body.product);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    product = resolved.product;
+  }
+
+  // Without "oils", blend from whatever the user has in stock
+  const fromStock = oils === undefined || oils === null;
+  if (fromStock) {
+    oils = oilInventory.inStock(userId);
+    if (oils.length === 0) {
+      return { error: 'No oils given and none in stock: pass "oils" or add bottles to your inventory' };
+    }
+  }
+
+  if (!Array.isArray(oils) || oils.length === 0) {
+    return { error: 'Please provide at least one oil' };
+  }
+
+  // Deducting from stock needs the volumes of a finished product
+  const consume = body.consume === true;
+  if (consume && !product) {
+    return { error: '"consume" needs a "product" so the volume of each oil is known' };
+  }
+
+  // Ranked alternatives to choose between instead of a single blend
+  const count = body.count === undefined || body.count === null ? 1 : Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_ALTERNATIVES) {
+    return { error: `count must be a whole number from 1 to ${MAX_ALTERNATIVES}` };
+  }
+  if (consume && count > 1) {
+    return { error: '"consume" needs a single blend: deduct the alternative you choose with POST /api/inventory/consume' };
+  }
+
+  if (typeof description !== 'string' || description.trim().length === 0) {
+    return { error: 'Please provide a scent description' };
+  }
+
+  const { useCases, error: useCaseError } = resolveUseCases(body.useCases, product);
+  if (useCaseError) {
+    return { error: useCaseError };
+  }
+
+  // Resolve names as typed (aliases, botanical names, typos) against our database
+  const { resolved: resolvedOils, available: namedOils } = resolveOilNames(oils, essentialOils);
+  if (namedOils.length === 0) {
+    const hints = resolvedOils
+      .filter(item => item.suggestions && item.suggestions.length > 0)
+      .map(item => `"${item.input}" (did you mean ${item.suggestions.join(', ')}?)`);
+    return { error: `No valid oils provided${hints.length > 0 ? `: ${hints.join(', ')}` : ''}` };
+  }
+
+  // Swap oils the user doesn't have for the closest safe oil they do
+  const substitute = body.substitute === true;
+  let validOils = namedOils;
+  let substitutions = null;
+  if (substitute) {
+    if (fromStock) {
+      return { error: '"substitute" replaces listed oils you don\'t have; pass "oils"' };
+    }
+    const stock = oilInventory.inStock(userId);
+    if (stock.length === 0) {
+      return { error: '"substitute" needs bottles in your inventory (see POST /api/inventory)' };
+    }
+    const unsafe = findContraindicatedOils(stock, useCases).map(item => item.oil);
+    ({ oils: validOils, substitutions } = substituteOils(namedOils, stock.filter(oil => !unsafe.includes(oil)), {
+      catalog: essentialOils
+    }));
+    if (validOils.length === 0) {
+      return { error: 'None of the provided oils are in stock or have a substitute in stock' };
+    }
+  }
+
+  // Leave out oils contraindicated for the use cases so neither generator picks them
+  const excludedOils = findContraindicatedOils(validOils, useCases);
+  const safeOils = validOils.filter(oil => !excludedOils.some(item => item.oil === oil));
+  if (safeOils.length === 0) {
+    return { error: `None of the provided oils are safe for: ${useCases.map(id => USE_CASES[id].name).join(', ')}` };
+  }
+
+  // Cheapest equivalent needs the rule-based generator, which can weigh the user's prices
+  const cheapest = body.cheapest === true;
+  const engine = body.engine === undefined || body.engine === null ? (cheapest ? 'rules' : 'llm') : body.engine;
+  if (!ENGINES.includes(engine)) {
+    return { error: `Unknown engine "${engine}". Available engines: ${ENGINES.join(', ')}` };
+  }
+  if (cheapest && engine !== 'rules') {
+    return { error: '"cheapest" uses the rules engine' };
+  }
+
+  // Prompt template version, e.g. to compare a reworded prompt against the default
+  let prompt = null;
+  if (engine === 'llm') {
+    const resolved = promptRegistry.resolve('blend', body.prompt);
+    if (resolved.error) {
+      return { error: resolved.error, status: resolved.status };
+    }
+    prompt = resolved.template;
+  } else if (body.prompt !== undefined && body.prompt !== null) {
+    return { error: '"prompt" selects an LLM prompt template; it needs the llm engine' };
+  }
+
+  return {
+    oils: safeOils, description, structure, product, useCases, resolvedOils, excludedOils, substitutions,
+    userId, fromStock, consume, cheapest, count, engine, prompt
+  };
+}
+
+/**
+ * Reads the optional product and concentration of the blend report endpoints.
+ * An explicit concentration overrides the product's.
+ *
+ * @param {Object} body - Parsed request body
+ * @returns {Object} - { error } on invalid input, otherwise { product, concentration } (either may be null)
+ */
+function parseProductOptions(body) {
+  const { product: productInput, concentration: concentrationInput } = body || {};
+
+  let product = null;
+  if (productInput !== undefined && productInput !== null) {
+    const resolved = resolveProduct(productInput);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    product = resolved.product;
+  }
+
+  let concentration = product ? product.concentration : null;
+  if (concentrationInput !== undefined && concentrationInput !== null) {
+    concentration = Number(concentrationInput);
+    if (!isFinite(concentration) || concentration <= 0 || concentration > 100) {
+      return { error: 'concentration must be a number between 0 and 100' };
+    }
+  }
+
+  return { product, concentration };
+}
+
+/**
+ * Checks a blend against the user's inventory and, when the request asks for
+ * it, deducts the oil used. Only safe blends are deducted.
+ *
+ * @param {Object} payload - Blend payload with blend, success and (with a product) formulation
+ * @param {Object} request - Validated blend request from parseBlendRequest
+ * @returns {Object} - { fromStock, canMake, shortages, lowStock, consumed } plus error if nothing could be deducted
+ */
+function reportInventory(payload, request) {
+  const { userId, fromStock, consume } = request;
+
+  // Without a product only the presence of each oil can be checked
+  const requirements = payload.formulation
+    ? payload.formulation.oils.map(({ oil, ml }) => ({ oil, ml }))
+    : payload.blend.oils.map(({ oil }) => ({ oil, ml: null }));
+
+  if (!consume || !payload.success) {
+    return { fromStock, ...oilInventory.check(userId, requirements), consumed: null };
+  }
+
+  const { consumed = null, error, status, ...check } = oilInventory.consume(userId, requirements);
+  return { fromStock, ...check, consumed, ...(error ? { error } : {}) };
+}
+
+/**
+ * Adds the product formulation, safety, allergen and inventory reports to a blend payload.
+ * Blends that are unsafe for the requested use cases are marked as failed.
+ *
+ * @param {Object} payload - Blend payload built by createBlend
+ * @param {Object} request - Validated blend request from parseBlendRequest
+ * @returns {Object} - Payload with formulation and cost (if a product was requested), resolvedOils, excludedOils,
+ *                     substitutions (if asked for), safety, allergens, timeline and inventory (if the user has one or asked to consume)
+ */
+function addBlendReports(payload, request) {
+  const { product, useCases, resolvedOils, excludedOils, substitutions } = request;
+  const safety = checkBlendSafety(payload.blend, {
+    useCases,
+    concentration: product ? product.concentration : null
+  });
+
+  const formulation = product ? scaleBlend(payload.blend, product) : null;
+  // Cost of goods once the user has recorded prices (see GET /api/prices)
+  const priced = formulation && priceList.has(request.userId);
+
+  const reports = {
+    ...payload,
+    ...(formulation ? { formulation } : {}),
+    ...(priced ? { cost: calculateBlendCost(formulation, priceList.get(request.userId)) } : {}),
+    resolvedOils,
+    excludedOils,
+    ...(substitutions ? { substitutions } : {}),
+    safety,
+    // Without a product the allergens are given for the neat oil blend
+    allergens: calculateAllergens(payload.blend, { concentration: product ? product.concentration : 100 }),
+    timeline: simulateEvaporation(payload.blend, { catalog: essentialOils })
+  };
+
+  if (!safety.safe) {
+    const reasons = safety.warnings.filter(warning => warning.severity === 'block').map(warning => warning.message);
+    console.log(`Blocking unsafe blend: ${reasons.join('; ')}`);
+    reports.success = false;
+    reports.error = `Blend is not safe for the requested use: ${reasons.join('; ')}`;
+  }
+
+  if (request.consume || oilInventory.stock(request.userId).length > 0) {
+    reports.inventory = reportInventory(reports, request);
+  }
+
+  return reports;
+}
+
+/**
+ * Generates a blend without the model: the optimizer, or the rule-based
+ * generator for engine "rules" (and when the optimizer finds nothing within
+ * the constraints)
+ *
+ * @param {Object} request - Validated blend request from parseBlendRequest
+ * @returns {Object} - { engine, blend, optimizer? } where optimizer is { target, fit }
+ */
+function generateWithoutModel(request) {
+  const { oils, description, structure, product, useCases, engine, cheapest, userId } = request;
+
+  if (engine !== 'rules') {
+    const { target, blends: [best] } = optimizeBlends(oils, description, structure, {
+      catalog: essentialOils,
+      useCases,
+      concentration: product ? product.concentration : null
+    });
+    if (best) {
+      return { engine: 'optimizer', blend: best.blend, optimizer: { target, fit: best.fit } };
+    }
+    console.log('Optimizer found no blend within the constraints, using the rule-based generator');
+  }
+
+  return {
+    engine: 'rules',
+    blend: generateDemoBlend(oils, description, structure, cheapest ? { prices: priceList.get(userId).oils } : {})
+  };
+}
+
+/**
+ * Generates a blend with the requested engine. The LLM (the default) falls
+ * back to the optimizer; aborted requests reject instead of falling back.
+ *
+ * With request.refinement ({ blend, message, conversation }) the previous
+ * blend is revised instead: the model gets the conversation so far, and the
+ * fallback applies the message as nudges (see blendRefinement.js).
+ *
+ * @param {Object} request - Validated blend request from parseBlendRequest
+ * @param {Object} [options] - Streaming callbacks (onToken, onAttempt) and abort signal passed to the worker
+ * @returns {Promise<Object>} - Response payload for the blend endpoints
+ */
+async function createBlend(request, options = {}) {
+  const { oils, description, structure, engine, refinement } = request;
+  console.log(refinement
+    ? `Refining ${structure.id} blend for "${description}": "${refinement.message}"`
+    : `Generating ${structure.id} blend (${engine}) for: ${oils.join(', ')} - "${description}"`);
+
+  if (request.count > 1 && !refinement) {
+    return createBlendAlternatives(request, options);
+  }
+
+  const result = engine === 'llm'
+    ? await generateBlendWithBare(request, options)
+    : { success: false };
+
+  if (result.success) {
+    return addBlendReports({
+      success: true,
+      blend: result.blend,
+      recommendation: result.output,
+      availableOils: oils,
+      targetDescription: description,
+      structure,
+      engine: 'llm',
+      stats: result.stats,
+      attempts: result.attempts,
+      model: result.model
+    }, request);
+  }
+
+  if (engine === 'llm') {
+    console.log('LLM failed, falling back to the optimizer');
+  }
+  if (refinement) {
+    const { blend, applied, ignored } = refineBlend(refinement.blend, refinement.message, {
+      oils, structure, catalog: essentialOils
     });
+    return addBlendReports({
+      success: true,
+      blend,
+      recommendation: formatBlendText(blend),
+      availableOils: oils,
+      targetDescription: description,
+      structure,
+      engine: 'rules',
+      refinement: { applied, ignored },
+      stats: null,
+      model: null,
+      fallback: true
+    }, request);
+  }
+
+  const generated = generateWithoutModel(request);
+  return addBlendReports({
+    success: true,
+    blend: generated.blend,
+    recommendation: formatBlendText(generated.blend),
+    availableOils: oils,
+    targetDescription: description,
+    structure,
+    engine: generated.engine,
+    ...(generated.optimizer ? { optimizer: generated.optimizer } : {}),
+    stats: null,
+    model: null,
+    fallback: true
+  }, request);
+}
+
+/**
+ * Generates ranked alternatives for a request with count > 1. Candidates
+ * come from up to LLM_SAMPLES sampled LLM runs and the optimizer's best
+ * blends, or for engine "rules" (and when those give fewer than count
+ * different blends) from every arrangement of the oils the rule-based
+ * generator allows; the best-scoring distinct ones are kept (see
+ * blendAlternatives.js). The top alternative fills the usual payload fields
+ * and reports.
+ *
+ * @param {Object} request - Validated blend request from parseBlendRequest
+ * @param {Object} [options] - Streaming callbacks (onToken, onAttempt) and abort signal passed to the worker
+ * @returns {Promise<Object>} - Response payload for the blend endpoints, with alternatives
+ */
+async function createBlendAlternatives(request, options = {}) {
+  const { oils, description, structure, product, useCases, engine, cheapest, userId, count } = request;
+  const concentration = product ? product.concentration : null;
+  const candidates = [];
+
+  // Each sampled run may give a different blend; stop at the first failure
+  if (engine === 'llm') {
+    for (let sample = 0; sample < Math.min(count, LLM_SAMPLES); sample++) {
+      const result = await generateBlendWithBare(request, options);
+      if (!result.success) break;
+      candidates.push({ source: 'llm', blend: result.blend, model: result.model, stats: result.stats, attempts: result.attempts });
+    }
+    if (candidates.length === 0) {
+      console.log('LLM failed, ranking optimizer alternatives');
+    }
+  }
 
-    bare.stderr.on('data', (data) => {
-      stderr += data.toString();
+  // A few times as many optimized blends as wanted, so the diversity filter has a choice
+  let target = null;
+  if (engine !== 'rules') {
+    const optimized = optimizeBlends(oils, description, structure, {
+      catalog: essentialOils, useCases, concentration, limit: count * 5
     });
+    target = optimized.target;
+    optimized.blends.forEach(({ blend, fit }) => candidates.push({ source: 'optimizer', blend, fit }));
+  }
 
-    // ======================================================================
-    // PROCESS COMPLETION HANDLING
-    // ======================================================================
+  // The rule-based generator's own pick, then every other arrangement of the oils. The
+  // optimizer skips clashing pairs, so it may find fewer different blends than wanted.
+  if (engine === 'rules' || countDistinctBlends(candidates) < count) {
+    const prices = cheapest ? priceList.get(userId).oils : undefined;
+    [generateDemoBlend(oils, description, structure, { prices }), ...enumerateBlends(oils, structure, essentialOils, { description })]
+      .forEach(blend => candidates.push({ source: 'rules', blend }));
+  }
 
-    bare.on('close', (code) => {
-      if (code === 0 || foundBlend) {
-        // Extract performance stats if available
-        const statsMatch = stdout.match(/Inference stats: ({.+})/);
-        const stats = statsMatch ? JSON.parse(statsMatch[1]) : null;
+  // Only offer alternatives that are safe for the requested use
+  const safe = candidates.filter(candidate => checkBlendSafety(candidate.blend, { useCases, concentration }).safe);
+  const ranked = rankBlends(safe.length > 0 ? safe : candidates, { count, description, structure, oils, catalog: essentialOils });
 
-        let finalOutput = blendRecommendation.trim() || stdout;
+  const priced = product && priceList.has(userId);
+  const alternatives = ranked.map(({ rank, source, blend, score }) => ({
+    rank,
+    source,
+    blend,
+    recommendation: formatBlendText(blend),
+    score,
+    ...(priced ? { cost: calculateBlendCost(scaleBlend(blend, product), priceList.get(userId)) } : {})
+  }));
 
-        // Clean up tokenized text if needed
-        if (finalOutput && collectingTokens) {
-          finalOutput = cleanTokenizedText(finalOutput);
-        }
+  const [best] = ranked;
+  return addBlendReports({
+    success: true,
+    blend: best.blend,
+    recommendation: formatBlendText(best.blend),
+    availableOils: oils,
+    targetDescription: description,
+    structure,
+    engine: best.source,
+    ...(best.source === 'optimizer' ? { optimizer: { target, fit: best.fit } } : {}),
+    alternatives,
+    stats: best.stats || null,
+    ...(best.attempts ? { attempts: best.attempts } : {}),
+    model: best.model || null,
+    ...(best.source !== 'llm' ? { fallback: true } : {})
+  }, request);
+}
 
-        resolve({
-          success: true,
-          output: finalOutput,
-          stats: stats
-        });
-      } else {
-        console.error('Bare script failed with code:', code);
-        console.error('stderr:', stderr);
-        resolve({
-          success: false,
-          error: 'Failed to generate blend. Please ensure the LLM model is properly loaded.'
-        });
-      }
-    });
-
-    bare.on('error', (error) => {
-      console.error('Failed to start bare script:', error);
-      resolve({
-        success: false,
-        error: 'Failed to start LLM process'
+// Background blend jobs for clients that poll instead of waiting on one request
+const blendJobs = new BlendJobQueue({
+  concurrency: JOB_CONCURRENCY,
+  maxQueued: JOB_QUEUE_LIMIT,
+  runner: async (request, { signal, onProgress }) => {
+    const onLoad = progress => onProgress({ stage: 'loading-model', loadProgress: progress });
+    blendWorker.on('progress', onLoad);
+
+    let tokens = 0;
+    try {
+      return await createBlend(request, {
+        signal,
+        onToken: () => onProgress({ stage: 'generating', tokens: ++tokens }),
+        onAttempt: attempt => onProgress({ stage: 'generating', attempt })
       });
-    });
+    } finally {
+      blendWorker.off('progress', onLoad);
+    }
+  }
+});
+
+/**
+ * Ties inference to the lifetime of an HTTP request. The returned signal
+ * aborts when the client disconnects before the response has been sent,
+ * which cancels the worker request (killing the worker if it is running it).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {AbortSignal} - Signal to pass to createBlend
+ */
+function abortOnDisconnect(req, res) {
+  const controller = new AbortController();
 
-    // Set timeout for long-running LLM processes
-    setTimeout(() => {
-      if (!bare.killed) {
-        bare.kill('SIGTERM');
-        resolve({
-          success: false,
-          error: 'Request timed out. The LLM model may be loading or processing. Please try again.'
-        });
-      }
-    }, 600000); // 10 minute timeout
+  // 'close' fires on every exit path; only an unfinished response means the client left
+  res.once('close', () => {
+    if (!res.writableFinished) {
+      console.log(`Client disconnected from ${req.method} ${req.originalUrl}, aborting inference`);
+      controller.abort();
+    }
   });
+
+  return controller.signal;
+}
+
+/**
+ * Writes one Server-Sent Event
+ *
+ * @param {Object} res - Express response with SSE headers already sent
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Sends the result of a store operation (oil catalog, inventory, price list, recipes)
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Result object (e.g. { recipe }) or { error, status } from the stores
+ * @param {number} [successStatus=200] - Status for a successful result
+ */
+function sendStoreResult(res, result, successStatus = 200) {
+  if (result.error) {
+    return res.status(result.status).json({
+      success: false,
+      error: result.error
+    });
+  }
+
+  res.status(successStatus).json({ success: true, ...result });
 }
 
 // ============================================================================
@@ -317,76 +814,83 @@ function generateBlendWithBare(oils, description) {
  *
  * Request body:
  * {
- *   "oils": ["oil1", "oil2", "oil3"],     // Array of available oil names
- *   "description": "relaxing evening blend"  // Target scent description
+ *   "oils": ["oil1", "oil2", "oil3"],     // Oil names; aliases, botanical names and typos are resolved.
+ *                                         // Optional: defaults to the oils in the user's inventory
+ *   "description": "relaxing evening blend",  // Target scent description
+ *   "structure": "classic",  // Optional preset id (see GET /api/structures) or custom
+ *                            // slots: [{"note": "TOP", "min": 10, "max": 20}, ...]
+ *   "product": "roller-2",   // Optional product to scale to (see GET /api/products)
+ *   "useCases": ["pregnancy"],  // Optional safety use cases (see GET /api/safety/use-cases)
+ *   "consume": true,    // Optional: deduct the oil used from the inventory (needs "product")
+ *   "engine": "optimizer",  // Optional: "llm" (default, falls back to the optimizer), "optimizer" or "rules"
+ *   "cheapest": true,   // Optional: rule-based blend preferring the user's lower-cost oils in each note
+ *   "count": 3,         // Optional: up to 5 ranked, distinct alternatives (default 1)
+ *   "substitute": true, // Optional: replace listed oils you don't have with the closest oil in your inventory
+ *   "prompt": "blend@v2"  // Optional: LLM prompt template version (see GET /api/prompts), default in prompts/defaults.json
  * }
  *
+ * The X-User-Id header selects whose inventory and prices are used (see GET /api/inventory, GET /api/prices).
+ *
+ * Oils contraindicated for a use case are left out before generating. A blend
+ * that is still unsafe (e.g. above a dermal limit for the product) is answered
+ * with 422 and success: false, together with the safety report.
+ *
  * Response:
  * {
  *   "success": true,
- *   "recommendation": "BLEND RECOMMENDATION:...",
+ *   "blend": {
+ *     "oils": [{"oil": "oil1", "percentage": 20, "note": "TOP", "rationale": "..."}],
+ *     "scentProfile": "..."
+ *   },
+ *   "recommendation": "BLEND RECOMMENDATION:...",  // blend rendered as text
  *   "availableOils": ["oil1", "oil2", "oil3"],
  *   "targetDescription": "relaxing evening blend",
+ *   "structure": {"id": "classic", "name": "Classic pyramid", "slots": [...]},
+ *   "formulation": {...},  // only with "product", see POST /api/blend/scale
+ *   "cost": {...},         // only with "product" once the user has prices, see POST /api/blend/cost
+ *   "resolvedOils": [{"input": "Ylang Ylang", "oil": "ylang-ylang", "match": "exact", "confidence": 1},
+ *                    {"input": "lavendar", "oil": "lavender", "match": "fuzzy", "confidence": 0.88}],
+ *   "excludedOils": [{"oil": "clary-sage", "reasons": ["pregnancy"]}],
+ *   "substitutions": [{"oil": "jasmine", "substitute": "ylang-ylang", "score": 0.55, "intensityFactor": 1}],  // only with "substitute";
+ *                       // substitute null when nothing in stock could replace the oil
+ *   "safety": {...},       // see POST /api/blend/safety
+ *   "allergens": {...},    // at the product concentration (neat blend without a product), see POST /api/blend/allergens
+ *   "timeline": {...},     // how the scent changes as it dries down, see POST /api/blend/timeline
+ *   "inventory": {         // only when the user has an inventory or asked to consume
+ *     "fromStock": true, "canMake": true, "shortages": [], "lowStock": [{"oil": "rose", "remainingMl": 0.8}],
+ *     "consumed": [{"oil": "lavender", "ml": 0.1, "bottles": [{"id": "...", "ml": 0.1}]}]  // null unless consumed
+ *   },
  *   "stats": {"TTFT": 123, "TPS": 4.5},
- *   "fallback": false  // true if demo mode was used
+ *   "engine": "llm",    // engine that made the blend: llm, optimizer or rules
+ *   "optimizer": {"target": {"warm": 0.5, "woody": 0.5}, "fit": 0.82},  // only from the optimizer: description
+ *                       // as descriptor weights, and the blend's similarity to it (0-1)
+ *   "model": {"backend": "llamacpp", "name": "medgemma-4b-it-Q4_1.gguf", "config": {"temp": "0.7", ...},
+ *             "prompt": "blend@v1"},  // null on fallback; backend as set by LLM_BACKEND
+ *   "fallback": false,  // true if the blend is not from the LLM
+ *   "alternatives": [   // only with "count" above 1; the first one is also "blend" above
+ *     {"rank": 1, "source": "llm|rules", "blend": {...}, "recommendation": "...",
+ *      "score": {"description": 0.73, "balance": 1, "compatibility": 0.8, "total": 0.83},
+ *      "cost": {...}}   // only with "product" once the user has prices
+ *   ]
  * }
  */
 app.post('/api/blend', async (req, res) => {
   try {
-    const { oils, description } = req.body;
-
-    // Input validation
-    if (!oils || !Array.isArray(oils) || oils.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide at least one oil'
-      });
-    }
-
-    if (!description || description.trim().length === 0) {
-      return res.status(400).json({
+    const request = parseBlendRequest(req.body, req.userId);
+    if (request.error) {
+      return res.status(request.status || 400).json({
         success: false,
-        error: 'Please provide a scent description'
+        error: request.error
       });
     }
 
-    // Filter valid oils using our database
-    const validOils = oils.filter(oil => essentialOils[oil.toLowerCase()]);
-    if (validOils.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No valid oils provided'
-      });
-    }
-
-    console.log(`Generating blend for: ${validOils.join(', ')} - "${description}"`);
-
-    // Try LLM first, fallback to demo if it fails
-    const result = await generateBlendWithBare(validOils, description);
-
-    if (result.success) {
-      res.json({
-        success: true,
-        recommendation: result.output,
-        availableOils: validOils,
-        targetDescription: description,
-        stats: result.stats
-      });
-    } else {
-      // Fallback to intelligent demo mode
-      console.log('LLM failed, using demo mode as fallback');
-      const demoResult = generateDemoBlend(validOils, description);
-      res.json({
-        success: true,
-        recommendation: demoResult,
-        availableOils: validOils,
-        targetDescription: description,
-        stats: null,
-        fallback: true
-      });
-    }
+    const signal = abortOnDisconnect(req, res);
+    const payload = await createBlend(request, { signal });
+    res.status(payload.success ? 200 : 422).json(payload);
 
   } catch (error) {
+    if (error.name === 'AbortError') return;  // Client is gone; nothing to send
+
     console.error('Error in /api/blend:', error);
     res.status(500).json({
       success: false,
@@ -396,27 +900,1430 @@ app.post('/api/blend', async (req, res) => {
 });
 
 /**
- * GET /api/health
- * Health check endpoint for monitoring server status
+ * POST /api/blend/stream
+ * Streaming variant of /api/blend using Server-Sent Events.
+ * Takes the same request body; invalid input still gets a 400 JSON response.
+ *
+ * Events, in order:
+ *   status   {"state": "starting", "loadProgress": 0}   - LLM worker state on connect
+ *   progress {"progress": 42}                           - model loading progress (%)
+ *   attempt  {"attempt": 2, "errors": ["..."]}          - model (re)prompted after invalid output
+ *   token    {"token": "..."}                           - streamed LLM token
+ *   result   {...same payload as /api/blend...}         - final structured blend
+ *   stats    {"TTFT": 123, "TPS": 4.5}                  - inference stats (omitted on fallback)
+ *   error    {"error": "..."}                           - unexpected failure
+ *   done     {}
  */
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+app.post('/api/blend/stream', async (req, res) => {
+  const request = parseBlendRequest(req.body, req.userId);
+  if (request.error) {
+    return res.status(request.status || 400).json({
+      success: false,
+      error: request.error
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'  // Disable proxy buffering (nginx)
   });
+  res.flushHeaders();
+
+  const signal = abortOnDisconnect(req, res);
+
+  const { state, loadProgress } = blendWorker.status();
+  sendEvent(res, 'status', { state, loadProgress });
+
+  const onProgress = progress => sendEvent(res, 'progress', { progress });
+  blendWorker.on('progress', onProgress);
+
+  try {
+    const payload = await createBlend(request, {
+      signal,
+      onToken: token => sendEvent(res, 'token', { token }),
+      onAttempt: (attempt, errors) => sendEvent(res, 'attempt', { attempt, errors })
+    });
+
+    sendEvent(res, 'result', payload);
+    if (payload.stats) {
+      sendEvent(res, 'stats', payload.stats);
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error in /api/blend/stream:', error);
+      sendEvent(res, 'error', { error: 'Internal server error' });
+    }
+  } finally {
+    blendWorker.off('progress', onProgress);
+    sendEvent(res, 'done', {});
+    res.end();
+  }
 });
 
 /**
- * GET /api/oils
- * Returns the complete essential oils database
+ * POST /api/blend/scale
+ * Scales an existing blend to a finished product (drops, ml and grams)
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "lavender", "percentage": 50}, ...]},
+ *   "product": "edp",  // preset id, or {"id": "edp", "volumeMl": 50, "concentration": 20}
+ *   "useCases": []     // Optional extra safety use cases; the product's own is always checked
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "formulation": {
+ *     "product": {"id": "edp", "volumeMl": 30, "concentration": 18, "carrier": {...}, ...},
+ *     "oils": [{"oil": "lavender", "percentage": 50, "productPercentage": 9, "drops": 54, "exactDrops": 54, "ml": 2.7, "grams": 2.39}, ...],
+ *     "essentialOils": {"drops": 104, "ml": 5.4, "grams": 4.906},
+ *     "carrier": {"name": "Perfumer's alcohol", "ml": 24.6, "grams": 19.434},
+ *     "total": {"ml": 30, "grams": 24.34}
+ *   },
+ *   "safety": {...}  // see POST /api/blend/safety; 422 with success: false when unsafe
+ * }
  */
-app.get('/api/oils', (req, res) => {
-  res.json(essentialOils);
-});
+app.post('/api/blend/scale', (req, res) => {
+  const { blend, product: productInput, useCases: useCaseInput } = req.body || {};
 
-/**
- * GET /
+  const errors = validateBlendOils(blend);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const { product, error } = resolveProduct(productInput);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const { useCases, error: useCaseError } = resolveUseCases(useCaseInput, product);
+  if (useCaseError) {
+    return res.status(400).json({
+      success: false,
+      error: useCaseError
+    });
+  }
+
+  const safety = checkBlendSafety(blend, { useCases, concentration: product.concentration });
+  res.status(safety.safe ? 200 : 422).json({
+    success: safety.safe,
+    ...(safety.safe ? {} : { error: 'Blend is not safe for this product' }),
+    formulation: scaleBlend(blend, product),
+    safety
+  });
+});
+
+/**
+ * POST /api/blend/safety
+ * Checks a blend against oil safety data for the given use cases
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "bergamot", "percentage": 30}, ...]},
+ *   "useCases": ["topical", "pregnancy"],  // see GET /api/safety/use-cases
+ *   "product": "roller-2",                 // optional; sets concentration and use case
+ *   "concentration": 2                     // optional essential oil % in the product
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "safety": {
+ *     "safe": false,
+ *     "useCases": ["topical", "pregnancy"],
+ *     "concentration": 2,
+ *     "maxSafeConcentration": 1.33,  // highest concentration within all dermal limits
+ *     "warnings": [
+ *       {"oil": "bergamot", "code": "phototoxic", "severity": "block", "message": "...", "limit": 0.4, "actual": 0.6}
+ *     ]
+ *   }
+ * }
+ */
+app.post('/api/blend/safety', (req, res) => {
+  const { blend, useCases: useCaseInput } = req.body || {};
+
+  const errors = validateBlendOils(blend);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const { product, concentration, error: productError } = parseProductOptions(req.body);
+  if (productError) {
+    return res.status(400).json({
+      success: false,
+      error: productError
+    });
+  }
+
+  const { useCases, error } = resolveUseCases(useCaseInput, product);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true,
+    safety: checkBlendSafety(blend, { useCases, concentration })
+  });
+});
+
+/**
+ * POST /api/blend/evaluate
+ * Critiques a formula you wrote yourself: note positions (inferred when not
+ * given), pyramid balance against a structure, oils that overpower the rest
+ * for their share, pair compatibility and similarity, and safety
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "peppermint", "percentage": 30, "note": "TOP"}, ...]},  // note optional
+ *   "structure": "classic",          // optional, see GET /api/structures
+ *   "description": "fresh and calm", // optional; scores how well the formula fits it
+ *   "product": "roller-2",           // optional; sets concentration and use case
+ *   "concentration": 2,              // optional essential oil % in the product
+ *   "useCases": ["topical"],         // optional, see GET /api/safety/use-cases
+ *   "commentary": true,              // optional prose critique from the LLM
+ *   "prompt": "critique@v2"          // optional prompt template version for the commentary (see GET /api/prompts)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "evaluation": {
+ *     "oils": [{"oil": "peppermint", "percentage": 30, "note": "TOP", "inferred": false, "usualNotes": ["TOP"], "intensity": "strong"}, ...],
+ *     "pyramid": {"structure": "classic", "notes": [{"note": "TOP", "actual": 30, "target": 30, "delta": 0}, ...], "errors": []},
+ *     "dominance": [{"oil": "peppermint", "percentage": 30, "intensity": "strong", "perceivedShare": 46.2}, ...],
+ *     "pairs": [{"oils": ["peppermint", "lavender"], "compatibility": 0.93, "similarity": {"descriptors": 0.12, "llm": null}}, ...],
+ *     "score": {"description": 0.5, "balance": 0.95, "compatibility": 0.8, "total": 0.74},
+ *     "safety": {...},  // see POST /api/blend/safety
+ *     "issues": [{"severity": "warning", "code": "dominance", "oil": "peppermint", "message": "..."}]
+ *   },
+ *   "commentary": "...",  // with "commentary": true; null if the LLM is unavailable
+ *   "commentaryPrompt": "critique@v1",  // with "commentary": true; template the commentary was asked with
+ *   "commentaryError": "..."  // only when the commentary failed
+ * }
+ *
+ * Issue codes: pyramid, dominance and clash (warnings); note-position and redundant (info)
+ */
+app.post('/api/blend/evaluate', async (req, res) => {
+  try {
+    const { blend, description = '', useCases: useCaseInput, commentary: wantsCommentary } = req.body || {};
+
+    const errors = validateBlendOils(blend);
+    if (errors.length === 0) {
+      const seen = new Set();
+      blend.oils.forEach((entry, index) => {
+        const oil = normalizeOilName(entry.oil);
+        if (seen.has(oil)) {
+          errors.push(`oils[${index}].oil "${oil}" is used more than once`);
+        }
+        seen.add(oil);
+        if (entry.note !== undefined && !NOTE_POSITIONS.includes(String(entry.note).trim().toUpperCase())) {
+          errors.push(`oils[${index}].note must be one of ${NOTE_POSITIONS.join(', ')}`);
+        }
+      });
+    }
+    if (typeof description !== 'string') {
+      errors.push('description must be a string');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+
+    const { structure, error: structureError } = resolveStructure(req.body.structure);
+    const { product, concentration, error: productError } = parseProductOptions(req.body);
+    const { useCases, error: useCaseError } = resolveUseCases(useCaseInput, product);
+    const error = structureError || productError || useCaseError;
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const formula = {
+      oils: blend.oils.map(({ oil, percentage, note }) => ({
+        oil: normalizeOilName(oil),
+        percentage,
+        ...(note !== undefined ? { note: String(note).trim().toUpperCase() } : {})
+      }))
+    };
+    const evaluation = evaluateBlend(formula, {
+      structure, description: description.trim(), useCases, concentration, catalog: essentialOils
+    });
+
+    if (!wantsCommentary) {
+      return res.json({ success: true, evaluation });
+    }
+
+    const prompt = promptRegistry.resolve('critique', req.body.prompt);
+    if (prompt.error) {
+      return res.status(prompt.status).json({
+        success: false,
+        error: prompt.error
+      });
+    }
+
+    // The model comments on the formula with the notes as the evaluator read them
+    const catalog = {};
+    evaluation.oils.forEach(({ oil }) => { catalog[oil] = essentialOils[oil]; });
+    const critique = await blendWorker.critique({
+      blend: { oils: evaluation.oils.map(({ oil, percentage, note }) => ({ oil, percentage, note })) },
+      findings: evaluation.issues.map(issue => issue.message),
+      description: description.trim(),
+      catalog,
+      template: prompt.template
+    }, { signal: abortOnDisconnect(req, res) }).catch(critiqueError => {
+      if (critiqueError.name === 'AbortError') throw critiqueError;
+      return { success: false, error: critiqueError.message };
+    });
+
+    if (!critique.success) {
+      console.error('LLM worker could not critique the blend:', critique.error);
+    }
+    res.json({
+      success: true,
+      evaluation,
+      commentary: critique.success ? critique.commentary : null,
+      commentaryPrompt: templateId(prompt.template),
+      ...(critique.success ? {} : { commentaryError: 'Commentary unavailable. Please ensure the LLM model is properly loaded.' })
+    });
+
+  } catch (error) {
+    if (error.name === 'AbortError') return;  // Client is gone; nothing to send
+
+    console.error('Error in /api/blend/evaluate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/blend/allergens
+ * Lists the fragrance allergens a finished product must declare on its label
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "lavender", "percentage": 50}, ...]},
+ *   "product": "roller-2",  // optional; sets the concentration
+ *   "concentration": 2      // optional essential oil % in the product (default 100 = neat blend)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "allergens": {
+ *     "concentration": 2,
+ *     "thresholds": {"leaveOn": 0.001, "rinseOff": 0.01},
+ *     "allergens": [
+ *       {"id": "linalool", "inci": "Linalool", "cas": "78-70-6", "percentage": 0.39, "ppm": 3900,
+ *        "leaveOn": true, "rinseOff": true, "sources": [{"oil": "lavender", "percentage": 0.35}, ...]}
+ *     ],
+ *     "declarable": {"leaveOn": ["Linalool", "Limonene", "Geraniol", "Citral"], "rinseOff": ["Linalool", "Limonene"]}
+ *   }
+ * }
+ */
+app.post('/api/blend/allergens', (req, res) => {
+  const { blend } = req.body || {};
+
+  const errors = validateBlendOils(blend);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const { concentration, error } = parseProductOptions(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true,
+    allergens: calculateAllergens(blend, { concentration: concentration === null ? 100 : concentration })
+  });
+});
+
+/**
+ * POST /api/blend/timeline
+ * Simulates how a blend's scent changes as it evaporates. Each oil fades with
+ * its half-life (halfLifeMinutes in the oil catalog), weighted by intensity.
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "bergamot", "percentage": 20, "note": "TOP"}, ...]},  // note optional
+ *   "minutes": [0, 60, 180]  // optional points in time, up to 2 days (default 0, 30, 120, 240, 480)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "timeline": {
+ *     "oils": [{"oil": "bergamot", "note": "TOP", "halfLifeMinutes": 30}, ...],
+ *     "points": [
+ *       {"minutes": 120, "label": "2 h", "strength": 47.2,  // % of the scent at application
+ *        "dominant": "sandalwood", "notes": {"TOP": 1.9, "MIDDLE": 37.4, "BASE": 60.7},
+ *        "oils": [{"oil": "bergamot", "remaining": 6.3, "share": 1.9}, ...]}, ...
+ *     ]
+ *   },
+ *   "chart": {  // one series per oil, ready for a stacked area chart
+ *     "labels": ["0 min", "30 min", "2 h", "4 h", "8 h"], "minutes": [0, 30, 120, 240, 480],
+ *     "strength": [100, 79, 47.2, 31.4, 20.9],
+ *     "series": [{"oil": "bergamot", "note": "TOP", "category": "citrus", "values": [14.3, 9, 1.9, 0.2, 0]}, ...]
+ *   }
+ * }
+ */
+app.post('/api/blend/timeline', (req, res) => {
+  const { blend, minutes } = req.body || {};
+
+  const errors = validateBlendOils(blend);
+  if (minutes !== undefined && (!Array.isArray(minutes) || minutes.length === 0 || minutes.length > MAX_TIMELINE_POINTS ||
+      minutes.some(time => typeof time !== 'number' || !isFinite(time) || time < 0 || time > MAX_TIMELINE_MINUTES))) {
+    errors.push(`minutes must be 1-${MAX_TIMELINE_POINTS} numbers from 0 to ${MAX_TIMELINE_MINUTES}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const formula = {
+    oils: blend.oils.map(({ oil, percentage, note }) => ({
+      oil: normalizeOilName(oil),
+      percentage,
+      ...(NOTE_POSITIONS.includes(String(note).toUpperCase()) ? { note: String(note).toUpperCase() } : {})
+    }))
+  };
+  const timeline = simulateEvaporation(formula, {
+    catalog: essentialOils,
+    ...(minutes ? { minutes: [...minutes].sort((a, b) => a - b) } : {})
+  });
+
+  res.json({
+    success: true,
+    timeline,
+    chart: timelineChart(timeline, essentialOils)
+  });
+});
+
+/**
+ * POST /api/blend/cost
+ * Material cost of a blend made as a product, from the user's price list (X-User-Id)
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "lavender", "percentage": 50}, ...]},
+ *   "product": "roller-2"  // preset id, or {"id": "massage-oil", "volumeMl": 500} for a batch
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "cost": {
+ *     "volumeMl": 10,
+ *     "oils": [{"oil": "lavender", "ml": 0.1, "pricePerMl": 0.8, "cost": 0.08}, ...],
+ *     "carrier": {"id": "fractionated-coconut", "name": "...", "ml": 9.8, "pricePerMl": 0.05, "cost": 0.49},
+ *     "total": 0.61,
+ *     "costPerMl": 0.061,
+ *     "missingPrices": [],  // oils/carriers without a price, left out of the total
+ *     "complete": true
+ *   }
+ * }
+ */
+app.post('/api/blend/cost', (req, res) => {
+  const { blend, product: productInput } = req.body || {};
+
+  const errors = validateBlendOils(blend);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const { product, error } = resolveProduct(productInput);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true,
+    cost: calculateBlendCost(scaleBlend(blend, product), priceList.get(req.userId))
+  });
+});
+
+/**
+ * POST /api/jobs/blend
+ * Queues a blend as a background job. Takes the same body as /api/blend.
+ *
+ * Response (202):
+ * {
+ *   "success": true,
+ *   "job": {"id": "...", "status": "queued", "queuePosition": 1, ...},
+ *   "statusUrl": "/api/jobs/<id>"
+ * }
+ */
+app.post('/api/jobs/blend', (req, res) => {
+  const request = parseBlendRequest(req.body, req.userId);
+  if (request.error) {
+    return res.status(request.status || 400).json({
+      success: false,
+      error: request.error
+    });
+  }
+
+  const job = blendJobs.submit(req.userId, request);
+  if (!job) {
+    return res.status(503).json({
+      success: false,
+      error: 'Too many blend jobs queued. Please try again later.'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    job,
+    statusUrl: `/api/jobs/${job.id}`
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, progress and, once completed, the /api/blend response payload.
+ * Jobs belong to the X-User-Id that submitted them; other users get 404.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "job": {
+ *     "id": "...",
+ *     "status": "queued|running|completed|failed|cancelled",
+ *     "queuePosition": null,
+ *     "progress": {"stage": "generating", "attempt": 1, "tokens": 42},
+ *     "result": {...},  // same as /api/blend when completed
+ *     "error": null
+ *   }
+ * }
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = blendJobs.get(req.params.id, req.userId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancels a queued or running job. A running job's inference is stopped by
+ * restarting the LLM worker, so the next job waits for the model to reload.
+ */
+app.delete('/api/jobs/:id', (req, res) => {
+  const existing = blendJobs.get(req.params.id, req.userId);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (existing.finishedAt) {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${existing.status}`,
+      job: existing
+    });
+  }
+
+  res.json({ success: true, job: blendJobs.cancel(req.params.id, req.userId) });
+});
+
+/**
+ * POST /api/sessions
+ * Starts a refinement session: generates a blend like /api/blend (same body,
+ * except "consume") and keeps it so it can be revised conversationally with
+ * POST /api/sessions/:id/messages. Sessions belong to the X-User-Id that
+ * started them and expire after 30 minutes without messages.
+ *
+ * Response (201): the /api/blend payload plus
+ * {
+ *   "session": {"id": "...", "description": "...", "oils": [...], "structure": "classic", "product": null,
+ *               "useCases": [], "blend": {...}, "turns": [{"message": null, "blend": {...}, "fallback": false}],
+ *               "createdAt": "...", "updatedAt": "...", "expiresAt": "..."}
+ * }
+ *
+ * A blend that is unsafe for the requested use is answered with 422 and no session is started.
+ */
+app.post('/api/sessions', async (req, res) => {
+  try {
+    const request = parseBlendRequest(req.body, req.userId);
+    if (!request.error && request.consume) {
+      request.error = 'Refinement sessions do not deduct stock; consume the final blend with POST /api/inventory/consume';
+    }
+    if (request.error) {
+      return res.status(request.status || 400).json({
+        success: false,
+        error: request.error
+      });
+    }
+
+    const signal = abortOnDisconnect(req, res);
+    const payload = await createBlend(request, { signal });
+    if (!payload.success) {
+      return res.status(422).json(payload);
+    }
+
+    const session = refinementSessions.create(req.userId, request, payload.blend, { fallback: Boolean(payload.fallback) });
+    if (!session) {
+      return res.status(503).json({
+        success: false,
+        error: 'Too many refinement sessions open. Please try again later.'
+      });
+    }
+
+    res.status(201).json({ ...payload, session });
+
+  } catch (error) {
+    if (error.name === 'AbortError') return;  // Client is gone; nothing to send
+
+    console.error('Error in /api/sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/sessions/:id/messages
+ * Revises the session's blend, e.g. "make it woodier", "less sweet" or "swap the citrus".
+ * The model sees the original request and the conversation so far; without
+ * it, the message is applied as rule-based nudges on the note descriptors.
+ *
+ * Request body: {"message": "make it woodier and less sweet"}
+ *
+ * Response: the /api/blend payload plus
+ * {
+ *   "changes": {"added": [...], "removed": [...], "changed": [...], "notes": [...]},  // against the previous blend
+ *   "refinement": {                                  // only on fallback
+ *     "applied": [{"action": "more", "target": "woody", "message": "..."}],
+ *     "ignored": [{"text": "less sweet", "reason": "..."}]
+ *   },
+ *   "session": {...}  // see POST /api/sessions
+ * }
+ *
+ * A revision that is unsafe for the session's use cases is answered with 422
+ * and not kept; the session continues from the previous blend.
+ */
+app.post('/api/sessions/:id/messages', async (req, res) => {
+  try {
+    const { message } = req.body || {};
+    if (typeof message !== 'string' || message.trim().length === 0 || message.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a message of up to 500 characters'
+      });
+    }
+
+    const context = refinementSessions.context(req.params.id, req.userId, message.trim());
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const signal = abortOnDisconnect(req, res);
+    const payload = await createBlend({
+      ...context.request,
+      refinement: { blend: context.blend, message: message.trim(), conversation: context.conversation }
+    }, { signal });
+    payload.changes = diffBlends(context.blend, payload.blend);
+
+    if (!payload.success) {
+      return res.status(422).json(payload);
+    }
+
+    const session = refinementSessions.addTurn(req.params.id, req.userId, message.trim(), payload.blend, {
+      fallback: Boolean(payload.fallback)
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session expired while the blend was being revised'
+      });
+    }
+
+    res.json({ ...payload, session });
+
+  } catch (error) {
+    if (error.name === 'AbortError') return;  // Client is gone; nothing to send
+
+    console.error('Error in /api/sessions/:id/messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * The session with every turn of the conversation
+ */
+app.get('/api/sessions/:id', (req, res) => {
+  const session = refinementSessions.get(req.params.id, req.userId);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+  }
+
+  res.json({ success: true, session });
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Ends a session. Save the blend you want to keep with POST /api/recipes first.
+ */
+app.delete('/api/sessions/:id', (req, res) => {
+  const session = refinementSessions.remove(req.params.id, req.userId);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Session not found'
+    });
+  }
+
+  res.json({ success: true, session });
+});
+
+/**
+ * GET /api/health
+ * Health check endpoint for monitoring server status
+ */
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    llm: blendWorker.status(),
+    jobs: blendJobs.stats()
+  });
+});
+
+/**
+ * GET /api/structures
+ * Lists the blend structure presets accepted by the `structure` parameter
+ */
+app.get('/api/structures', (req, res) => {
+  res.json(STRUCTURE_PRESETS);
+});
+
+/**
+ * GET /api/products
+ * Lists the finished products accepted by the `product` parameter
+ */
+app.get('/api/products', (req, res) => {
+  res.json(PRODUCT_PRESETS);
+});
+
+/**
+ * GET /api/safety/use-cases
+ * Lists the use cases accepted by the `useCases` parameter
+ */
+app.get('/api/safety/use-cases', (req, res) => {
+  res.json(USE_CASES);
+});
+
+/**
+ * GET /api/prompts
+ * Lists the LLM prompt templates in prompts/, every version, marking the
+ * default of each. Pass a version as `prompt` to a blend or evaluation
+ * request to use it instead of the default.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "prompts": [{"id": "blend@v1", "name": "blend", "version": "v1", "description": "...", "default": true}, ...]
+ * }
+ *
+ * Broken template files are listed with an "error" describing the problem.
+ */
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({ success: true, prompts: promptRegistry.list() });
+  } catch (error) {
+    console.error('Error in /api/prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * GET /api/prompts/:name/:version
+ * Returns one prompt template with its messages and parts
+ */
+app.get('/api/prompts/:name/:version', (req, res) => {
+  const { template, error, status } = promptRegistry.resolve(req.params.name, req.params.version);
+  if (error) {
+    return res.status(status).json({ success: false, error });
+  }
+
+  res.json({ success: true, prompt: { id: templateId(template), ...template } });
+});
+
+/**
+ * GET /api/oils
+ * Returns the complete essential oils database. With query parameters, searches it instead:
+ * - category, intensity, note, extraction, origin: comma-separated facet values
+ * - q: free text over names, aliases, botanical names and descriptions
+ * - sort: name, category, intensity or origin (prefix with - for descending)
+ * - page, limit: pagination (limit defaults to 20, max 100)
+ */
+app.get('/api/oils', (req, res) => {
+  if (Object.keys(req.query).length === 0) {
+    return res.json(essentialOils);
+  }
+
+  const result = searchOils(essentialOils, req.query);
+  if (result.error) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+
+  res.json({ success: true, ...result });
+});
+
+/**
+ * GET /api/oils/:name
+ * Returns a single oil record
+ */
+app.get('/api/oils/:name', (req, res) => {
+  const oil = oilCatalog.get(req.params.name);
+  if (!oil) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown oil "${req.params.name}"`
+    });
+  }
+
+  res.json({ success: true, oil });
+});
+
+/**
+ * GET /api/oils/:name/substitutes
+ * Closest replacements for an oil, ranked by note position, shared descriptors
+ * and similarity, with the factor to scale its percentage by for intensity
+ *
+ * Query parameters:
+ * - from: "stock" (oils in the user's inventory) or "catalog"; defaults to stock once the user has any
+ * - note: TOP, MIDDLE or BASE, the note the oil plays in your recipe (default: its usual positions)
+ * - limit: substitutes to return, 1-10 (default 3)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "oil": "jasmine",
+ *   "from": "catalog",
+ *   "substitutes": [
+ *     {"oil": "ylang-ylang", "score": 0.55, "notes": ["MIDDLE", "BASE"], "sharedDescriptors": ["floral", "exotic", "sweet"],
+ *      "similarity": {"value": 0.31, "source": "descriptors"}, "intensityFactor": 1}, ...
+ *   ]
+ * }
+ */
+app.get('/api/oils/:name/substitutes', (req, res) => {
+  const oil = oilCatalog.get(req.params.name);
+  if (!oil) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown oil "${req.params.name}"`
+    });
+  }
+
+  const stock = oilInventory.inStock(req.userId);
+  const from = req.query.from || (stock.length > 0 ? 'stock' : 'catalog');
+  const limit = req.query.limit === undefined ? 3 : Number(req.query.limit);
+  const note = req.query.note === undefined ? null : String(req.query.note).toUpperCase();
+
+  let error = null;
+  if (!['stock', 'catalog'].includes(from)) {
+    error = 'from must be "stock" or "catalog"';
+  } else if (!Number.isInteger(limit) || limit < 1 || limit > 10) {
+    error = 'limit must be a whole number from 1 to 10';
+  } else if (note !== null && !NOTE_POSITIONS.includes(note)) {
+    error = `note must be one of ${NOTE_POSITIONS.join(', ')}`;
+  }
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const candidates = from === 'stock' ? stock : Object.keys(essentialOils);
+  res.json({
+    success: true,
+    oil: oil.name,
+    from,
+    substitutes: findSubstitutes(oil.name, candidates, { catalog: essentialOils, note, limit })
+  });
+});
+
+/**
+ * POST /api/oils/:name
+ * Adds an oil to the catalog (201, or 409 if it already exists)
+ *
+ * Request body: oil record as described in oilSchema.js, e.g.
+ * {
+ *   "notes": ["woody", "balsamic"], "intensity": "heavy", "category": "woody",
+ *   "description": "...", "dropsPerMl": 18, "density": 0.94,
+ *   "safety": {"maxDermal": null, "phototoxicMax": null, "contraindications": [], "sensitisation": "low"},
+ *   "constituents": {"linalool": 1}
+ * }
+ */
+app.post('/api/oils/:name', (req, res) => {
+  try {
+    sendStoreResult(res, oilCatalog.create(req.params.name, req.body), 201);
+  } catch (error) {
+    console.error('Error saving oil catalog:', error);
+    res.status(500).json({ success: false, error: 'Could not save the oil catalog' });
+  }
+});
+
+/**
+ * PUT /api/oils/:name
+ * Replaces an existing oil record (404 if unknown). Same body as POST.
+ */
+app.put('/api/oils/:name', (req, res) => {
+  try {
+    sendStoreResult(res, oilCatalog.update(req.params.name, req.body));
+  } catch (error) {
+    console.error('Error saving oil catalog:', error);
+    res.status(500).json({ success: false, error: 'Could not save the oil catalog' });
+  }
+});
+
+/**
+ * DELETE /api/oils/:name
+ * Removes an oil from the catalog and returns the removed record
+ */
+app.delete('/api/oils/:name', (req, res) => {
+  try {
+    sendStoreResult(res, oilCatalog.remove(req.params.name));
+  } catch (error) {
+    console.error('Error saving oil catalog:', error);
+    res.status(500).json({ success: false, error: 'Could not save the oil catalog' });
+  }
+});
+
+/**
+ * GET /api/inventory
+ * Lists the bottles of the user given by the X-User-Id header
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "bottles": [{"id": "...", "oil": "lavender", "volumeMl": 10, "remainingMl": 7.5,
+ *                "purchaseDate": "2024-03-15", "batch": "LV-2291", "addedAt": "..."}],
+ *   "stock": [{"oil": "lavender", "remainingMl": 7.5, "bottles": 1, "lowStock": false}]
+ * }
+ */
+app.get('/api/inventory', (req, res) => {
+  res.json({ success: true, ...oilInventory.list(req.userId) });
+});
+
+/**
+ * POST /api/inventory
+ * Adds a bottle to the user's inventory (201)
+ *
+ * Request body:
+ * {
+ *   "oil": "lavender",             // resolved like blend oil names
+ *   "volumeMl": 10,                // bottle size
+ *   "remainingMl": 7.5,            // optional, defaults to a full bottle
+ *   "purchaseDate": "2024-03-15",  // optional
+ *   "batch": "LV-2291"             // optional
+ * }
+ */
+app.post('/api/inventory', (req, res) => {
+  try {
+    sendStoreResult(res, oilInventory.add(req.userId, req.body), 201);
+  } catch (error) {
+    console.error('Error saving inventory:', error);
+    res.status(500).json({ success: false, error: 'Could not save the inventory' });
+  }
+});
+
+/**
+ * PUT /api/inventory/:id
+ * Replaces a bottle's details (same body as POST /api/inventory)
+ */
+app.put('/api/inventory/:id', (req, res) => {
+  try {
+    sendStoreResult(res, oilInventory.update(req.userId, req.params.id, req.body));
+  } catch (error) {
+    console.error('Error saving inventory:', error);
+    res.status(500).json({ success: false, error: 'Could not save the inventory' });
+  }
+});
+
+/**
+ * DELETE /api/inventory/:id
+ * Removes a bottle from the user's inventory
+ */
+app.delete('/api/inventory/:id', (req, res) => {
+  try {
+    sendStoreResult(res, oilInventory.remove(req.userId, req.params.id));
+  } catch (error) {
+    console.error('Error saving inventory:', error);
+    res.status(500).json({ success: false, error: 'Could not save the inventory' });
+  }
+});
+
+/**
+ * POST /api/inventory/check
+ * Checks whether the user has enough oil to make a blend
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "lavender", "percentage": 50}, ...]},
+ *   "product": "roller-2"  // optional; without it only the presence of each oil is checked
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "canMake": false,
+ *   "shortages": [{"oil": "rose", "neededMl": 0.05, "availableMl": 0}],
+ *   "lowStock": [{"oil": "rose", "remainingMl": 0}]
+ * }
+ */
+app.post('/api/inventory/check', (req, res) => {
+  const { blend } = req.body || {};
+
+  const errors = validateBlendOils(blend);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const { product, error } = parseProductOptions({ product: req.body.product });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const requirements = product
+    ? scaleBlend(blend, product).oils.map(({ oil, ml }) => ({ oil, ml }))
+    : blend.oils.map(({ oil }) => ({ oil: normalizeOilName(oil), ml: null }));
+
+  res.json({ success: true, ...oilInventory.check(req.userId, requirements) });
+});
+
+/**
+ * POST /api/inventory/consume
+ * Deducts the oil used to make a blend as a product, oldest bottles first.
+ * Nothing is deducted (409) unless every oil is in stock.
+ *
+ * Request body:
+ * {
+ *   "blend": {"oils": [{"oil": "lavender", "percentage": 50}, ...]},
+ *   "product": "roller-2"  // required, see GET /api/products
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "consumed": [{"oil": "lavender", "ml": 0.1, "bottles": [{"id": "...", "ml": 0.1}]}],
+ *   "canMake": true, "shortages": [], "lowStock": [...]
+ * }
+ */
+app.post('/api/inventory/consume', (req, res) => {
+  const { blend, product: productInput } = req.body || {};
+
+  const errors = validateBlendOils(blend);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+
+  const { product, error } = resolveProduct(productInput);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  try {
+    const requirements = scaleBlend(blend, product).oils.map(({ oil, ml }) => ({ oil, ml }));
+    const { error: stockError, status, ...result } = oilInventory.consume(req.userId, requirements);
+    if (stockError) {
+      return res.status(status).json({ success: false, error: stockError, ...result });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error saving inventory:', error);
+    res.status(500).json({ success: false, error: 'Could not save the inventory' });
+  }
+});
+
+/**
+ * GET /api/inventory/recommendations
+ * The next oils to buy: those that most widen the balanced blends the user's
+ * oils can make, fill empty TOP/MIDDLE/BASE positions, bring new scent
+ * descriptors and complete saved recipes. Picked in order, each assuming the
+ * previous ones were bought.
+ *
+ * Query parameters:
+ * - count: oils to recommend, 1-3 (default 3)
+ * - oils: comma-separated oils to use instead of the inventory's stock
+ * - structure: structure whose balanced blends are counted (default classic)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "owned": ["bergamot", "lavender"],
+ *   "recommendations": [
+ *     {"oil": "vetiver", "score": 1, "parts": {"slots": 1, "blends": 1, "novelty": 1, "recipes": 1},
+ *      "notes": ["BASE"], "newNotes": ["BASE"], "blendsAdded": 1, "newDescriptors": ["earthy", "smoky", ...],
+ *      "unlockedRecipes": [{"id": "...", "name": "Evening Calm"}],
+ *      "reasons": ["First BASE note in your collection", "1 more balanced Classic pyramid blend", ...]}, ...
+ *   ]
+ * }
+ */
+app.get('/api/inventory/recommendations', (req, res) => {
+  const count = req.query.count === undefined ? 3 : Number(req.query.count);
+  if (!Number.isInteger(count) || count < 1 || count > 3) {
+    return res.status(400).json({
+      success: false,
+      error: 'count must be a whole number from 1 to 3'
+    });
+  }
+
+  const { structure, error } = resolveStructure(req.query.structure);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  let owned = oilInventory.inStock(req.userId);
+  if (req.query.oils !== undefined) {
+    const { available, unavailable } = resolveOilNames(String(req.query.oils).split(',').filter(Boolean), essentialOils);
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown oils: ${unavailable.join(', ')}`
+      });
+    }
+    owned = available;
+  }
+
+  res.json({
+    success: true,
+    owned,
+    recommendations: recommendPurchases(owned, {
+      catalog: essentialOils,
+      structure,
+      recipes: recipeStore.list().recipes,
+      count
+    })
+  });
+});
+
+/**
+ * GET /api/prices
+ * The price list of the user given by the X-User-Id header
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "prices": {
+ *     "oils": {"lavender": {"pricePerMl": 0.8, "price": 12, "bottleMl": 15, "updatedAt": "..."}},
+ *     "carriers": {"sweet-almond": {"pricePerMl": 0.02, "price": null, "bottleMl": null, "updatedAt": "..."}}
+ *   },
+ *   "carriers": {"sweet-almond": {"name": "Sweet almond oil", ...}, ...}  // carrier ids that can be priced
+ * }
+ */
+app.get('/api/prices', (req, res) => {
+  res.json({ success: true, prices: priceList.get(req.userId), carriers: CARRIERS });
+});
+
+/**
+ * PUT /api/prices/:item
+ * Sets the price of an oil (name resolved like blend oils) or carrier (id)
+ *
+ * Request body: {"pricePerMl": 0.8} or {"price": 12, "bottleMl": 15}
+ */
+app.put('/api/prices/:item', (req, res) => {
+  try {
+    sendStoreResult(res, priceList.set(req.userId, req.params.item, req.body));
+  } catch (error) {
+    console.error('Error saving prices:', error);
+    res.status(500).json({ success: false, error: 'Could not save the price list' });
+  }
+});
+
+/**
+ * DELETE /api/prices/:item
+ * Removes the price of an oil or carrier
+ */
+app.delete('/api/prices/:item', (req, res) => {
+  try {
+    sendStoreResult(res, priceList.remove(req.userId, req.params.item));
+  } catch (error) {
+    console.error('Error saving prices:', error);
+    res.status(500).json({ success: false, error: 'Could not save the price list' });
+  }
+});
+
+/**
+ * GET /api/recipes
+ * Lists or searches the shared recipe library
+ *
+ * Query parameters (all optional; comma-separated values must all match):
+ * - oil: recipes using these oils
+ * - tag: recipes with these tags
+ * - note: recipes whose oils have these scent descriptors, e.g. "woody"
+ * - minRating: lowest rating (1-5)
+ * - q: free text over name, notes and target description
+ * - sort: name, rating, createdAt or updatedAt (default -updatedAt; prefix with - for descending)
+ *
+ * Response: {"success": true, "total": 3, "recipes": [...]}
+ */
+app.get('/api/recipes', (req, res) => {
+  const result = recipeStore.list(req.query);
+  if (result.error) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+
+  res.json({ success: true, ...result });
+});
+
+/**
+ * GET /api/recipes/:id
+ * Returns a single recipe. With ?substitute=true the response also has the
+ * recipe made from the user's inventory (X-User-Id), oils they don't have
+ * swapped for the closest oil they do:
+ *
+ * "substitution": {
+ *   "blend": {"oils": [{"oil": "ylang-ylang", "percentage": 50, "note": "MIDDLE", "rationale": "Stands in for jasmine"}, ...]},
+ *   "substitutions": [{"oil": "jasmine", "substitute": "ylang-ylang", "score": 0.55, "percentage": 50, "adjustedPercentage": 50}],
+ *   "safety": {...}  // for the substituted blend, see POST /api/blend/safety
+ * }
+ *
+ * Substituted percentages are scaled for the difference in intensity and the
+ * blend brought back to 100%. blend is null if nothing in stock can stand in.
+ */
+app.get('/api/recipes/:id', (req, res) => {
+  const recipe = recipeStore.get(req.params.id);
+  if (!recipe) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown recipe "${req.params.id}"`
+    });
+  }
+
+  if (req.query.substitute !== 'true') {
+    return res.json({ success: true, recipe });
+  }
+
+  const stock = oilInventory.inStock(req.userId);
+  if (stock.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: '"substitute" needs bottles in your inventory (see POST /api/inventory)'
+    });
+  }
+
+  const { useCases, product } = recipe.config;
+  const unsafe = findContraindicatedOils(stock, useCases).map(item => item.oil);
+  const substitution = substituteBlend(recipe.blend, stock.filter(oil => !unsafe.includes(oil)), { catalog: essentialOils });
+  res.json({
+    success: true,
+    recipe,
+    substitution: {
+      ...substitution,
+      safety: substitution.blend
+        ? checkBlendSafety(substitution.blend, { useCases, concentration: product ? product.concentration : null })
+        : null
+    }
+  });
+});
+
+/**
+ * POST /api/recipes
+ * Saves a recipe (201). The X-User-Id header is recorded as its author.
+ *
+ * Request body:
+ * {
+ *   "name": "Evening Calm",
+ *   "tags": ["relaxing", "bestseller"],  // optional
+ *   "notes": "Customers love it",         // optional
+ *   "rating": 5,                          // optional, 1-5
+ *   "result": {...}                       // a successful /api/blend response, or:
+ *   "blend": {"oils": [{"oil": "lavender", "percentage": 60, "note": "MIDDLE"}, ...]},  // hand-made formula
+ *   "description": "calm evening",        // optional, hand-made only
+ *   "product": "roller-2"                 // optional, hand-made only
+ * }
+ *
+ * Response (201):
+ * {
+ *   "success": true,
+ *   "recipe": {
+ *     "id": "...", "name": "Evening Calm", "tags": [...], "notes": "...", "rating": 5,
+ *     "blend": {"oils": [...], "scentProfile": "..."},
+ *     "source": "generated",  // or "manual"
+ *     "model": {"engine": "llm", "name": "medgemma-4b-it-Q4_1.gguf", "config": {...}},  // {"engine": "optimizer"} or {"engine": "rules"} without the LLM, null if hand-made
+ *     "config": {"description": "...", "structure": "classic", "product": {...}, "useCases": [...]},
+ *     "createdBy": "alice", "createdAt": "...", "updatedAt": "..."
+ *   }
+ * }
+ */
+app.post('/api/recipes', (req, res) => {
+  try {
+    sendStoreResult(res, recipeStore.create(req.body, req.userId), 201);
+  } catch (error) {
+    console.error('Error saving recipes:', error);
+    res.status(500).json({ success: false, error: 'Could not save the recipe library' });
+  }
+});
+
+/**
+ * PUT /api/recipes/:id
+ * Replaces a recipe's name, tags, notes, rating and blend (same body as POST).
+ * Its model and settings are kept unless a new "result" is given. A changed
+ * blend (oils, percentages or notes) is saved as a new version.
+ */
+app.put('/api/recipes/:id', (req, res) => {
+  try {
+    sendStoreResult(res, recipeStore.update(req.params.id, req.body, req.userId));
+  } catch (error) {
+    console.error('Error saving recipes:', error);
+    res.status(500).json({ success: false, error: 'Could not save the recipe library' });
+  }
+});
+
+/**
+ * DELETE /api/recipes/:id
+ * Removes a recipe from the library
+ */
+app.delete('/api/recipes/:id', (req, res) => {
+  try {
+    sendStoreResult(res, recipeStore.remove(req.params.id));
+  } catch (error) {
+    console.error('Error saving recipes:', error);
+    res.status(500).json({ success: false, error: 'Could not save the recipe library' });
+  }
+});
+
+/**
+ * GET /api/recipes/:id/versions
+ * Lists a recipe's versions, oldest first
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "versions": [
+ *     {"version": 1, "createdBy": "alice", "createdAt": "...", "restoredFrom": null,
+ *      "oils": [{"oil": "lavender", "percentage": 50}, ...]}
+ *   ]
+ * }
+ */
+app.get('/api/recipes/:id/versions', (req, res) => {
+  sendStoreResult(res, recipeStore.listVersions(req.params.id));
+});
+
+/**
+ * GET /api/recipes/:id/versions/:version
+ * Returns one version's blend
+ */
+app.get('/api/recipes/:id/versions/:version', (req, res) => {
+  sendStoreResult(res, recipeStore.getVersion(req.params.id, req.params.version));
+});
+
+/**
+ * POST /api/recipes/:id/versions/:version/restore
+ * Makes an old version current again. It is added as a new version, so the
+ * history in between is kept.
+ */
+app.post('/api/recipes/:id/versions/:version/restore', (req, res) => {
+  try {
+    sendStoreResult(res, recipeStore.restore(req.params.id, req.params.version, req.userId));
+  } catch (error) {
+    console.error('Error saving recipes:', error);
+    res.status(500).json({ success: false, error: 'Could not save the recipe library' });
+  }
+});
+
+/**
+ * GET /api/recipes/:id/diff?from=1&to=7
+ * Compares two versions (to defaults to the current version)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "diff": {
+ *     "from": 1, "to": 7,
+ *     "added": [{"oil": "vetiver", "percentage": 15, "note": "BASE"}],
+ *     "removed": [{"oil": "orange", "percentage": 20, "note": "TOP"}],
+ *     "changed": [{"oil": "lavender", "note": "MIDDLE", "from": 50, "to": 45, "delta": -5}],
+ *     "notes": [{"note": "TOP", "from": 20, "to": 10, "delta": -10}, ...]  // share of each note slot
+ *   }
+ * }
+ */
+app.get('/api/recipes/:id/diff', (req, res) => {
+  if (req.query.from === undefined) {
+    return res.status(400).json({ success: false, error: 'Give the version to compare from, e.g. ?from=1' });
+  }
+
+  sendStoreResult(res, recipeStore.diff(req.params.id, req.query.from, req.query.to));
+});
+
+/**
+ * GET /
  * Serves the main web UI
  */
 app.get('/', (req, res) => {
@@ -436,15 +2343,54 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Start loading the model right away so the first blend doesn't pay for it
+blendWorker.on('state', state => console.log(`🤖 LLM worker: ${state}`));
+blendWorker.start();
+
+// Stop the worker with the server so no bare process is left behind
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    blendWorker.stop();
+    process.exit(0);
+  });
+});
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`🌿 Scent Blender UI Server running at http://localhost:${PORT}`);
   console.log(`📁 Serving UI from: ${path.join(__dirname, 'public')}`);
-  console.log(`🤖 LLM backend: Bare + @tetherto/llm-llamacpp`);
+  console.log(`🤖 LLM backend: ${llmBackend.backend}, ${blendWorker instanceof BareWorker ? 'Bare worker' : 'in-process'} (LLM_BACKEND: llamacpp, openai or mock)`);
   console.log(`\n📋 Available endpoints:`);
   console.log(`   GET  / - Web UI`);
   console.log(`   POST /api/blend - Generate blend`);
-  console.log(`   GET  /api/oils - Get oil database`);
-  console.log(`   GET  /api/health - Health check`);
+  console.log(`   POST /api/blend/stream - Generate blend (Server-Sent Events)`);
+  console.log(`   POST /api/blend/scale - Scale a blend to a finished product`);
+  console.log(`   POST /api/blend/safety - Check a blend against oil safety data`);
+  console.log(`   POST /api/blend/evaluate - Critique a formula you wrote`);
+  console.log(`   POST /api/blend/allergens - Declarable allergens for a blend`);
+  console.log(`   POST /api/blend/cost - Material cost of a blend`);
+  console.log(`   POST /api/blend/timeline - How a blend changes as it dries down`);
+  console.log(`   POST /api/jobs/blend - Queue blend job`);
+  console.log(`   GET  /api/jobs/:id - Blend job status`);
+  console.log(`   DELETE /api/jobs/:id - Cancel blend job`);
+  console.log(`   POST /api/sessions - Start a blend refinement session`);
+  console.log(`   POST /api/sessions/:id/messages - Refine the session's blend ("make it woodier")`);
+  console.log(`   GET/DELETE /api/sessions/:id - Read or end a refinement session`);
+  console.log(`   GET  /api/oils - Get or search oil database`);
+  console.log(`   GET/POST/PUT/DELETE /api/oils/:name - Read or edit an oil`);
+  console.log(`   GET  /api/oils/:name/substitutes - Closest replacements for an oil`);
+  console.log(`   GET/POST /api/inventory, PUT/DELETE /api/inventory/:id - Your bottles (X-User-Id)`);
+  console.log(`   POST /api/inventory/check - Check stock for a blend`);
+  console.log(`   POST /api/inventory/consume - Deduct a blend from stock`);
+  console.log(`   GET  /api/inventory/recommendations - Oils to buy next`);
+  console.log(`   GET  /api/prices, PUT/DELETE /api/prices/:item - Your oil and carrier prices`);
+  console.log(`   GET/POST /api/recipes, GET/PUT/DELETE /api/recipes/:id - Recipe library`);
+  console.log(`   GET  /api/recipes/:id/versions[/:version], POST .../:version/restore - Recipe history`);
+  console.log(`   GET  /api/recipes/:id/diff?from=&to= - Compare recipe versions`);
+  console.log(`   GET  /api/structures - Blend structure presets`);
+  console.log(`   GET  /api/products - Finished product presets`);
+  console.log(`   GET  /api/safety/use-cases - Safety use cases`);
+  console.log(`   GET  /api/prompts[/:name/:version] - LLM prompt templates`);
+  console.log(`   GET  /api/health - Health check (includes LLM worker state)`);
   console.log(`\n🚀 Open your browser to http://localhost:${PORT} to start blending!`);
 });
\ No newline at end of file
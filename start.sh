@@ -6,13 +6,13 @@ echo ""
 echo "🚀 Starting server on http://localhost:3000"
 echo ""
 echo "⚡ Performance Note:"
-echo "   • First blend generation: 1-2 minutes (loads 2.38GB AI model)"
-echo "   • Subsequent blends: Much faster (model stays cached)"
-echo "   • The UI shows a timer so you can track loading progress"
+echo "   • The 2.38GB AI model loads once at startup (1-2 minutes)"
+echo "   • Blends requested while it loads wait for it; later ones reuse it"
+echo "   • Check loading progress at http://localhost:3000/api/health"
 echo ""
 echo "💡 Tips for faster performance:"
 echo "   • Keep the server running between requests"
-echo "   • The AI model caches after first use"
+echo "   • The AI model stays loaded in a background Bare worker"
 echo "   • Select 3-5 oils for best results"
 echo ""
 echo "Starting server now..."
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../essentialOils.json');
+const { resolveStructure } = require('../blendStructures');
+const { optimizeBlends } = require('../blendOptimizer');
+const { enumerateBlends, countDistinctBlends, rankBlends } = require('../blendAlternatives');
+
+const OILS = ['lavender', 'bergamot', 'sandalwood', 'vetiver', 'lemon'];
+const DESCRIPTION = 'calm woody';
+
+test('countDistinctBlends counts identical blends once', () => {
+  const blend = { oils: [{ oil: 'lavender', percentage: 60, note: 'MIDDLE' }, { oil: 'cedarwood', percentage: 40, note: 'BASE' }] };
+  const reordered = { oils: [...blend.oils].reverse() };
+  const other = { oils: [{ oil: 'lavender', percentage: 50, note: 'MIDDLE' }, { oil: 'cedarwood', percentage: 50, note: 'BASE' }] };
+  assert.equal(countDistinctBlends([{ blend }, { blend: reordered }, { blend: other }]), 2);
+});
+
+test('rule-based arrangements make up the count when the optimizer finds too few blends', () => {
+  const { structure } = resolveStructure();
+  const count = 3;
+  const candidates = optimizeBlends(OILS, DESCRIPTION, structure, { catalog, limit: count * 5 }).blends
+    .map(({ blend }) => ({ source: 'optimizer', blend }));
+  assert.ok(countDistinctBlends(candidates) < count, 'the optimizer skips clashing pairs');
+
+  enumerateBlends(OILS, structure, catalog, { description: DESCRIPTION })
+    .forEach(blend => candidates.push({ source: 'rules', blend }));
+
+  const ranked = rankBlends(candidates, { count, description: DESCRIPTION, structure, oils: OILS, catalog });
+  assert.equal(ranked.length, count);
+});
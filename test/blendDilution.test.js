@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProduct, validateBlendOils, scaleBlend } = require('../blendDilution');
+
+test('resolveProduct returns a preset by id', () => {
+  const { product } = resolveProduct('roller-2');
+  assert.equal(product.volumeMl, 10);
+  assert.equal(product.concentration, 2);
+  assert.equal(product.carrier.id, 'fractionated-coconut');
+});
+
+test('resolveProduct rejects unknown products and out-of-range concentrations', () => {
+  ['nope', 'constructor', 'toString'].forEach(id => {
+    assert.match(resolveProduct(id).error, new RegExp(`Unknown product "${id}"`));
+  });
+  assert.match(resolveProduct({ id: 'edp', concentration: 25 }).error, /between 15% and 20%/);
+  assert.match(resolveProduct({ id: 'roller-2', concentration: 3 }).error, /fixed at 2%/);
+});
+
+test('validateBlendOils rejects unknown oils, including prototype names', () => {
+  assert.deepEqual(
+    validateBlendOils({ oils: [{ oil: 'constructor', percentage: 50 }, { oil: 'lavender', percentage: 50 }] }),
+    ['oils[0].oil "constructor" is not in the oil database']
+  );
+  assert.deepEqual(
+    validateBlendOils({ oils: [{ oil: 'lavender', percentage: 50 }, { oil: 'cedarwood', percentage: 40 }] }),
+    ['Percentages must sum to 100, got 90']
+  );
+});
+
+test('scaleBlend splits the product between essential oils and carrier', () => {
+  const { product } = resolveProduct('roller-2');
+  const formulation = scaleBlend({ oils: [{ oil: 'Lavender', percentage: 50 }, { oil: 'cedarwood', percentage: 50 }] }, product);
+
+  assert.deepEqual(formulation.oils.map(item => [item.oil, item.productPercentage, item.ml]), [
+    ['lavender', 1, 0.1],
+    ['cedarwood', 1, 0.1]
+  ]);
+  assert.equal(formulation.essentialOils.ml, 0.2);
+  assert.equal(formulation.carrier.ml, 9.8);
+  assert.equal(formulation.total.ml, 10);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../essentialOils.json');
+const { halfLifeOf, simulateEvaporation, timelineChart } = require('../blendEvaporation');
+
+const BLEND = {
+  oils: [
+    { oil: 'bergamot', percentage: 20, note: 'TOP' },
+    { oil: 'lavender', percentage: 50, note: 'MIDDLE' },
+    { oil: 'cedarwood', percentage: 30, note: 'BASE' }
+  ]
+};
+
+test('halfLifeOf falls back to the intensity default', () => {
+  assert.equal(halfLifeOf({ halfLifeMinutes: 42, intensity: 'heavy' }), 42);
+  assert.equal(halfLifeOf({ intensity: 'heavy' }), 600);
+  assert.equal(halfLifeOf({}), 120);
+});
+
+test('simulateEvaporation starts at full strength and shifts to the base', () => {
+  const { points } = simulateEvaporation(BLEND, { catalog, minutes: [0, 60, 480] });
+
+  assert.equal(points[0].strength, 100);
+  assert.ok(points[1].strength < 100 && points[2].strength < points[1].strength);
+  assert.ok(points[2].notes.BASE > points[0].notes.BASE);
+  assert.ok(points[2].notes.TOP < points[0].notes.TOP);
+  assert.equal(points[2].dominant, 'cedarwood');
+  points.forEach(point => {
+    const total = point.oils.reduce((sum, item) => sum + item.share, 0);
+    assert.ok(Math.abs(total - 100) < 0.5);
+  });
+});
+
+test('timelineChart has one series per oil and one value per point', () => {
+  const timeline = simulateEvaporation(BLEND, { catalog });
+  const chart = timelineChart(timeline, catalog);
+
+  assert.equal(chart.labels.length, timeline.points.length);
+  assert.deepEqual(chart.series.map(series => series.oil), ['bergamot', 'lavender', 'cedarwood']);
+  chart.series.forEach(series => {
+    assert.equal(series.category, catalog[series.oil].category);
+    assert.equal(series.values.length, timeline.points.length);
+  });
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../essentialOils.json');
+const { parseNudges } = require('../blendRefinement');
+
+test('parseNudges reads descriptor nudges', () => {
+  const { nudges, ignored } = parseNudges('make it woodier and less sweet', catalog);
+  assert.deepEqual(nudges.map(({ action, target, type }) => ({ action, target, type })), [
+    { action: 'more', target: 'woody', type: 'descriptor' },
+    { action: 'less', target: 'sweet', type: 'descriptor' }
+  ]);
+  assert.deepEqual(ignored, []);
+});
+
+test('parseNudges resolves oil names', () => {
+  const { nudges } = parseNudges('Add a touch of Ylang Ylang', catalog);
+  assert.deepEqual(nudges.map(({ action, target, type }) => ({ action, target, type })), [
+    { action: 'more', target: 'ylang-ylang', type: 'oil' }
+  ]);
+});
+
+test('parseNudges reads swaps', () => {
+  const { nudges } = parseNudges('swap the lavender for something else', catalog);
+  assert.equal(nudges[0].action, 'swap');
+  assert.equal(nudges[0].target, 'lavender');
+});
+
+test('parseNudges ignores what it does not recognise', () => {
+  const { nudges, ignored } = parseNudges('hello there', catalog);
+  assert.deepEqual(nudges, []);
+  assert.equal(ignored.length, 1);
+  assert.equal(ignored[0].text, 'hello there');
+});
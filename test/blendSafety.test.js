@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveUseCases, findContraindicatedOils, checkBlendSafety } = require('../blendSafety');
+
+test('resolveUseCases adds the product\'s own use case', () => {
+  assert.deepEqual(resolveUseCases(['pregnancy'], { useCase: 'topical' }), { useCases: ['pregnancy', 'topical'] });
+});
+
+test('resolveUseCases rejects bad input', () => {
+  assert.match(resolveUseCases('topical').error, /must be an array/);
+  ['moon', 'constructor', 'toString', '__proto__'].forEach(id => {
+    assert.match(resolveUseCases([id]).error, new RegExp(`Unknown use case "${id}"`));
+  });
+});
+
+test('findContraindicatedOils lists oils to avoid for a group', () => {
+  assert.deepEqual(findContraindicatedOils(['lavender', 'cedarwood', 'jasmine'], ['pregnancy']), [
+    { oil: 'cedarwood', reasons: ['pregnancy'] },
+    { oil: 'jasmine', reasons: ['pregnancy'] }
+  ]);
+});
+
+test('checkBlendSafety blocks phototoxic oils above their limit', () => {
+  const result = checkBlendSafety(
+    { oils: [{ oil: 'bergamot', percentage: 50 }, { oil: 'lavender', percentage: 50 }] },
+    { useCases: ['topical'], concentration: 2 }
+  );
+  assert.equal(result.safe, false);
+  assert.equal(result.maxSafeConcentration, 0.8);
+
+  const phototoxic = result.warnings.find(warning => warning.code === 'phototoxic');
+  assert.equal(phototoxic.oil, 'bergamot');
+  assert.equal(phototoxic.severity, 'block');
+  assert.equal(phototoxic.limit, 0.4);
+  assert.equal(phototoxic.actual, 1);
+});
+
+test('checkBlendSafety passes the same blend below the limit', () => {
+  const result = checkBlendSafety(
+    { oils: [{ oil: 'bergamot', percentage: 50 }, { oil: 'lavender', percentage: 50 }] },
+    { useCases: ['topical'], concentration: 0.8 }
+  );
+  assert.equal(result.safe, true);
+  assert.ok(!result.warnings.some(warning => warning.severity === 'block'));
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeOilName, extractJson, validateBlend, parseBlendResponse, formatBlendText } = require('../blendSchema');
+
+const BLEND = {
+  oils: [
+    { oil: 'bergamot', percentage: 20, note: 'TOP' },
+    { oil: 'lavender', percentage: 50, note: 'MIDDLE' },
+    { oil: 'cedarwood', percentage: 30, note: 'BASE' }
+  ]
+};
+
+test('normalizeOilName lowercases and hyphenates', () => {
+  assert.equal(normalizeOilName(' Ylang Ylang '), 'ylang-ylang');
+});
+
+test('extractJson finds JSON inside a fenced reply', () => {
+  assert.deepEqual(extractJson('Sure! ```json\n{"a":1}\n``` done'), { a: 1 });
+});
+
+test('validateBlend accepts a balanced blend of available oils', () => {
+  const result = validateBlend(BLEND, ['bergamot', 'lavender', 'cedarwood']);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.blend.oils.map(item => item.oil), ['bergamot', 'lavender', 'cedarwood']);
+});
+
+test('validateBlend reports unavailable oils and a wrong total', () => {
+  const result = validateBlend({ oils: [{ oil: 'rose', percentage: 50, note: 'TOP' }] }, ['lavender']);
+  assert.equal(result.valid, false);
+  assert.equal(result.blend, null);
+  assert.ok(result.errors.some(error => error.includes('"rose" is not one of the available oils')));
+  assert.ok(result.errors.includes('Percentages must sum to 100, got 50'));
+});
+
+test('parseBlendResponse reads a blend surrounded by prose', () => {
+  const result = parseBlendResponse('Here: {"oils":[{"oil":"lavender","percentage":100,"note":"MIDDLE"}]}', ['lavender']);
+  assert.equal(result.valid, true);
+  assert.equal(result.blend.oils[0].oil, 'lavender');
+});
+
+test('formatBlendText lists every oil', () => {
+  const text = formatBlendText(validateBlend(BLEND, ['bergamot', 'lavender', 'cedarwood']).blend);
+  ['bergamot', 'lavender', 'cedarwood'].forEach(oil => assert.match(text.toLowerCase(), new RegExp(oil)));
+});
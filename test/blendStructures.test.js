@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveStructure } = require('../blendStructures');
+
+test('resolveStructure defaults to the classic pyramid', () => {
+  const { structure } = resolveStructure();
+  assert.equal(structure.id, 'classic');
+  assert.deepEqual(structure.slots.map(slot => slot.target), [20, 50, 30]);
+});
+
+test('resolveStructure rejects unknown presets, including Object member names', () => {
+  ['nope', 'toString', 'constructor', '__proto__'].forEach(name => {
+    assert.match(resolveStructure(name).error, new RegExp(`Unknown structure "${name}"`));
+  });
+});
+
+test('resolveStructure checks that custom slots can total 100%', () => {
+  assert.match(resolveStructure([{ note: 'TOP', min: 10, max: 20 }]).error, /must allow a 100% total/);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalog = require('../essentialOils.json');
+const { createSimilarityBackend, scoreNoteSimilarity } = require('../noteSimilarity');
+
+test('scoreNoteSimilarity scores oils in-process with the mock backend', async () => {
+  const backend = createSimilarityBackend({ backend: 'mock' });
+  await backend.load();
+
+  const same = await scoreNoteSimilarity(backend, { oil1: 'lavender', oil2: 'lavender', oil1Data: catalog.lavender, oil2Data: catalog.lavender });
+  const other = await scoreNoteSimilarity(backend, { oil1: 'lavender', oil2: 'vetiver', oil1Data: catalog.lavender, oil2Data: catalog.vetiver });
+
+  assert.equal(same.similarity, 1);
+  assert.ok(other.similarity >= 0 && other.similarity < 1);
+});
+
+test('scoreNoteSimilarity falls back to 0.5 when the reply has no number', async () => {
+  const backend = createSimilarityBackend({ backend: 'mock', responses: [{ match: 'similarity', response: 'Hard to say' }] });
+  await backend.load();
+
+  const { similarity, response } = await scoreNoteSimilarity(backend, { oil1: 'lavender', oil2: 'vetiver', oil1Data: catalog.lavender, oil2Data: catalog.vetiver });
+  assert.equal(similarity, 0.5);
+  assert.equal(response, 'Hard to say');
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OilInventory = require('../oilInventory');
+
+test('users named like Object members start with no bottles', () => {
+  const inventory = new OilInventory({ store: { load: fallback => fallback, save: () => {} } });
+  ['constructor', 'toString', '__proto__'].forEach(userId => {
+    assert.deepEqual(inventory.list(userId), { bottles: [], stock: [] });
+  });
+});
+
+test('an oil listed twice is checked and deducted for the total', () => {
+  const inventory = new OilInventory({ store: { load: fallback => fallback, save: () => {} } });
+  inventory.add('alice', { oil: 'lavender', volumeMl: 10, remainingMl: 3 });
+
+  const twice = [{ oil: 'lavender', ml: 2 }, { oil: 'lavender', ml: 2 }];
+  assert.deepEqual(inventory.check('alice', twice).shortages, [{ oil: 'lavender', neededMl: 4, availableMl: 3 }]);
+  assert.equal(inventory.consume('alice', twice).status, 409);
+
+  const result = inventory.consume('alice', [{ oil: 'lavender', ml: 1 }, { oil: 'lavender', ml: 1.5 }]);
+  assert.equal(result.consumed.length, 1);
+  assert.equal(result.consumed[0].ml, 2.5);
+  assert.equal(inventory.stock('alice')[0].remainingMl, 0.5);
+});
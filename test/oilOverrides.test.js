@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OVERRIDES_VERSION, readOverrides, applyOverrides } = require('../oilOverrides');
+
+const SHIPPED = {
+  lavender: { category: 'floral', intensity: 'medium' },
+  cedarwood: { category: 'woody', intensity: 'heavy' },
+  bergamot: { category: 'citrus', intensity: 'light' }
+};
+
+test('no saved file means the shipped catalog', () => {
+  const catalog = applyOverrides(SHIPPED, readOverrides(null));
+  assert.deepEqual(Object.keys(catalog), Object.keys(SHIPPED));
+  assert.equal(catalog.constructor, undefined);
+});
+
+test('overrides add, replace and remove oils', () => {
+  const catalog = applyOverrides(SHIPPED, readOverrides({
+    version: OVERRIDES_VERSION,
+    oils: { rose: { category: 'floral' }, lavender: { category: 'herbal', intensity: 'medium' } },
+    removed: ['bergamot']
+  }));
+
+  assert.deepEqual(Object.keys(catalog).sort(), ['cedarwood', 'lavender', 'rose']);
+  assert.equal(catalog.lavender.category, 'herbal');
+});
+
+test('files in another format are refused', () => {
+  assert.throws(() => readOverrides({ version: OVERRIDES_VERSION + 1, oils: {}, removed: [] }), /Unsupported/);
+  assert.throws(() => readOverrides({ lavender: SHIPPED.lavender }), /Unsupported/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RecipeStore = require('../recipeStore');
+
+const RECIPE = {
+  name: 'Evening',
+  blend: { oils: [{ oil: 'lavender', percentage: 60, note: 'MIDDLE' }, { oil: 'cedarwood', percentage: 40, note: 'BASE' }] }
+};
+
+test('ids named like Object members are unknown recipes', () => {
+  const recipes = new RecipeStore({ store: { load: fallback => fallback, save: () => {} } });
+  ['constructor', 'toString', 'hasOwnProperty'].forEach(id => {
+    assert.equal(recipes.get(id), null);
+    assert.equal(recipes.update(id, RECIPE, 'alice').status, 404);
+    assert.equal(recipes.remove(id).status, 404);
+  });
+});
+
+test('versions of recipe ids named like Object members are unknown', () => {
+  const recipes = new RecipeStore({ store: { load: fallback => fallback, save: () => {} } });
+  ['constructor', 'toString', 'hasOwnProperty'].forEach(id => {
+    assert.equal(recipes.listVersions(id).status, 404);
+    assert.equal(recipes.getVersion(id, 1).status, 404);
+    assert.equal(recipes.restore(id, 1, 'alice').status, 404);
+    assert.equal(recipes.diff(id, 1).status, 404);
+  });
+});
+
+test('a changed blend becomes a new version that can be diffed', () => {
+  const recipes = new RecipeStore({ store: { load: fallback => fallback, save: () => {} } });
+  const { recipe } = recipes.create(RECIPE, 'alice');
+  recipes.update(recipe.id, {
+    ...RECIPE,
+    blend: { oils: [{ oil: 'lavender', percentage: 50, note: 'MIDDLE' }, { oil: 'cedarwood', percentage: 50, note: 'BASE' }] }
+  }, 'bob');
+
+  assert.equal(recipes.get(recipe.id).version, 2);
+  const { diff } = recipes.diff(recipe.id, 1);
+  assert.equal(diff.to, 2);
+  assert.deepEqual(diff.changed.map(item => [item.oil, item.delta]), [['lavender', -10], ['cedarwood', 10]]);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sameBlend, diffBlends } = require('../recipeVersions');
+
+const BLEND = {
+  oils: [
+    { oil: 'bergamot', percentage: 20, note: 'TOP' },
+    { oil: 'lavender', percentage: 50, note: 'MIDDLE' },
+    { oil: 'cedarwood', percentage: 30, note: 'BASE' }
+  ]
+};
+
+test('sameBlend ignores oil order', () => {
+  assert.equal(sameBlend(BLEND, { oils: [...BLEND.oils].reverse() }), true);
+  assert.equal(sameBlend(BLEND, { oils: BLEND.oils.slice(1) }), false);
+});
+
+test('diffBlends reports added, removed and changed oils and note totals', () => {
+  const diff = diffBlends(BLEND, {
+    oils: [
+      { oil: 'bergamot', percentage: 25, note: 'TOP' },
+      { oil: 'lavender', percentage: 45, note: 'MIDDLE' },
+      { oil: 'vetiver', percentage: 30, note: 'BASE' }
+    ]
+  });
+
+  assert.deepEqual(diff.added, [{ oil: 'vetiver', percentage: 30, note: 'BASE' }]);
+  assert.deepEqual(diff.removed, [{ oil: 'cedarwood', percentage: 30, note: 'BASE' }]);
+  assert.deepEqual(diff.changed, [
+    { oil: 'bergamot', note: 'TOP', from: 20, to: 25, delta: 5 },
+    { oil: 'lavender', note: 'MIDDLE', from: 50, to: 45, delta: -5 }
+  ]);
+  assert.deepEqual(diff.notes.find(note => note.note === 'BASE'), { note: 'BASE', from: 30, to: 30, delta: 0 });
+});
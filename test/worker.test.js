@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const LocalWorker = require('../localWorker');
+const BareWorker = require('../bareWorker');
+
+const PARAMS = { oils: ['bergamot', 'lavender', 'cedarwood'], description: 'calm evening blend' };
+const FINDINGS = ['Top notes are under 15%'];
+const QUIET = { log: () => {}, info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+/**
+ * Runs the checks every worker must pass: the protocol is the same whatever
+ * runs the model
+ *
+ * @param {Object} t - Test context
+ * @param {Object} worker - LocalWorker or BareWorker on the mock backend
+ */
+async function checkWorker(t, worker) {
+  const states = [];
+  worker.on('state', state => states.push(state));
+
+  await t.test('blends and streams tokens', async () => {
+    const tokens = [];
+    const result = await worker.blend(PARAMS, { onToken: token => tokens.push(token) });
+
+    assert.equal(result.success, true);
+    assert.equal(result.blend.oils.reduce((sum, item) => sum + item.percentage, 0), 100);
+    result.blend.oils.forEach(item => assert.ok(PARAMS.oils.includes(item.oil)));
+    assert.ok(tokens.length > 0);
+    assert.deepEqual(Object.keys(result.stats).sort(), ['TPS', 'TTFT']);
+    assert.equal(worker.status().ready, true);
+    assert.equal(worker.status().model.backend, 'mock');
+    assert.ok(states.includes('ready'));
+  });
+
+  await t.test('critiques a formula', async () => {
+    const result = await worker.critique({
+      blend: { oils: [{ oil: 'lavender', percentage: 100, note: 'MIDDLE' }] },
+      findings: FINDINGS
+    });
+
+    assert.equal(result.success, true);
+    assert.match(result.commentary, /Top notes are under 15%/);
+  });
+
+  await t.test('rejects aborted requests', async () => {
+    await assert.rejects(worker.blend(PARAMS, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.equal(worker.status().pendingRequests, 0);
+  });
+}
+
+test('LocalWorker on the mock backend', async t => {
+  const worker = new LocalWorker({ backend: { backend: 'mock' }, logger: QUIET });
+  assert.equal(worker.status().state, 'stopped');
+
+  try {
+    await checkWorker(t, worker);
+  } finally {
+    worker.stop();
+  }
+  assert.equal(worker.status().state, 'stopped');
+});
+
+test('BareWorker on the mock backend', { skip: spawnSync('bare', ['-v']).error && 'bare is not installed' }, async t => {
+  const backend = process.env.LLM_BACKEND;
+  process.env.LLM_BACKEND = 'mock';
+  const worker = new BareWorker();
+  worker.start();  // The worker inherits the environment when spawned
+  if (backend === undefined) delete process.env.LLM_BACKEND;
+  else process.env.LLM_BACKEND = backend;
+
+  try {
+    await checkWorker(t, worker);
+  } finally {
+    worker.stop();
+  }
+});
@@ -35,6 +35,7 @@ async function testAISimilarity(oil1, oil2) {
     });
 
     bare.on('close', (code) => {
+      clearTimeout(timer);
       console.log(`Exit code: ${code}`);
       console.log(`Output: ${output}`);
       if (errorOutput) console.log(`Error: ${errorOutput}`);
@@ -52,11 +53,12 @@ async function testAISimilarity(oil1, oil2) {
     });
 
     bare.on('error', (error) => {
+      clearTimeout(timer);
       console.error('Spawn error:', error);
       resolve(0.5);
     });
 
-    setTimeout(() => {
+    const timer = setTimeout(() => {
       if (!bare.killed) {
         bare.kill('SIGTERM');
         console.log('Timeout');